@@ -17,6 +17,52 @@ import {linksRouteGet} from "./src/links/routes/linksRouteGet.js";
 import {linksRoutePost} from "./src/links/routes/linksRoutePost.js";
 import {linksRoutePut} from "./src/links/routes/linksRoutePut.js";
 
+// Link rules routes
+import {linkRulesRouteDelete} from "./src/linkRules/routes/linkRulesRouteDelete.js";
+import {linkRulesRouteGet} from "./src/linkRules/routes/linkRulesRouteGet.js";
+import {linkRulesRoutePost} from "./src/linkRules/routes/linkRulesRoutePost.js";
+import {linkRulesRoutePut} from "./src/linkRules/routes/linkRulesRoutePut.js";
+
+// Link destinations routes
+import {linkDestinationsRouteDelete} from "./src/linkDestinations/routes/linkDestinationsRouteDelete.js";
+import {linkDestinationsRouteGet} from "./src/linkDestinations/routes/linkDestinationsRouteGet.js";
+import {linkDestinationsRoutePost} from "./src/linkDestinations/routes/linkDestinationsRoutePost.js";
+import {linkDestinationsRoutePut} from "./src/linkDestinations/routes/linkDestinationsRoutePut.js";
+
+// Link revisions routes
+import {linkRevisionsRouteGet} from "./src/linkRevisions/routes/linkRevisionsRouteGet.js";
+import {linkRevisionsRoutePost} from "./src/linkRevisions/routes/linkRevisionsRoutePost.js";
+
+// Link health checks routes
+import {linkHealthChecksRouteGet} from "./src/linkHealthChecks/routes/linkHealthChecksRouteGet.js";
+import {linkHealthChecksRoutePost} from "./src/linkHealthChecks/routes/linkHealthChecksRoutePost.js";
+
+// QR code routes
+import {qrRouteGet} from "./src/qr/routes/qrRouteGet.js";
+
+// Tags routes
+import {tagsRouteDelete} from "./src/tags/routes/tagsRouteDelete.js";
+import {tagsRouteGet} from "./src/tags/routes/tagsRouteGet.js";
+import {tagsRoutePost} from "./src/tags/routes/tagsRoutePost.js";
+import {tagsRoutePut} from "./src/tags/routes/tagsRoutePut.js";
+
+// Folders routes
+import {foldersRouteDelete} from "./src/folders/routes/foldersRouteDelete.js";
+import {foldersRouteGet} from "./src/folders/routes/foldersRouteGet.js";
+import {foldersRoutePost} from "./src/folders/routes/foldersRoutePost.js";
+import {foldersRoutePut} from "./src/folders/routes/foldersRoutePut.js";
+
+// Domains routes
+import {domainsRouteDelete} from "./src/domains/routes/domainsRouteDelete.js";
+import {domainsRouteGet} from "./src/domains/routes/domainsRouteGet.js";
+import {domainsRoutePost} from "./src/domains/routes/domainsRoutePost.js";
+
+// Blocklist routes
+import {blocklistRouteDelete} from "./src/blocklist/routes/blocklistRouteDelete.js";
+import {blocklistRouteGet} from "./src/blocklist/routes/blocklistRouteGet.js";
+import {blocklistRoutePost} from "./src/blocklist/routes/blocklistRoutePost.js";
+import {blocklistRoutePut} from "./src/blocklist/routes/blocklistRoutePut.js";
+
 // Links visited routes
 import {linkVisitedRoutePost} from "./src/linksVisited/routes/linkVisitedRoutePost.js";
 import {linksVisitedRouteGet} from "./src/linksVisited/routes/linksVisitedRouteGet.js";
@@ -25,6 +71,16 @@ import {linksVisitedRoutePost} from "./src/linksVisited/routes/linksVisitedRoute
 // Auth routes
 import {loginRouter} from "./src/auh/routes/authRouteLogin.js";
 
+// Redirect routes
+import {redirectRouteGet} from "./src/redirect/routes/redirectRouteGet.js";
+
+// Background jobs
+import {startExpiredLinksJob} from "./src/jobs/expiredLinksJob.js";
+import {startPurgeDeletedLinksJob} from "./src/jobs/purgeDeletedLinksJob.js";
+import {startBlocklistRescanJob} from "./src/jobs/blocklistRescanJob.js";
+import {startLinkHealthJob} from "./src/jobs/linkHealthJob.js";
+import {backfillNormalizedLinks} from "./src/links/services/linkCreationService.js";
+
 dotenv.config();
 
 /**
@@ -38,6 +94,16 @@ const app = express();
 
 app.use(cors());
 
+/**
+ * Middleware to parse the bulk uploads (CSV or JSON), which are larger than the other bodies.
+ * Mounted before the JSON parser, which skips the bodies already parsed.
+ */
+app.use(
+    '/api/v1/bulk',
+    express.json({limit: process.env.BULK_MAX_BODY_SIZE || '10mb'}),
+    express.text({type: ['text/csv', 'text/plain'], limit: process.env.BULK_MAX_BODY_SIZE || '10mb'})
+);
+
 /**
  * Middleware to parse JSON bodies in incoming requests.
  */
@@ -60,6 +126,93 @@ app.use(
     userRoutePut
 );
 
+/**
+ * @description Routes related to the redirection rules of the links.
+ * Mounted before the link routes, so `/api/v1/links/:id/rules` is not taken by `/api/v1/links/:attribute/:data`.
+ */
+app.use(
+    linkRulesRouteDelete,
+    linkRulesRouteGet,
+    linkRulesRoutePost,
+    linkRulesRoutePut
+);
+
+/**
+ * @description Routes related to the weighted destinations (A/B variants) of the links.
+ * Mounted before the link routes for the same reason as the rules.
+ */
+app.use(
+    linkDestinationsRouteDelete,
+    linkDestinationsRouteGet,
+    linkDestinationsRoutePost,
+    linkDestinationsRoutePut
+);
+
+/**
+ * @description Routes related to the edit history of the links.
+ * Mounted before the link routes for the same reason as the rules.
+ */
+app.use(
+    linkRevisionsRouteGet,
+    linkRevisionsRoutePost
+);
+
+/**
+ * @description Routes related to the health checks of the destinations of the links.
+ * Mounted before the link routes for the same reason as the rules.
+ */
+app.use(
+    linkHealthChecksRouteGet,
+    linkHealthChecksRoutePost
+);
+
+/**
+ * @description Routes related to the QR codes of the links.
+ * Mounted before the link routes for the same reason as the rules.
+ */
+app.use(
+    qrRouteGet
+);
+
+/**
+ * @description Routes related to the tags of the users.
+ */
+app.use(
+    tagsRouteDelete,
+    tagsRouteGet,
+    tagsRoutePost,
+    tagsRoutePut
+);
+
+/**
+ * @description Routes related to the folders of the users.
+ */
+app.use(
+    foldersRouteDelete,
+    foldersRouteGet,
+    foldersRoutePost,
+    foldersRoutePut
+);
+
+/**
+ * @description Routes related to the custom domains of the users.
+ */
+app.use(
+    domainsRouteDelete,
+    domainsRouteGet,
+    domainsRoutePost
+);
+
+/**
+ * @description Routes related to the blocklist of the destinations, only for admins.
+ */
+app.use(
+    blocklistRouteDelete,
+    blocklistRouteGet,
+    blocklistRoutePost,
+    blocklistRoutePut
+);
+
 /**
  * @description Routes related to link operations.
  */
@@ -79,9 +232,35 @@ app.use(
     linksVisitedRoutePost
 );
 
+/**
+ * @description Public short link redirection. Mounted last so it does not shadow the API routes.
+ */
+app.use(
+    redirectRouteGet
+);
+
 /**
  * Starts the server on the port specified in the .env file.
  */
 app.listen(process.env.APP_PORT, () => {
     console.log('Server is running on port ' + process.env.APP_PORT);
 });
+
+/**
+ * Starts the background jobs.
+ */
+startExpiredLinksJob();
+startPurgeDeletedLinksJob();
+startBlocklistRescanJob();
+startLinkHealthJob();
+
+/**
+ * Fills the normalized links of the links created before the duplicate detection.
+ */
+backfillNormalizedLinks()
+    .then((count) => {
+        if (count > 0) {
+            console.log(count + ' links normalized');
+        }
+    })
+    .catch((error) => console.error('Error normalizing the links:', error));
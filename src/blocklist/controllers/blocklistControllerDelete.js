@@ -0,0 +1,43 @@
+import {BlocklistModel} from "../../models/model.js";
+import {clearBlocklistCache} from "../services/linkScreeningService.js";
+
+/**
+ * Handles the deletion of a blocklist entry. Only for admins.
+ *
+ * The links disabled because of the entry stay inactive: they are enabled again when their owner
+ * updates their destinations.
+ *
+ * @async
+ * @function blocklistControllerDeleteID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the entry.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the deleted entry or an error message.
+ */
+export const blocklistControllerDeleteID = async (req, res) => {
+    try {
+        const entry = await BlocklistModel.findByPk(req.params.id);
+
+        if (entry) {
+            await entry.destroy();
+            clearBlocklistCache();
+
+            res.send({
+                ok: true,
+                entry: entry,
+                message: "Blocklist entry deleted"
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Blocklist entry not found with id " + req.params.id
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,83 @@
+import {BlocklistModel} from "../../models/model.js";
+import {BLOCKLIST_TYPES} from "../../helpers/blocklistVerification.js";
+
+/**
+ * Handles the retrieval of the blocklist entries, ordered by type and value. Only for admins.
+ *
+ * @async
+ * @function blocklistControllerGet
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.query - The query string parameters.
+ * @param {string} [req.query.type] - Optional type of the entries: "domain", "pattern" or "hash".
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the entries or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the `entries`.
+ * - Status 400: The type is invalid.
+ * - Status 500: Internal server error.
+ */
+export const blocklistControllerGet = async (req, res) => {
+    try {
+        const where = {};
+
+        if (req.query.type !== undefined) {
+            if (!BLOCKLIST_TYPES.includes(req.query.type)) {
+                return res.status(400).send({
+                    ok: false,
+                    error: "type must be one of: " + BLOCKLIST_TYPES.join(', ')
+                });
+            }
+            where.type = req.query.type;
+        }
+
+        const entries = await BlocklistModel.findAll({
+            where: where,
+            order: [['type', 'ASC'], ['value', 'ASC']]
+        });
+
+        res.status(200).send({
+            ok: true,
+            entries: entries
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Handles the retrieval of a blocklist entry by its ID. Only for admins.
+ *
+ * @async
+ * @function blocklistControllerGetID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the entry.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the entry or an error message.
+ */
+export const blocklistControllerGetID = async (req, res) => {
+    try {
+        const entry = await BlocklistModel.findByPk(req.params.id);
+
+        if (entry) {
+            res.status(200).send({
+                ok: true,
+                entry: entry
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Blocklist entry not found with id " + req.params.id
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,111 @@
+import {BlocklistModel} from "../../models/model.js";
+import {normalizeBlocklistValue, verifyBlocklistEntry} from "../../helpers/blocklistVerification.js";
+import {clearBlocklistCache, hashUrl, rescanLinks} from "../services/linkScreeningService.js";
+
+/**
+ * Handles the creation of a blocklist entry. Only for admins.
+ *
+ * The new entry applies at once to the links created or updated from then on. The existing links are
+ * disabled by the next re-scan, see `blocklistControllerRescan`.
+ *
+ * @async
+ * @function blocklistControllerCreate
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.type - The type of the entry: "domain", "pattern" or "hash".
+ * @param {string} [req.body.value] - The blocked domain, pattern or SHA-256 hash (see `hashUrl`).
+ * @param {string} [req.body.url] - For the hashes, the malware URL to hash instead of the `value`.
+ * @param {string} [req.body.reason] - Optional reason of the entry, sent with the refusals.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the created entry or an error message.
+ *
+ * Possible Responses:
+ * - Status 201: Sends an object with `ok: true` and the created `entry`.
+ * - Status 400: The entry is invalid.
+ * - Status 409: The entry already exists.
+ * - Status 500: Internal server error.
+ */
+export const blocklistControllerCreate = async (req, res) => {
+    try {
+        const {type, url, reason} = req.body;
+
+        const value = type === 'hash' && typeof url === 'string'
+            ? hashUrl(url)
+            : normalizeBlocklistValue(type, req.body.value);
+
+        const entryError = verifyBlocklistEntry({type, value, reason});
+        if (entryError) {
+            return res.status(400).send({
+                ok: false,
+                error: entryError
+            });
+        }
+
+        const existsEntry = await BlocklistModel.findOne({
+            where: {
+                type: type,
+                value: value
+            }
+        });
+
+        if (existsEntry) {
+            return res.status(409).send({
+                ok: false,
+                error: "Blocklist entry already exists with id " + existsEntry.id_blocklist
+            });
+        }
+
+        const entry = await BlocklistModel.create({
+            type: type,
+            value: value,
+            reason: reason ?? null,
+            id_user: req.user.id_user
+        });
+
+        clearBlocklistCache();
+
+        res.status(201).send({
+            ok: true,
+            entry: entry,
+            message: "New blocklist entry created"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Handles a re-scan of the active links against the blocklists. Only for admins.
+ *
+ * The destinations of every active link are screened again (see `rescanLinks`) and the links that are
+ * now refused are disabled. The same re-scan is run by the background job.
+ *
+ * @async
+ * @function blocklistControllerRescan
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the number of links disabled or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the number of links `disabled`.
+ * - Status 500: Internal server error.
+ */
+export const blocklistControllerRescan = async (req, res) => {
+    try {
+        const disabled = await rescanLinks();
+
+        res.status(200).send({
+            ok: true,
+            disabled: disabled,
+            message: disabled + " links disabled"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
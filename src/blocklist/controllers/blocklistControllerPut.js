@@ -0,0 +1,88 @@
+import {Op} from "sequelize";
+
+import {BlocklistModel} from "../../models/model.js";
+import {normalizeBlocklistValue, verifyBlocklistEntry} from "../../helpers/blocklistVerification.js";
+import {clearBlocklistCache} from "../services/linkScreeningService.js";
+
+/**
+ * Handles updating a blocklist entry. Only for admins.
+ *
+ * Only the fields sent are changed; a `null` reason removes it.
+ *
+ * @async
+ * @function blocklistControllerPutID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the entry.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} [req.body.type] - The new type of the entry: "domain", "pattern" or "hash".
+ * @param {string} [req.body.value] - The new blocked domain, pattern or hash.
+ * @param {string|null} [req.body.reason] - The new reason of the entry.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated entry or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the updated `entry`.
+ * - Status 400: The entry is invalid.
+ * - Status 404: The entry does not exist.
+ * - Status 409: Another entry has the same type and value.
+ * - Status 500: Internal server error.
+ */
+export const blocklistControllerPutID = async (req, res) => {
+    try {
+        const entry = await BlocklistModel.findByPk(req.params.id);
+
+        if (!entry) {
+            return res.status(404).send({
+                ok: false,
+                error: "Blocklist entry not found with id " + req.params.id
+            });
+        }
+
+        const type = req.body.type ?? entry.type;
+        const value = normalizeBlocklistValue(type, req.body.value ?? entry.value);
+        const reason = req.body.reason;
+
+        const entryError = verifyBlocklistEntry({type, value, reason});
+        if (entryError) {
+            return res.status(400).send({
+                ok: false,
+                error: entryError
+            });
+        }
+
+        const existsEntry = await BlocklistModel.findOne({
+            where: {
+                type: type,
+                value: value,
+                id_blocklist: {[Op.ne]: entry.id_blocklist}
+            }
+        });
+
+        if (existsEntry) {
+            return res.status(409).send({
+                ok: false,
+                error: "Blocklist entry already exists with id " + existsEntry.id_blocklist
+            });
+        }
+
+        await entry.update({
+            type: type,
+            value: value,
+            ...(reason !== undefined ? {reason} : {})
+        });
+
+        clearBlocklistCache();
+
+        res.status(200).send({
+            ok: true,
+            entry: entry,
+            message: "Blocklist entry updated"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,88 @@
+import { sequelizeDatabase } from "../../../database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Represents the `BlocklistModel` database model.
+ * This model defines the structure of the `blocklist` table, which stores the entries managed by the admins
+ * to refuse the unsafe destinations of the links (see `screenUrl`).
+ *
+ * The fields in this model include:
+ * - id_blocklist: The primary key for the table, auto-incremented integer.
+ * - type: "domain" (the domain and its subdomains), "pattern" (a URL pattern with `*` wildcards)
+ *   or "hash" (the SHA-256 hash of a malware URL, see `hashUrl`).
+ * - value: The blocked domain, pattern or hash, in lower case.
+ * - reason: The optional reason of the entry (e.g. "phishing"), sent with the refusals.
+ * - created_at: The date the entry was added.
+ * - id_user: The admin that added the entry. The reference is cleared when the user is deleted.
+ */
+export const BlocklistModel = sequelizeDatabase.define("blocklist", {
+    /**
+     * Represents the unique identifier of the entry, auto-incremented and used as the primary key.
+     */
+    id_blocklist: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    /**
+     * Represents the type of the entry: "domain", "pattern" or "hash".
+     */
+    type: {
+        type: DataTypes.STRING(10),
+        allowNull: false
+    },
+    /**
+     * Represents the blocked domain (e.g. "evil.example"), pattern (e.g. "*.example.com/login*") or hash.
+     */
+    value: {
+        type: DataTypes.STRING(512),
+        allowNull: false
+    },
+    /**
+     * Represents the optional reason of the entry.
+     */
+    reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    /**
+     * Represents the date the entry was added.
+     */
+    created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    /**
+     * Represents the admin that added the entry.
+     */
+    id_user: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: "users", // Referenced table
+            key: "id_user"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL"
+    },
+}, {
+    /**
+     * Specifies the name of the table in the database.
+     */
+    tableName: "blocklist",
+    /**
+     * Disables the automatic addition of the `createdAt` and `updatedAt` fields.
+     */
+    timestamps: false,
+    /**
+     * Unique index to keep each value only once in each list.
+     */
+    indexes: [
+        {
+            name: 'idx_blocklist_type_value',
+            unique: true,
+            fields: ['type', 'value']
+        }
+    ]
+});
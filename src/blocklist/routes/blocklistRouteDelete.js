@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {blocklistControllerDeleteID} from "../controllers/blocklistControllerDelete.js";
+
+/**
+ * The `blocklistRouteDelete` variable is an instance of an Express Router.
+ * It defines the DELETE routes of the blocklist entries, only for admins.
+ */
+const blocklistRouteDelete = express.Router();
+
+// Delete a blocklist entry by ID
+blocklistRouteDelete.delete('/api/v1/blocklist/:id', protectRoute("admin"), blocklistControllerDeleteID);
+
+export {blocklistRouteDelete};
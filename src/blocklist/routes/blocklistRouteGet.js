@@ -0,0 +1,19 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {blocklistControllerGet, blocklistControllerGetID} from "../controllers/blocklistControllerGet.js";
+
+/**
+ * The `blocklistRouteGet` variable is an instance of an Express Router.
+ * It defines the GET routes of the blocklist entries, only for admins.
+ */
+const blocklistRouteGet = express.Router();
+
+// Show the blocklist entries
+blocklistRouteGet.get('/api/v1/blocklist', protectRoute("admin"), blocklistControllerGet);
+
+// Show a blocklist entry by ID
+blocklistRouteGet.get('/api/v1/blocklist/:id', protectRoute("admin"), blocklistControllerGetID);
+
+export {blocklistRouteGet};
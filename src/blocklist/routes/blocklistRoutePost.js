@@ -0,0 +1,19 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {blocklistControllerCreate, blocklistControllerRescan} from "../controllers/blocklistControllerPost.js";
+
+/**
+ * The `blocklistRoutePost` variable is an instance of an Express Router.
+ * It defines the POST routes of the blocklist entries, only for admins.
+ */
+const blocklistRoutePost = express.Router();
+
+// Create a blocklist entry
+blocklistRoutePost.post('/api/v1/blocklist', protectRoute("admin"), blocklistControllerCreate);
+
+// Screen the active links again and disable the ones that are now blocked
+blocklistRoutePost.post('/api/v1/blocklist/rescan', protectRoute("admin"), blocklistControllerRescan);
+
+export {blocklistRoutePost};
@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {blocklistControllerPutID} from "../controllers/blocklistControllerPut.js";
+
+/**
+ * The `blocklistRoutePut` variable is an instance of an Express Router.
+ * It defines the PUT routes of the blocklist entries, only for admins.
+ */
+const blocklistRoutePut = express.Router();
+
+// Update a blocklist entry by ID
+blocklistRoutePut.put('/api/v1/blocklist/:id', protectRoute("admin"), blocklistControllerPutID);
+
+export {blocklistRoutePut};
@@ -0,0 +1,398 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import dotenv from 'dotenv';
+import {Op} from 'sequelize';
+
+import {BlocklistModel, LinkDestinationsModel, LinkRulesModel, LinksModel} from "../../models/model.js";
+import {findVerifiedDomain} from "../../domains/services/domainService.js";
+import {REASON_BLOCKED, refreshLinkStatus} from "../../links/services/linkLifecycleService.js";
+import {FORBIDDEN_DEEP_LINK_SCHEMES} from "../../helpers/linkOptionsVerification.js";
+import {getShortUrlBase} from "../../helpers/shortUrl.js";
+import {normalizeUrl} from "../../helpers/urlNormalization.js";
+import {findInBatches} from "../../helpers/modelCursor.js";
+
+dotenv.config();
+
+/**
+ * Milliseconds the blocklist is kept in memory before it is read again, see `getBlocklist`.
+ * The admin endpoints empty the cache, so this only delays the changes made by other instances.
+ */
+const BLOCKLIST_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Number of links read from the database in each query of the re-scan.
+ */
+const RESCAN_BATCH_SIZE = 500;
+
+/**
+ * Fields holding the destinations of a link, its rules (`destination_url`) and its A/B variants (`destination_url`),
+ * screened by `screenLinkUrls`.
+ *
+ * @type {string[]}
+ */
+const DESTINATION_FIELDS = ['original_link', 'fallback_url', 'ios_url', 'android_url', 'destination_url'];
+
+/**
+ * Fields holding the app destinations of a link, which can use the custom schemes of the apps, see `screenUrl`.
+ *
+ * @type {string[]}
+ */
+const APP_URL_FIELDS = ['ios_url', 'android_url'];
+
+/**
+ * The blocklist loaded in memory, or null when it has to be read again.
+ *
+ * @type {{domains: Map<string, string|null>, patterns: Object[], hashes: Map<string, string|null>, expires: number}|null}
+ */
+let blocklistCache = null;
+
+/**
+ * Returns the URL schemes the links can point to, read from `LINK_ALLOWED_SCHEMES` (a comma-separated list).
+ * Defaults to "http,https".
+ *
+ * @returns {string[]} The allowed schemes, in lower case.
+ */
+export const getAllowedSchemes = () => {
+    return (process.env.LINK_ALLOWED_SCHEMES || 'http,https').split(',')
+        .map((scheme) => scheme.trim().toLowerCase())
+        .filter((scheme) => scheme !== '');
+};
+
+/**
+ * Empties the blocklist kept in memory. Called when an entry is added, changed or deleted.
+ */
+export const clearBlocklistCache = () => {
+    blocklistCache = null;
+};
+
+/**
+ * Reads the malware hashes of the local file `BLOCKLIST_MALWARE_HASHES_FILE`, if it is set:
+ * one SHA-256 hash (see `hashUrl`) per line, the empty lines and the lines starting with `#` are ignored.
+ * A file that can not be read is logged and ignored, so the other lists still apply.
+ *
+ * @returns {Promise<string[]>} The hashes of the file, in lower case.
+ */
+const readMalwareHashesFile = async () => {
+    const file = process.env.BLOCKLIST_MALWARE_HASHES_FILE;
+    if (!file) {
+        return [];
+    }
+
+    try {
+        const content = await fs.promises.readFile(file, 'utf8');
+        return content.split(/\r?\n/)
+            .map((line) => line.trim().toLowerCase())
+            .filter((line) => /^[a-f0-9]{64}$/.test(line));
+    } catch (error) {
+        console.error('Error reading the malware hashes file:', error.message);
+        return [];
+    }
+};
+
+/**
+ * Returns the blocklist: the entries of the `blocklist` table grouped by type, with the hashes of
+ * the local malware file. It is kept in memory for a minute.
+ *
+ * @returns {Promise<{domains: Map<string, string|null>, patterns: Object[], hashes: Map<string, string|null>}>} The
+ * blocked domains and hashes with their reason, and the blocked patterns.
+ */
+const getBlocklist = async () => {
+    if (blocklistCache && blocklistCache.expires > Date.now()) {
+        return blocklistCache;
+    }
+
+    const entries = await BlocklistModel.findAll({
+        attributes: ['type', 'value', 'reason']
+    });
+
+    const blocklist = {
+        domains: new Map(),
+        patterns: [],
+        hashes: new Map((await readMalwareHashesFile()).map((hash) => [hash, 'malware'])),
+        expires: Date.now() + BLOCKLIST_CACHE_TTL_MS
+    };
+
+    for (const entry of entries) {
+        if (entry.type === 'domain') {
+            blocklist.domains.set(entry.value, entry.reason);
+        } else if (entry.type === 'pattern') {
+            blocklist.patterns.push({value: entry.value, reason: entry.reason});
+        } else if (entry.type === 'hash') {
+            blocklist.hashes.set(entry.value, entry.reason);
+        }
+    }
+
+    blocklistCache = blocklist;
+
+    return blocklist;
+};
+
+/**
+ * Computes the SHA-256 hash of a URL, as stored in the malware hash list. The URL is normalized first
+ * (see `normalizeUrl`, with the tracking parameters removed), so the same page always has the same hash.
+ *
+ * @param {string} url - The URL to hash.
+ * @returns {string} The hash, 64 hexadecimal characters.
+ */
+export const hashUrl = (url) => {
+    return crypto.createHash('sha256').update(normalizeUrl(url, {stripTracking: true})).digest('hex');
+};
+
+/**
+ * Checks if a text matches a pattern where `*` matches any sequence of characters, ignoring the case.
+ *
+ * The match is done without regular expressions, going back to the last `*` on a mismatch,
+ * so its time is bounded by the lengths of the text and the pattern whatever the pattern is.
+ *
+ * @param {string} text - The text to check.
+ * @param {string} pattern - The pattern, in lower case.
+ * @returns {boolean} True if the whole text matches the pattern.
+ */
+const matchesWildcard = (text, pattern) => {
+    text = text.toLowerCase();
+
+    let t = 0;
+    let p = 0;
+    let star = -1;
+    let mark = 0;
+
+    while (t < text.length) {
+        if (p < pattern.length && pattern[p] !== '*' && pattern[p] === text[t]) {
+            t++;
+            p++;
+        } else if (p < pattern.length && pattern[p] === '*') {
+            star = p++;
+            mark = t;
+        } else if (star !== -1) {
+            p = star + 1;
+            t = ++mark;
+        } else {
+            return false;
+        }
+    }
+
+    while (p < pattern.length && pattern[p] === '*') {
+        p++;
+    }
+
+    return p === pattern.length;
+};
+
+/**
+ * Formats the refusal of a blocklist entry, with its reason when it has one.
+ *
+ * @param {string} message - The refusal.
+ * @param {string|null} reason - The reason of the entry.
+ * @returns {string} The error message.
+ */
+const blockedMessage = (message, reason) => {
+    return reason ? `${message} (${reason})` : message;
+};
+
+/**
+ * Screens a destination URL before it is used by a link. The checks are run in order:
+ * 1. The scheme must be one of `getAllowedSchemes`, so e.g. `javascript:` and `data:` URLs are refused.
+ *    A URL without a scheme is taken as an http URL. The app URLs can also use the custom schemes of the apps,
+ *    except the ones that run code in the browser (see `FORBIDDEN_DEEP_LINK_SCHEMES`).
+ * 2. The URL must not point to a short link, on the default short domain or on a verified custom domain,
+ *    which would make redirection loops.
+ * 3. Its domain, or one of its parent domains, must not be in the domain blocklist.
+ * 4. It must not match a pattern of the pattern blocklist. The patterns are matched against the URL
+ *    with and without its scheme, e.g. "*.example.com/login*" matches "https://www.example.com/login?x=1".
+ * 5. Its hash (see `hashUrl`), or the hash of the URL without its query, must not be in the malware hash list.
+ *
+ * @param {string} url - The URL to screen.
+ * @param {Object} [options={}] - The screening options.
+ * @param {boolean} [options.app=false] - Whether the URL is the destination of an app (`ios_url` or `android_url`).
+ * @returns {Promise<string|null>} An error message if the URL is refused, otherwise null.
+ */
+export const screenUrl = async (url, {app = false} = {}) => {
+    const trimmed = url.trim();
+
+    // "example.com:8080/path" has a port, not a scheme
+    const match = /^([a-z][a-z0-9+.-]*):/i.exec(trimmed);
+    const hasScheme = match && !/^\d/.test(trimmed.substring(match[0].length));
+    const scheme = hasScheme ? match[1].toLowerCase() : 'http';
+
+    const appScheme = app && !['http', 'https'].includes(scheme) && !FORBIDDEN_DEEP_LINK_SCHEMES.includes(scheme);
+    if (!appScheme && !getAllowedSchemes().includes(scheme)) {
+        return "URL scheme not allowed: " + scheme;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(hasScheme ? trimmed : 'http://' + trimmed);
+    } catch (error) {
+        return "Invalid URL";
+    }
+
+    const hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+
+    if (hostname === new URL(getShortUrlBase()).hostname || await findVerifiedDomain(hostname)) {
+        return "URL points to a short link";
+    }
+
+    const blocklist = await getBlocklist();
+
+    const labels = hostname.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+        const domain = labels.slice(i).join('.');
+        if (blocklist.domains.has(domain)) {
+            return blockedMessage("URL domain is blocked: " + domain, blocklist.domains.get(domain));
+        }
+    }
+
+    const withoutScheme = parsed.href.substring(parsed.protocol.length).replace(/^\/\//, '');
+    for (const pattern of blocklist.patterns) {
+        if (matchesWildcard(parsed.href, pattern.value) || matchesWildcard(withoutScheme, pattern.value)) {
+            return blockedMessage("URL matches a blocked pattern", pattern.reason);
+        }
+    }
+
+    if (blocklist.hashes.size > 0) {
+        const withoutQuery = parsed.origin + parsed.pathname;
+        for (const hash of new Set([hashUrl(parsed.href), hashUrl(withoutQuery)])) {
+            if (blocklist.hashes.has(hash)) {
+                return blockedMessage("URL is in the malware list", blocklist.hashes.get(hash));
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Screens the destinations of a link, a rule or an A/B variant (see `screenUrl`): the `original_link`,
+ * `fallback_url`, `ios_url`, `android_url` and `destination_url` found in the given fields.
+ *
+ * The fields are optional: `undefined` and `null` are not screened, so only the fields sent in an update are checked.
+ *
+ * @param {Object} fields - The destinations to screen, e.g. a link or `{destination_url}`. The other fields are ignored.
+ * @returns {Promise<string|null>} An error message if a destination is refused, otherwise null.
+ */
+export const screenLinkUrls = async (fields) => {
+    for (const name of DESTINATION_FIELDS) {
+        const value = fields[name];
+        if (typeof value !== 'string') {
+            continue;
+        }
+
+        const error = await screenUrl(value, {app: APP_URL_FIELDS.includes(name)});
+        if (error) {
+            return `${name} is not allowed: ${error}`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Reads the destinations of the rules and of the A/B variants of some links.
+ *
+ * @param {number[]} ids - The IDs of the links.
+ * @returns {Promise<Map<number, string[]>>} The destination URLs by link ID.
+ */
+const getRuleAndVariantUrls = async (ids) => {
+    const urls = new Map();
+
+    for (const model of [LinkRulesModel, LinkDestinationsModel]) {
+        const rows = await model.findAll({
+            where: {id_links: {[Op.in]: ids}},
+            attributes: ['id_links', 'destination_url'],
+            raw: true
+        });
+
+        for (const row of rows) {
+            if (!urls.has(row.id_links)) {
+                urls.set(row.id_links, []);
+            }
+            urls.get(row.id_links).push(row.destination_url);
+        }
+    }
+
+    return urls;
+};
+
+/**
+ * Screens every destination of a link: its own ones (see `screenLinkUrls`) and the ones of its rules and A/B variants.
+ *
+ * @param {Object} link - The link, with its `id_links` and its destination fields.
+ * @param {string[]} [urls] - The destinations of its rules and variants, read from the database when they are not given.
+ * @returns {Promise<string|null>} An error message if a destination is refused, otherwise null.
+ */
+export const screenAllLinkUrls = async (link, urls) => {
+    const error = await screenLinkUrls(link);
+    if (error) {
+        return error;
+    }
+
+    const targets = urls ?? (await getRuleAndVariantUrls([link.id_links])).get(link.id_links) ?? [];
+    for (const destination_url of targets) {
+        const targetError = await screenLinkUrls({destination_url});
+        if (targetError) {
+            return targetError;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Enables again a link disabled by the screening once all its destinations pass it,
+ * see `screenAllLinkUrls`. Called after a destination of the link, of a rule or of a variant was changed or removed.
+ *
+ * @param {Object} link - The link instance.
+ * @returns {Promise<boolean>} True if the link was enabled again.
+ */
+export const unblockLinkIfAllowed = async (link) => {
+    if (link.inactive_reason !== REASON_BLOCKED || await screenAllLinkUrls(link)) {
+        return false;
+    }
+
+    await refreshLinkStatus(link, {unblock: true});
+
+    return true;
+};
+
+/**
+ * Screens again the destinations of every active link, of its rules and of its A/B variants, and disables
+ * the links that are now refused, e.g. after an entry was added to the blocklist. They are marked as inactive
+ * with the `REASON_BLOCKED` reason.
+ *
+ * The links are read in batches, so the memory used does not grow with the number of links.
+ *
+ * @returns {Promise<number>} The number of links disabled.
+ */
+export const rescanLinks = async () => {
+    // Read the blocklist again, it may have been changed by another instance
+    clearBlocklistCache();
+
+    let disabled = 0;
+
+    const batches = findInBatches(LinksModel, {
+        where: {status: "active"},
+        attributes: ['original_link', 'fallback_url', 'ios_url', 'android_url'],
+        batchSize: RESCAN_BATCH_SIZE
+    });
+
+    for await (const links of batches) {
+        const urls = await getRuleAndVariantUrls(links.map((link) => link.id_links));
+
+        const blocked = [];
+        for (const link of links) {
+            if (await screenAllLinkUrls(link, urls.get(link.id_links) ?? [])) {
+                blocked.push(link.id_links);
+            }
+        }
+
+        if (blocked.length > 0) {
+            const [count] = await LinksModel.update(
+                {status: "inactive", inactive_reason: REASON_BLOCKED},
+                {where: {id_links: {[Op.in]: blocked}, status: "active"}}
+            );
+            disabled += count;
+        }
+    }
+
+    return disabled;
+};
@@ -0,0 +1,68 @@
+import {DomainsModel, LinksModel} from "../../models/model.js";
+import {clearDomainCache} from "../services/domainService.js";
+
+/**
+ * Handles the deletion of a custom domain of the authenticated user.
+ *
+ * A domain can not be deleted while it has links, including the ones in the trash: their short URLs
+ * would stop working.
+ *
+ * @async
+ * @function domainsControllerDeleteID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the domain.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the deleted domain or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the deleted `domain`.
+ * - Status 404: The domain does not exist or belongs to another user.
+ * - Status 409: The domain still has links.
+ * - Status 500: Internal server error.
+ */
+export const domainsControllerDeleteID = async (req, res) => {
+    try {
+        const domain = await DomainsModel.findOne({
+            where: {
+                id_domains: req.params.id,
+                id_user: req.user.id_user
+            }
+        });
+
+        if (!domain) {
+            return res.status(404).send({
+                ok: false,
+                error: "Domain not found with id " + req.params.id
+            });
+        }
+
+        const links = await LinksModel.count({
+            where: {
+                id_domains: domain.id_domains
+            },
+            paranoid: false
+        });
+
+        if (links > 0) {
+            return res.status(409).send({
+                ok: false,
+                error: `Domain has ${links} links, delete them first`
+            });
+        }
+
+        await domain.destroy();
+        clearDomainCache();
+
+        res.send({
+            ok: true,
+            domain: domain,
+            message: "Domain deleted"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,74 @@
+import {DomainsModel} from "../../models/model.js";
+import {serializeDomain} from "../services/domainService.js";
+
+/**
+ * Handles the retrieval of the custom domains of the authenticated user, ordered by hostname.
+ *
+ * Each domain is sent with its `verified` flag and the `verification_record` (a DNS TXT record) to publish
+ * before verifying it.
+ *
+ * @async
+ * @function domainsControllerGet
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the domains or an error message.
+ */
+export const domainsControllerGet = async (req, res) => {
+    try {
+        const domains = await DomainsModel.findAll({
+            where: {
+                id_user: req.user.id_user
+            },
+            order: [['hostname', 'ASC']]
+        });
+
+        res.status(200).send({
+            ok: true,
+            domains: domains.map(serializeDomain)
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Handles the retrieval of a custom domain of the authenticated user by its ID.
+ *
+ * @async
+ * @function domainsControllerGetID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the domain.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the domain or an error message.
+ */
+export const domainsControllerGetID = async (req, res) => {
+    try {
+        const domain = await DomainsModel.findOne({
+            where: {
+                id_domains: req.params.id,
+                id_user: req.user.id_user
+            }
+        });
+
+        if (domain) {
+            res.status(200).send({
+                ok: true,
+                domain: serializeDomain(domain)
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Domain not found with id " + req.params.id
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
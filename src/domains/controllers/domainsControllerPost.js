@@ -0,0 +1,173 @@
+import {DomainsModel} from "../../models/model.js";
+import {normalizeHostname, verifyDomainHostname} from "../../helpers/domainVerification.js";
+import {
+    generateVerificationToken,
+    getDomainClaimExpiration,
+    markDomainVerified,
+    purgeExpiredDomainClaims,
+    serializeDomain,
+    verifyDomainOwnership
+} from "../services/domainService.js";
+
+/**
+ * Handles the registration of a custom domain for the authenticated user.
+ *
+ * The domain is created pending: it can only be used for short links once it is verified with
+ * `domainsControllerVerify`, after publishing the `verification_record` sent in the response.
+ * A pending hostname can be claimed by several users, so nobody can hold a hostname they do not control:
+ * the claim expires after `DOMAIN_PENDING_DAYS` days (see `getPendingDomainDays`), and the first user
+ * to verify it gets it.
+ *
+ * @async
+ * @function domainsControllerCreate
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.hostname - The hostname of the domain, e.g. "go.example.com".
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the created domain or an error message.
+ *
+ * Possible Responses:
+ * - Status 201: Sends an object with `ok: true` and the created `domain`, with its `verification_record`.
+ * - Status 400: The hostname is invalid.
+ * - Status 409: The hostname is already verified, or the user has already claimed it.
+ * - Status 500: Internal server error.
+ */
+export const domainsControllerCreate = async (req, res) => {
+    try {
+        const hostname = typeof req.body.hostname === 'string' ? normalizeHostname(req.body.hostname) : req.body.hostname;
+
+        const hostnameError = verifyDomainHostname(hostname);
+        if (hostnameError) {
+            return res.status(400).send({
+                ok: false,
+                error: hostnameError
+            });
+        }
+
+        const verifiedDomain = await DomainsModel.findOne({
+            where: {
+                verified_hostname: hostname
+            }
+        });
+
+        if (verifiedDomain) {
+            return res.status(409).send({
+                ok: false,
+                error: "Domain already registered: " + hostname
+            });
+        }
+
+        await purgeExpiredDomainClaims(hostname);
+
+        const existsClaim = await DomainsModel.findOne({
+            where: {
+                hostname: hostname,
+                id_user: req.user.id_user
+            }
+        });
+
+        if (existsClaim) {
+            return res.status(409).send({
+                ok: false,
+                error: "Domain already claimed with id " + existsClaim.id_domains
+            });
+        }
+
+        const domain = await DomainsModel.create({
+            hostname: hostname,
+            verification_token: generateVerificationToken(),
+            id_user: req.user.id_user
+        });
+
+        res.status(201).send({
+            ok: true,
+            domain: serializeDomain(domain),
+            message: "New domain registered, publish its verification record and verify it"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Handles the verification of a custom domain of the authenticated user.
+ *
+ * The DNS TXT record of the domain (see `getVerificationRecord`) is read and, when it contains the
+ * verification token, the domain is marked as verified and the pending claims of the same hostname by other
+ * users are deleted. Verifying a domain again checks its record again. An expired claim is deleted.
+ *
+ * @async
+ * @function domainsControllerVerify
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the domain.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the domain or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the verified `domain`.
+ * - Status 404: The domain does not exist or belongs to another user.
+ * - Status 409: The hostname has been verified by another user in the meantime.
+ * - Status 410: The claim has expired; the hostname has to be registered again.
+ * - Status 422: The verification record was not found, the `domain` is sent with the record to publish.
+ * - Status 500: Internal server error.
+ */
+export const domainsControllerVerify = async (req, res) => {
+    try {
+        const domain = await DomainsModel.findOne({
+            where: {
+                id_domains: req.params.id,
+                id_user: req.user.id_user
+            }
+        });
+
+        if (!domain) {
+            return res.status(404).send({
+                ok: false,
+                error: "Domain not found with id " + req.params.id
+            });
+        }
+
+        const expiration = getDomainClaimExpiration(domain);
+        if (expiration && expiration <= new Date()) {
+            await domain.destroy();
+            return res.status(410).send({
+                ok: false,
+                error: "Domain claim expired, register it again: " + domain.hostname
+            });
+        }
+
+        const verificationError = await verifyDomainOwnership(domain);
+        if (verificationError) {
+            return res.status(422).send({
+                ok: false,
+                error: verificationError,
+                domain: serializeDomain(domain)
+            });
+        }
+
+        if (!domain.verified_at) {
+            const claimError = await markDomainVerified(domain);
+            if (claimError) {
+                return res.status(409).send({
+                    ok: false,
+                    error: claimError
+                });
+            }
+        }
+
+        res.status(200).send({
+            ok: true,
+            domain: serializeDomain(domain),
+            message: "Domain verified"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,104 @@
+import { sequelizeDatabase } from "../../../database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Represents the `DomainsModel` database model.
+ * This model defines the structure of the `domains` table, which stores the custom domains a user can
+ * use for its short links (e.g. "go.example.com/abcd" instead of the default short domain).
+ *
+ * A domain can only be used once its owner proves it controls it, publishing the `verification_token`
+ * in a DNS TXT record (see `verifyDomainOwnership`). Until then it is a pending claim: several users can claim
+ * the same hostname, the first one to verify it gets it and the other claims are dropped.
+ *
+ * The fields in this model include:
+ * - id_domains: The primary key for the table, auto-incremented integer.
+ * - hostname: The hostname of the domain, in lower case.
+ * - verification_token: The random token the owner must publish in the TXT record.
+ * - verified_at: The date the domain was verified, or null while it is pending.
+ * - verified_hostname: The hostname once the domain is verified, or null while it is pending. It is unique in the whole system.
+ * - created_at: The date the domain was registered.
+ * - id_user: A foreign key referencing the 'id_user' column in the "users" table. It cascades on update and delete.
+ */
+export const DomainsModel = sequelizeDatabase.define("domains", {
+    /**
+     * Represents the unique identifier of the domain, auto-incremented and used as the primary key.
+     */
+    id_domains: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    /**
+     * Represents the hostname of the domain (e.g. "go.example.com"), up to 253 characters.
+     */
+    hostname: {
+        type: DataTypes.STRING(253),
+        allowNull: false
+    },
+    /**
+     * Represents the token the owner publishes in the DNS TXT record to verify the domain.
+     */
+    verification_token: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+    },
+    /**
+     * Represents the date the domain was verified. The domain can not be used while it is null.
+     */
+    verified_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    /**
+     * Represents the hostname of the verified domain, null while it is pending. Its unique index keeps each
+     * hostname verified only once, while the pending claims (null) do not block each other.
+     */
+    verified_hostname: {
+        type: DataTypes.STRING(253),
+        allowNull: true
+    },
+    /**
+     * Represents the date the domain was registered.
+     */
+    created_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false
+    },
+    /**
+     * Represents the user that owns the domain.
+     */
+    id_user: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: "users", // Referenced table
+            key: "id_user"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+    },
+}, {
+    /**
+     * Specifies the name of the table in the database.
+     */
+    tableName: "domains",
+    /**
+     * Disables the automatic addition of the `createdAt` and `updatedAt` fields.
+     */
+    timestamps: false,
+    /**
+     * Unique index to keep each hostname verified only once, and index to find the claims of a hostname.
+     */
+    indexes: [
+        {
+            name: 'idx_domains_verified_hostname',
+            unique: true,
+            fields: ['verified_hostname']
+        },
+        {
+            name: 'idx_domains_hostname_user',
+            fields: ['hostname', 'id_user']
+        }
+    ]
+});
@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {domainsControllerDeleteID} from "../controllers/domainsControllerDelete.js";
+
+/**
+ * The `domainsRouteDelete` variable is an instance of an Express Router.
+ * It defines the DELETE routes of the custom domains of the authenticated user.
+ */
+const domainsRouteDelete = express.Router();
+
+// Delete a domain of the user by ID
+domainsRouteDelete.delete('/api/v1/domains/:id', protectRoute("user"), domainsControllerDeleteID);
+
+export {domainsRouteDelete};
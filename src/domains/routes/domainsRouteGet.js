@@ -0,0 +1,19 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {domainsControllerGet, domainsControllerGetID} from "../controllers/domainsControllerGet.js";
+
+/**
+ * The `domainsRouteGet` variable is an instance of an Express Router.
+ * It defines the GET routes of the custom domains of the authenticated user.
+ */
+const domainsRouteGet = express.Router();
+
+// Show the domains of the user
+domainsRouteGet.get('/api/v1/domains', protectRoute("user"), domainsControllerGet);
+
+// Show a domain of the user by ID
+domainsRouteGet.get('/api/v1/domains/:id', protectRoute("user"), domainsControllerGetID);
+
+export {domainsRouteGet};
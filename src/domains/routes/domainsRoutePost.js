@@ -0,0 +1,19 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {domainsControllerCreate, domainsControllerVerify} from "../controllers/domainsControllerPost.js";
+
+/**
+ * The `domainsRoutePost` variable is an instance of an Express Router.
+ * It defines the POST routes of the custom domains of the authenticated user.
+ */
+const domainsRoutePost = express.Router();
+
+// Register a domain for the user
+domainsRoutePost.post('/api/v1/domains', protectRoute("user"), domainsControllerCreate);
+
+// Verify a domain of the user with its DNS TXT record
+domainsRoutePost.post('/api/v1/domains/:id/verify', protectRoute("user"), domainsControllerVerify);
+
+export {domainsRoutePost};
@@ -0,0 +1,313 @@
+import dns from 'dns';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import {Op, UniqueConstraintError} from 'sequelize';
+
+import {DomainsModel} from "../../models/model.js";
+import {sequelizeDatabase} from "../../../database.js";
+
+dotenv.config();
+
+/**
+ * Prefix of the name of the DNS TXT record that proves the ownership of a domain,
+ * e.g. "_linkcurt-challenge.go.example.com".
+ *
+ * @type {string}
+ */
+export const DOMAIN_CHALLENGE_PREFIX = '_linkcurt-challenge';
+
+/**
+ * Prefix of the value of the DNS TXT record, followed by the verification token of the domain.
+ *
+ * @type {string}
+ */
+export const DOMAIN_CHALLENGE_VALUE_PREFIX = 'linkcurt-verification=';
+
+/**
+ * Milliseconds the domains found by their hostname are kept in memory, see `findVerifiedDomain`.
+ */
+const DOMAIN_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Cache of the verified domains by hostname. Unknown hostnames are cached too, as null.
+ *
+ * @type {Map<string, {domain: Object|null, expires: number}>}
+ */
+const domainCache = new Map();
+
+/**
+ * Resolver of the TXT records set with `setTxtResolver`, or null to use the one of `DOMAIN_DNS_RESOLVER`.
+ *
+ * @type {Function|null}
+ */
+let txtResolver = null;
+
+/**
+ * Replaces the function used to read the TXT records of the domains, e.g. to stub the DNS in development.
+ * The resolver takes a record name and returns a promise of its records, each one as a list of strings,
+ * like `dns.promises.resolveTxt`. Pass null to go back to the configured resolver.
+ *
+ * @param {Function|null} resolver - The TXT resolver.
+ */
+export const setTxtResolver = (resolver) => {
+    txtResolver = resolver;
+};
+
+/**
+ * Reads the TXT records from `DOMAIN_DNS_STUB_RECORDS`, a JSON object with the values of each record name,
+ * e.g. `{"_linkcurt-challenge.go.example.com": ["linkcurt-verification=..."]}`. It fails like the DNS
+ * when the record is not set.
+ *
+ * @param {string} name - The name of the record.
+ * @returns {Promise<string[][]>} The records.
+ */
+const stubResolveTxt = async (name) => {
+    const records = JSON.parse(process.env.DOMAIN_DNS_STUB_RECORDS || '{}');
+    const values = records[name];
+
+    if (!values) {
+        const error = new Error("queryTxt ENOTFOUND " + name);
+        error.code = 'ENOTFOUND';
+        throw error;
+    }
+
+    return [].concat(values).map((value) => [String(value)]);
+};
+
+/**
+ * Returns the function used to read the TXT records: the one set with `setTxtResolver`, otherwise the one
+ * chosen with `DOMAIN_DNS_RESOLVER`: "dns" (the default) queries the DNS, "stub" reads `DOMAIN_DNS_STUB_RECORDS`.
+ *
+ * @returns {Function} The TXT resolver.
+ */
+const getTxtResolver = () => {
+    if (txtResolver) {
+        return txtResolver;
+    }
+
+    return process.env.DOMAIN_DNS_RESOLVER === 'stub' ? stubResolveTxt : dns.promises.resolveTxt;
+};
+
+/**
+ * Returns the number of days a pending domain can be verified, read from `DOMAIN_PENDING_DAYS`. Defaults to 7.
+ * The expired claims are deleted, so the hostname can be claimed again.
+ *
+ * @returns {number} The number of days.
+ */
+export const getPendingDomainDays = () => {
+    return Number(process.env.DOMAIN_PENDING_DAYS) || 7;
+};
+
+/**
+ * Returns the date a pending domain can no longer be verified.
+ *
+ * @param {Object} domain - The domain.
+ * @returns {Date|null} The expiration date of the claim, or null if the domain is verified.
+ */
+export const getDomainClaimExpiration = (domain) => {
+    if (domain.verified_at) {
+        return null;
+    }
+
+    return new Date(new Date(domain.created_at).getTime() + getPendingDomainDays() * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Deletes the expired pending claims of a hostname, see `getPendingDomainDays`.
+ *
+ * @param {string} hostname - The hostname.
+ * @returns {Promise<number>} The number of claims deleted.
+ */
+export const purgeExpiredDomainClaims = (hostname) => {
+    return DomainsModel.destroy({
+        where: {
+            hostname: hostname,
+            verified_at: null,
+            created_at: {[Op.lte]: new Date(Date.now() - getPendingDomainDays() * 24 * 60 * 60 * 1000)}
+        }
+    });
+};
+
+/**
+ * Marks a pending domain as verified and deletes the pending claims of the same hostname by other users.
+ *
+ * @param {Object} domain - The domain, whose verification record has been found.
+ * @returns {Promise<string|null>} An error message if the hostname has already been verified by another user, otherwise null.
+ */
+export const markDomainVerified = async (domain) => {
+    try {
+        await sequelizeDatabase.transaction(async (transaction) => {
+            await domain.update({verified_at: new Date(), verified_hostname: domain.hostname}, {transaction});
+
+            await DomainsModel.destroy({
+                where: {
+                    hostname: domain.hostname,
+                    verified_at: null,
+                    id_domains: {[Op.ne]: domain.id_domains}
+                },
+                transaction
+            });
+        });
+    } catch (error) {
+        if (error instanceof UniqueConstraintError) {
+            await domain.reload();
+            return "Domain already verified by another user: " + domain.hostname;
+        }
+        throw error;
+    }
+
+    clearDomainCache();
+
+    return null;
+};
+
+/**
+ * Generates a new random verification token for a domain.
+ *
+ * @returns {string} The token, 32 hexadecimal characters.
+ */
+export const generateVerificationToken = () => {
+    return crypto.randomBytes(16).toString('hex');
+};
+
+/**
+ * Returns the DNS TXT record the owner of a domain must publish to verify it.
+ *
+ * @param {Object} domain - The domain.
+ * @returns {{type: string, name: string, value: string}} The type, the name and the value of the record.
+ */
+export const getVerificationRecord = (domain) => {
+    return {
+        type: 'TXT',
+        name: `${DOMAIN_CHALLENGE_PREFIX}.${domain.hostname}`,
+        value: DOMAIN_CHALLENGE_VALUE_PREFIX + domain.verification_token
+    };
+};
+
+/**
+ * Checks that the verification record of a domain (see `getVerificationRecord`) is published in its DNS.
+ *
+ * @param {Object} domain - The domain.
+ * @returns {Promise<string|null>} An error message if the record is not found, otherwise null.
+ */
+export const verifyDomainOwnership = async (domain) => {
+    const record = getVerificationRecord(domain);
+
+    let records;
+    try {
+        records = await getTxtResolver()(record.name);
+    } catch (error) {
+        return `TXT record ${record.name} not found (${error.code || error.message})`;
+    }
+
+    // Long TXT records are split in chunks of 255 characters
+    const found = records.some((chunks) => [].concat(chunks).join('').trim() === record.value);
+
+    return found ? null : `TXT record ${record.name} does not contain ${record.value}`;
+};
+
+/**
+ * Empties the cache of the verified domains. Called when a domain is verified or deleted.
+ */
+export const clearDomainCache = () => {
+    domainCache.clear();
+};
+
+/**
+ * Finds the verified domain with the given hostname. The result is kept in memory for a minute.
+ *
+ * @param {string} hostname - The hostname, e.g. the one of the request.
+ * @returns {Promise<Object|null>} The domain, or null if there is no verified domain with this hostname.
+ */
+export const findVerifiedDomain = async (hostname) => {
+    if (!hostname) {
+        return null;
+    }
+
+    const key = hostname.toLowerCase().replace(/\.$/, '');
+    const cached = domainCache.get(key);
+    if (cached && cached.expires > Date.now()) {
+        return cached.domain;
+    }
+
+    const domain = await DomainsModel.findOne({
+        where: {
+            verified_hostname: key
+        }
+    });
+
+    domainCache.set(key, {domain: domain, expires: Date.now() + DOMAIN_CACHE_TTL_MS});
+
+    return domain;
+};
+
+/**
+ * Returns the domain the short links are searched in for a hostname (see `LinksModel.domain_scope`): the ID
+ * of its verified domain, or 0 for the default short domain and every hostname that is not a custom domain.
+ *
+ * @param {string} hostname - The hostname, e.g. the one of the request.
+ * @returns {Promise<number>} The domain scope.
+ */
+export const getDomainScope = async (hostname) => {
+    const domain = await findVerifiedDomain(hostname);
+    return domain ? domain.id_domains : 0;
+};
+
+/**
+ * Returns the domain scope (see `getDomainScope`) of the short link of an API request: the one of the `domain`
+ * query parameter when it is sent, e.g. by an app served on another host, otherwise the one of the `Host` header.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @returns {Promise<number>} The domain scope.
+ */
+export const getRequestDomainScope = (req) => {
+    return getDomainScope(typeof req.query.domain === 'string' ? req.query.domain : req.hostname);
+};
+
+/**
+ * Checks that a domain exists, belongs to the given user and is verified, so its links can be created on it.
+ *
+ * The domain is optional: `undefined` and `null` (the default short domain) are always valid.
+ *
+ * @param {number|null|undefined} id_domains - The ID of the domain.
+ * @param {number} id_user - The ID of the user.
+ * @returns {Promise<string|null>} An error message if the domain can not be used, otherwise null.
+ */
+export const verifyUserDomain = async (id_domains, id_user) => {
+    if (id_domains === undefined || id_domains === null) {
+        return null;
+    }
+
+    if (!Number.isInteger(id_domains)) {
+        return "id_domains must be the ID of a domain";
+    }
+
+    const domain = await DomainsModel.findOne({
+        where: {
+            id_domains: id_domains,
+            id_user: id_user
+        }
+    });
+
+    if (!domain) {
+        return "Domain not found with id " + id_domains;
+    }
+
+    return domain.verified_at ? null : "Domain is not verified: " + domain.hostname;
+};
+
+/**
+ * Serializes a domain for the responses, adding whether it is `verified`, the `verification_record`
+ * its owner must publish (see `getVerificationRecord`) and, while it is pending, the date its claim `expires_at`.
+ *
+ * @param {Object} domain - The domain.
+ * @returns {Object} The plain object representation of the domain.
+ */
+export const serializeDomain = (domain) => {
+    return {
+        ...domain.toJSON(),
+        verified: Boolean(domain.verified_at),
+        verification_record: getVerificationRecord(domain),
+        expires_at: getDomainClaimExpiration(domain)
+    };
+};
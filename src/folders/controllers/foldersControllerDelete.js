@@ -0,0 +1,44 @@
+import {FoldersModel} from "../../models/model.js";
+
+/**
+ * Handles the deletion of a folder of the authenticated user.
+ *
+ * The subfolders are deleted with the folder. The links filed in them are kept, unfiled.
+ *
+ * @async
+ * @function foldersControllerDeleteID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the folder.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the deleted folder or an error message.
+ */
+export const foldersControllerDeleteID = async (req, res) => {
+    try {
+        const folder = await FoldersModel.findOne({
+            where: {
+                id_folders: req.params.id,
+                id_user: req.user.id_user
+            }
+        });
+
+        if (folder) {
+            await folder.destroy();
+            res.send({
+                ok: true,
+                folder: folder,
+                message: "Folder deleted"
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Folder not found with id " + req.params.id
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
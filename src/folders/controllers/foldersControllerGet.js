@@ -0,0 +1,88 @@
+import {FoldersModel} from "../../models/model.js";
+
+/**
+ * Handles the retrieval of the folders of the authenticated user, ordered by name.
+ *
+ * The folders are returned as a flat list; each one has the `id_parent` of its parent folder,
+ * or null for the folders at the root. The `id_parent` query parameter ("root" for the folders
+ * at the root) lists only the subfolders of a folder.
+ *
+ * @async
+ * @function foldersControllerGet
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.query - The query string parameters.
+ * @param {string} [req.query.id_parent] - Optional parent folder, or "root".
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the folders or an error message.
+ */
+export const foldersControllerGet = async (req, res) => {
+    try {
+        const where = {
+            id_user: req.user.id_user
+        };
+
+        if (req.query.id_parent !== undefined) {
+            where.id_parent = req.query.id_parent === 'root' ? null : req.query.id_parent;
+        }
+
+        const folders = await FoldersModel.findAll({
+            where: where,
+            order: [['name', 'ASC']]
+        });
+
+        res.status(200).send({
+            ok: true,
+            folders: folders
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Handles the retrieval of a folder of the authenticated user by its ID, with its direct subfolders.
+ *
+ * @async
+ * @function foldersControllerGetID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the folder.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the folder or an error message.
+ */
+export const foldersControllerGetID = async (req, res) => {
+    try {
+        const folder = await FoldersModel.findOne({
+            where: {
+                id_folders: req.params.id,
+                id_user: req.user.id_user
+            },
+            include: [
+                {
+                    model: FoldersModel,
+                    as: 'subfolders'
+                }
+            ]
+        });
+
+        if (folder) {
+            res.status(200).send({
+                ok: true,
+                folder: folder
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Folder not found with id " + req.params.id
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,51 @@
+import {FoldersModel} from "../../models/model.js";
+import {verifyFolderOptions} from "../../helpers/folderVerification.js";
+import {verifyUserFolder} from "../services/folderService.js";
+
+/**
+ * Handles the creation of a folder for the authenticated user.
+ *
+ * @async
+ * @function foldersControllerCreate
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.name - The name of the folder.
+ * @param {number} [req.body.id_parent] - Optional parent folder of the user; the folder is created at the root without it.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the created folder or an error message.
+ *
+ * Possible Responses:
+ * - Status 201: Sends an object with `ok: true` and the created `folder`.
+ * - Status 400: A field of the folder is invalid, or the parent folder does not belong to the user.
+ * - Status 500: Internal server error.
+ */
+export const foldersControllerCreate = async (req, res) => {
+    try {
+        const {name, id_parent} = req.body;
+
+        const folderError = verifyFolderOptions(req.body, true) || await verifyUserFolder(id_parent, req.user.id_user);
+        if (folderError) {
+            return res.status(400).send({
+                ok: false,
+                error: folderError
+            });
+        }
+
+        const folder = await FoldersModel.create({
+            name: name.trim(),
+            id_parent: id_parent ?? null,
+            id_user: req.user.id_user
+        });
+
+        res.status(201).send({
+            ok: true,
+            folder: folder,
+            message: "New folder created"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
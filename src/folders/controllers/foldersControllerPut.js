@@ -0,0 +1,101 @@
+import {FoldersModel} from "../../models/model.js";
+import {verifyFolderOptions} from "../../helpers/folderVerification.js";
+import {getFolderTreeIds, verifyUserFolder} from "../services/folderService.js";
+
+/**
+ * Handles renaming or moving a folder of the authenticated user.
+ *
+ * Only the fields sent in the body are validated and updated. A folder can not be moved into
+ * itself or into one of its subfolders.
+ *
+ * @async
+ * @function foldersControllerPutID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the folder.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} [req.body.name] - The new name of the folder.
+ * @param {number|null} [req.body.id_parent] - The new parent folder, or null to move the folder to the root.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated folder or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the updated `folder`.
+ * - Status 400: A field is invalid, the parent folder does not belong to the user or is inside the folder.
+ * - Status 404: The folder does not exist for the user.
+ * - Status 500: Internal server error.
+ */
+export const foldersControllerPutID = async (req, res) => {
+    const {name, id_parent} = req.body;
+
+    const folderError = verifyFolderOptions(req.body);
+    if (folderError) {
+        return res.status(400).send({
+            ok: false,
+            error: folderError
+        });
+    }
+
+    // Keep only the fields sent in the request
+    const changes = Object.fromEntries(
+        Object.entries({
+            name: typeof name === 'string' ? name.trim() : name,
+            id_parent
+        }).filter(([, value]) => value !== undefined)
+    );
+
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).send({
+            ok: false,
+            error: "Nothing to update"
+        });
+    }
+
+    try {
+        const folder = await FoldersModel.findOne({
+            where: {
+                id_folders: req.params.id,
+                id_user: req.user.id_user
+            }
+        });
+
+        if (!folder) {
+            return res.status(404).send({
+                ok: false,
+                error: "Folder not found with id " + req.params.id
+            });
+        }
+
+        if (id_parent !== undefined && id_parent !== null) {
+            const parentError = await verifyUserFolder(id_parent, req.user.id_user);
+            if (parentError) {
+                return res.status(400).send({
+                    ok: false,
+                    error: parentError
+                });
+            }
+
+            // Moving a folder into its own tree would create a cycle
+            const tree = await getFolderTreeIds(folder.id_folders);
+            if (tree.includes(id_parent)) {
+                return res.status(400).send({
+                    ok: false,
+                    error: "A folder can not be moved into itself or one of its subfolders"
+                });
+            }
+        }
+
+        await folder.update(changes);
+
+        res.status(200).send({
+            ok: true,
+            folder: folder,
+            message: "Folder updated"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,77 @@
+import { sequelizeDatabase } from "../../../database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Represents the `FoldersModel` database model.
+ * This model defines the structure of the `folders` table, which stores the folders a user can file
+ * its links in. Folders can be nested: a folder without parent is at the root of its user.
+ *
+ * The fields in this model include:
+ * - id_folders: The primary key for the table, auto-incremented integer.
+ * - name: The name of the folder.
+ * - id_parent: Optional foreign key referencing the parent folder. The subfolders are deleted with their parent.
+ * - id_user: A foreign key referencing the 'id_user' column in the "users" table. It cascades on update and delete.
+ *
+ * A link is filed in a folder through its `id_folders` column; deleting a folder leaves its links unfiled.
+ */
+export const FoldersModel = sequelizeDatabase.define("folders", {
+    /**
+     * Represents the unique identifier of the folder, auto-incremented and used as the primary key.
+     */
+    id_folders: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    /**
+     * Represents the name of the folder, up to 100 characters.
+     */
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    /**
+     * Represents the parent folder, or null for the folders at the root.
+     */
+    id_parent: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: "folders", // Referenced table
+            key: "id_folders"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+    },
+    /**
+     * Represents the user that owns the folder.
+     */
+    id_user: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: "users", // Referenced table
+            key: "id_user"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+    },
+}, {
+    /**
+     * Specifies the name of the table in the database.
+     */
+    tableName: "folders",
+    /**
+     * Disables the automatic addition of the `createdAt` and `updatedAt` fields.
+     */
+    timestamps: false,
+    /**
+     * Index used to list the subfolders of a folder.
+     */
+    indexes: [
+        {
+            name: 'idx_folders_user_parent',
+            fields: ['id_user', 'id_parent']
+        }
+    ]
+});
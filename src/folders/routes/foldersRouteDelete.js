@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {foldersControllerDeleteID} from "../controllers/foldersControllerDelete.js";
+
+/**
+ * The `foldersRouteDelete` variable is an instance of an Express Router.
+ * It defines the DELETE routes of the folders of the authenticated user.
+ */
+const foldersRouteDelete = express.Router();
+
+// Delete a folder of the user by ID
+foldersRouteDelete.delete('/api/v1/folders/:id', protectRoute("user"), foldersControllerDeleteID);
+
+export {foldersRouteDelete};
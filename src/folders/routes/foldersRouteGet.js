@@ -0,0 +1,19 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {foldersControllerGet, foldersControllerGetID} from "../controllers/foldersControllerGet.js";
+
+/**
+ * The `foldersRouteGet` variable is an instance of an Express Router.
+ * It defines the GET routes of the folders of the authenticated user.
+ */
+const foldersRouteGet = express.Router();
+
+// Show the folders of the user
+foldersRouteGet.get('/api/v1/folders', protectRoute("user"), foldersControllerGet);
+
+// Show a folder of the user by ID, with its subfolders
+foldersRouteGet.get('/api/v1/folders/:id', protectRoute("user"), foldersControllerGetID);
+
+export {foldersRouteGet};
@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {foldersControllerCreate} from "../controllers/foldersControllerPost.js";
+
+/**
+ * The `foldersRoutePost` variable is an instance of an Express Router.
+ * It defines the POST routes of the folders of the authenticated user.
+ */
+const foldersRoutePost = express.Router();
+
+// Create a folder for the user
+foldersRoutePost.post('/api/v1/folders', protectRoute("user"), foldersControllerCreate);
+
+export {foldersRoutePost};
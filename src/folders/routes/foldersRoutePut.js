@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {foldersControllerPutID} from "../controllers/foldersControllerPut.js";
+
+/**
+ * The `foldersRoutePut` variable is an instance of an Express Router.
+ * It defines the PUT routes of the folders of the authenticated user.
+ */
+const foldersRoutePut = express.Router();
+
+// Rename or move a folder of the user by ID
+foldersRoutePut.put('/api/v1/folders/:id', protectRoute("user"), foldersControllerPutID);
+
+export {foldersRoutePut};
@@ -0,0 +1,57 @@
+import {Op} from 'sequelize';
+
+import {FoldersModel} from "../../models/model.js";
+
+/**
+ * Returns the IDs of a folder and of all its subfolders, at any depth.
+ *
+ * @param {number} id_folders - The ID of the folder.
+ * @returns {Promise<number[]>} The IDs of the folder and its descendants.
+ */
+export const getFolderTreeIds = async (id_folders) => {
+    const ids = [Number(id_folders)];
+    let level = ids;
+
+    while (level.length > 0) {
+        const children = await FoldersModel.findAll({
+            where: {
+                id_parent: {[Op.in]: level}
+            },
+            attributes: ['id_folders']
+        });
+
+        // Skip the folders already visited, in case the tree contains a cycle
+        level = children.map((child) => child.id_folders).filter((id) => !ids.includes(id));
+        ids.push(...level);
+    }
+
+    return ids;
+};
+
+/**
+ * Checks that a folder exists and belongs to the given user.
+ *
+ * The folder is optional: `undefined` and `null` (no folder) are always valid.
+ *
+ * @param {number|null|undefined} id_folders - The ID of the folder.
+ * @param {number} id_user - The ID of the user.
+ * @returns {Promise<string|null>} An error message if the folder is invalid, otherwise null.
+ */
+export const verifyUserFolder = async (id_folders, id_user) => {
+    if (id_folders === undefined || id_folders === null) {
+        return null;
+    }
+
+    if (!Number.isInteger(id_folders)) {
+        return "id_folders must be the ID of a folder";
+    }
+
+    const folder = await FoldersModel.findOne({
+        where: {
+            id_folders: id_folders,
+            id_user: id_user
+        }
+    });
+
+    return folder ? null : "Folder not found with id " + id_folders;
+};
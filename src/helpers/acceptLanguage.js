@@ -0,0 +1,25 @@
+/**
+ * Returns the preferred language of an `Accept-Language` header, taking the quality values into account.
+ *
+ * @param {string} header - The Accept-Language header of the request, e.g. "es-ES,es;q=0.9,en;q=0.8".
+ * @return {string|null} The preferred language tag in lowercase (e.g. "es-es"), or null if there is none.
+ */
+export function getPreferredLanguage(header) {
+    if (!header) {
+        return null;
+    }
+
+    const languages = header.split(',')
+        .map((part) => {
+            const [tag, ...params] = part.trim().split(';');
+            const quality = params.find((param) => param.trim().startsWith('q='));
+            return {
+                tag: tag.trim().toLowerCase(),
+                q: quality ? Number(quality.trim().substring(2)) : 1
+            };
+        })
+        .filter((language) => language.tag && language.tag !== '*' && !isNaN(language.q) && language.q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    return languages.length > 0 ? languages[0].tag : null;
+}
@@ -0,0 +1,62 @@
+/**
+ * Words that can not be used as custom aliases because they collide with
+ * the routes of the application or could be confused with official pages.
+ *
+ * @type {string[]}
+ */
+export const RESERVED_ALIASES = [
+    'api',
+    'login',
+    'logout',
+    'register',
+    'admin',
+    'docs',
+    'static',
+    'assets',
+    'health',
+    'status',
+];
+
+/**
+ * Minimum length allowed for a custom alias.
+ *
+ * @type {number}
+ */
+export const ALIAS_MIN_LENGTH = 3;
+
+/**
+ * Maximum length allowed for a custom alias. It matches the size of the `short_link` column.
+ *
+ * @type {number}
+ */
+export const ALIAS_MAX_LENGTH = 32;
+
+/**
+ * Characters allowed in the short links, as a regular expression character class:
+ * letters, digits, hyphens and underscores.
+ *
+ * @type {string}
+ */
+export const SHORT_LINK_CHARSET = 'A-Za-z0-9_-';
+
+/**
+ * Validates if the given alias follows the charset and length policy of the short links.
+ * Only letters, digits, hyphens and underscores are allowed.
+ *
+ * @param {string} alias - The custom alias to be verified.
+ * @return {boolean} True if the alias is valid, otherwise false.
+ */
+export function isValidAlias(alias) {
+    const regex = new RegExp(`^[${SHORT_LINK_CHARSET}]{${ALIAS_MIN_LENGTH},${ALIAS_MAX_LENGTH}}$`);
+    return typeof alias === 'string' && regex.test(alias);
+}
+
+/**
+ * Checks if the given alias is a reserved word. The comparison is case-insensitive.
+ *
+ * @param {string} alias - The custom alias to be checked.
+ * @return {boolean} True if the alias is reserved, otherwise false.
+ */
+export function isReservedAlias(alias) {
+    return RESERVED_ALIASES.includes(alias.toLowerCase());
+}
@@ -0,0 +1,70 @@
+import validator from 'validator';
+
+import {normalizeHostname} from "./domainVerification.js";
+
+/**
+ * Types of the blocklist entries, see `BlocklistModel`.
+ *
+ * @type {string[]}
+ */
+export const BLOCKLIST_TYPES = ['domain', 'pattern', 'hash'];
+
+/**
+ * Normalizes the value of a blocklist entry: the domains are normalized like the hostnames
+ * (see `normalizeHostname`), and the patterns and the hashes are trimmed and converted to lower case.
+ *
+ * @param {string} type - The type of the entry.
+ * @param {*} value - The value to normalize.
+ * @return {*} The normalized value, or the value itself if it is not a string.
+ */
+export function normalizeBlocklistValue(type, value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    return type === 'domain' ? normalizeHostname(value) : value.trim().toLowerCase();
+}
+
+/**
+ * Verifies a blocklist entry, with its value already normalized (see `normalizeBlocklistValue`).
+ *
+ * - `type` must be one of `BLOCKLIST_TYPES`.
+ * - `value` must be a domain name for the domains, a pattern of up to 512 characters with at least
+ *   one character that is not a `*` for the patterns, and a SHA-256 hash (64 hexadecimal characters) for the hashes.
+ * - `reason` must be a string of up to 255 characters.
+ *
+ * The reason is optional: `undefined` skips the check and `null` removes it.
+ *
+ * @param {Object} entry - The entry to verify.
+ * @param {string} entry.type - The type of the entry.
+ * @param {string} entry.value - The blocked domain, pattern or hash.
+ * @param {string|null} [entry.reason] - The reason of the entry.
+ * @return {string|null} An error message if the entry is invalid, otherwise null.
+ */
+export function verifyBlocklistEntry({type, value, reason}) {
+    if (!BLOCKLIST_TYPES.includes(type)) {
+        return "type must be one of: " + BLOCKLIST_TYPES.join(', ');
+    }
+
+    if (typeof value !== 'string') {
+        return "value is required";
+    }
+
+    if (type === 'domain' && (value.length > 253 || !validator.isFQDN(value))) {
+        return "value must be a domain name, e.g. evil.example";
+    }
+
+    if (type === 'pattern' && (value.length > 512 || value.replace(/\*/g, '') === '')) {
+        return "value must be a URL pattern of up to 512 characters, e.g. *.example.com/login*";
+    }
+
+    if (type === 'hash' && !/^[a-f0-9]{64}$/.test(value)) {
+        return "value must be a SHA-256 hash of 64 hexadecimal characters";
+    }
+
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 255)) {
+        return "reason must be a string of up to 255 characters";
+    }
+
+    return null;
+}
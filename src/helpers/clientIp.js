@@ -0,0 +1,18 @@
+/**
+ * Extracts the client IP address from an incoming Express request.
+ *
+ * IPv4 addresses mapped into IPv6 (e.g. "::ffff:127.0.0.1") are returned in their plain IPv4 form
+ * so they are stored the same way as the addresses sent by the clients.
+ *
+ * @param {Object} req - The Express request object.
+ * @return {string|null} The IP address of the client, or null if it could not be determined.
+ */
+export function getClientIp(req) {
+    const ip = req.ip || req.socket?.remoteAddress;
+
+    if (!ip) {
+        return null;
+    }
+
+    return ip.replace(/^::ffff:/, '');
+}
@@ -0,0 +1,83 @@
+/**
+ * Parses a CSV document (RFC 4180) into rows of fields.
+ *
+ * Fields can be quoted with double quotes, which allows commas, line breaks and escaped quotes ("")
+ * inside them. Both LF and CRLF line endings are accepted, a leading byte order mark is ignored and
+ * empty lines are skipped.
+ *
+ * @param {string} text - The CSV document.
+ * @param {string} [delimiter=","] - The field delimiter.
+ * @return {string[][]} The rows of the document, each one as an array of fields.
+ */
+export function parseCsvRows(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const source = text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text;
+
+    const endRow = () => {
+        row.push(field);
+        // Skip the empty lines
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
+
+/**
+ * Parses a CSV document whose first row holds the column names into an array of records.
+ *
+ * The column names are trimmed and lowercased. Missing trailing fields are left undefined.
+ *
+ * @param {string} text - The CSV document.
+ * @param {string} [delimiter=","] - The field delimiter.
+ * @return {Object[]} The records of the document, keyed by column name.
+ */
+export function parseCsv(text, delimiter = ',') {
+    const [header, ...rows] = parseCsvRows(text, delimiter);
+
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map((column) => column.trim().toLowerCase());
+
+    return rows.map((row) => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+}
@@ -0,0 +1,30 @@
+import validator from 'validator';
+
+/**
+ * Verifies the fields of a weighted destination (A/B variant).
+ *
+ * - `destination_url` must be a valid URL. It is required when the destination is created.
+ * - `weight` must be a non-negative integer; a destination with weight 0 receives no traffic.
+ * - `label` must be a string of up to 50 characters.
+ *
+ * @param {Object} destination - The fields of the destination to verify.
+ * @param {boolean} [creating=false] - True when the destination is being created, so the URL is required.
+ * @return {string|null} An error message if a field is invalid, otherwise null.
+ */
+export function verifyDestinationOptions({destination_url, weight, label}, creating = false) {
+    if (creating || destination_url !== undefined) {
+        if (!destination_url || typeof destination_url !== 'string' || !validator.isURL(destination_url.trim())) {
+            return "Invalid destination_url";
+        }
+    }
+
+    if (weight !== undefined && (!Number.isInteger(weight) || weight < 0)) {
+        return "weight must be a non-negative integer";
+    }
+
+    if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > 50)) {
+        return "label must be a string of up to 50 characters";
+    }
+
+    return null;
+}
@@ -0,0 +1,32 @@
+import validator from 'validator';
+
+import {getShortUrlBase} from "./shortUrl.js";
+
+/**
+ * Normalizes a hostname: trims it, converts it to lower case and removes the trailing dot.
+ *
+ * @param {string} hostname - The hostname to normalize.
+ * @return {string} The normalized hostname.
+ */
+export function normalizeHostname(hostname) {
+    return hostname.trim().toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Verifies the hostname of a custom domain: a fully qualified domain name of up to 253 characters,
+ * e.g. "go.example.com". IP addresses and the default short domain are refused.
+ *
+ * @param {*} hostname - The hostname to verify, already normalized (see `normalizeHostname`).
+ * @return {string|null} An error message if the hostname is invalid, otherwise null.
+ */
+export function verifyDomainHostname(hostname) {
+    if (typeof hostname !== 'string' || hostname.length > 253 || !validator.isFQDN(hostname)) {
+        return "hostname must be a fully qualified domain name, e.g. go.example.com";
+    }
+
+    if (hostname === new URL(getShortUrlBase()).hostname) {
+        return "hostname is the default short domain";
+    }
+
+    return null;
+}
@@ -0,0 +1,31 @@
+/**
+ * Escapes the characters with a special meaning in HTML, so a value can be safely
+ * inserted in the content or in the attributes of a server-rendered page.
+ *
+ * @param {string} value - The value to escape.
+ * @return {string} The escaped value.
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serializes a value to be embedded in an inline `<script>` of a server-rendered page.
+ * The characters that could close the script element are escaped.
+ *
+ * @param {*} value - The value to serialize.
+ * @return {string} The JSON representation of the value, safe inside a script element.
+ */
+export function toScriptJson(value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
@@ -0,0 +1,64 @@
+import {Op} from 'sequelize';
+
+import {EXPORT_FORMATS} from "./exportStream.js";
+
+/**
+ * Parses the query string parameters shared by the export endpoints.
+ *
+ * - `format`: "csv" (default), "ndjson" or "xlsx".
+ * - `id_user`: Only the rows of this user. Regular users can only export their own rows.
+ * - `from` and `to`: Date range (YYYY-MM-DD, both included) on the date column of the model.
+ * - `attribute` and `data`: Only the rows whose `attribute` column equals `data`, like the `/:attribute/:data` endpoints.
+ *
+ * @param {Object} query - The query string parameters of the request.
+ * @param {Object} options - The export options.
+ * @param {string} options.dateColumn - The column filtered by the date range.
+ * @param {string[]} options.columns - The exported columns, which are the only ones that can be filtered.
+ * @param {Object} options.user - The authenticated user.
+ * @return {{error: string, status: number}|{format: string, where: Object}} An error if a parameter is invalid,
+ * otherwise the format and the conditions of the export.
+ */
+export function parseExportQuery(query, {dateColumn, columns, user}) {
+    const format = query.format === undefined ? 'csv' : query.format;
+    if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+        return {status: 400, error: "format must be one of: " + Object.keys(EXPORT_FORMATS).join(', ')};
+    }
+
+    const where = {};
+
+    // Regular users only export their own rows
+    if (user.role !== 'admin') {
+        if (query.id_user !== undefined && String(query.id_user) !== String(user.id_user)) {
+            return {status: 403, error: "You can only export your own data"};
+        }
+        where.id_user = user.id_user;
+    } else if (query.id_user !== undefined) {
+        where.id_user = query.id_user;
+    }
+
+    if (query.from !== undefined || query.to !== undefined) {
+        const range = {};
+
+        if (query.from !== undefined) {
+            range[Op.gte] = new Date(`${query.from}T00:00:00`);
+        }
+        if (query.to !== undefined) {
+            range[Op.lte] = new Date(`${query.to}T23:59:59`);
+        }
+
+        if (Object.getOwnPropertySymbols(range).some((op) => isNaN(range[op].getTime()))) {
+            return {status: 400, error: "Invalid date format. Use YYYY-MM-DD."};
+        }
+
+        where[dateColumn] = range;
+    }
+
+    if (query.attribute !== undefined) {
+        if (!columns.includes(query.attribute) || typeof query.data !== 'string') {
+            return {status: 400, error: "Invalid attribute filter"};
+        }
+        where[query.attribute] = query.data;
+    }
+
+    return {format, where};
+}
@@ -0,0 +1,127 @@
+import dotenv from 'dotenv';
+
+import {writeToStream} from "./zipStream.js";
+import {writeXlsx} from "./xlsxStream.js";
+
+dotenv.config();
+
+/**
+ * Formats of the exports, with their content type and file extension.
+ *
+ * @type {Object<string, {contentType: string, extension: string}>}
+ */
+export const EXPORT_FORMATS = {
+    csv: {contentType: 'text/csv; charset=utf-8', extension: 'csv'},
+    ndjson: {contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson'},
+    xlsx: {contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx'}
+};
+
+/**
+ * Returns the number of rows read from the database in each query of an export,
+ * from `EXPORT_BATCH_SIZE` (1000 by default).
+ *
+ * @return {number} The batch size.
+ */
+export function getExportBatchSize() {
+    return Number(process.env.EXPORT_BATCH_SIZE) || 1000;
+}
+
+/**
+ * Converts a value of a database row into a value that can be exported: dates are sent in ISO format.
+ *
+ * @param {*} value - The value of the row.
+ * @return {string|number|boolean|null} The exported value.
+ */
+function exportValue(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.toISOString();
+    }
+    return value;
+}
+
+/**
+ * Builds a CSV line from a list of values.
+ *
+ * Fields with delimiters, quotes or line breaks are quoted. Text starting with a formula character
+ * (`=`, `+`, `-`, `@`) is prefixed with a quote, so spreadsheets do not run it as a formula.
+ *
+ * @param {Array} values - The values of the line.
+ * @return {string} The CSV line, ending with CRLF.
+ */
+function csvLine(values) {
+    return values.map((value) => {
+        if (value === null) {
+            return '';
+        }
+
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = "'" + text;
+        }
+
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }).join(',') + '\r\n';
+}
+
+/**
+ * Streams the rows of a query to an HTTP response as a CSV, NDJSON or XLSX file download.
+ *
+ * The first batch is read before the headers are sent, so a failing query can still be answered
+ * with an error. A failure afterwards aborts the response, so the client gets an incomplete download
+ * instead of a truncated file that looks complete.
+ *
+ * @param {Object} res - The HTTP response object.
+ * @param {Object} options - The export options.
+ * @param {string} options.format - The format of the file, one of `EXPORT_FORMATS`.
+ * @param {string} options.filename - The name of the file, without extension.
+ * @param {string[]} options.columns - The names of the exported columns.
+ * @param {AsyncIterable<Object[]>} options.batches - The batches of rows to export.
+ * @return {Promise<void>} Resolves when the file has been sent.
+ */
+export async function streamExport(res, {format, filename, columns, batches}) {
+    const iterator = batches[Symbol.asyncIterator]();
+    const first = await iterator.next();
+
+    // Batches of rows as arrays of exported values, in column order
+    async function* rows() {
+        let current = first;
+        while (!current.done) {
+            yield current.value.map((row) => columns.map((column) => exportValue(row[column])));
+            current = await iterator.next();
+        }
+    }
+
+    res.status(200);
+    res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}.${EXPORT_FORMATS[format].extension}"`);
+    res.set('Cache-Control', 'no-store');
+
+    try {
+        if (format === 'xlsx') {
+            await writeXlsx(res, columns, rows());
+        } else {
+            if (format === 'csv') {
+                await writeToStream(res, csvLine(columns));
+            }
+
+            for await (const batch of rows()) {
+                const lines = format === 'csv'
+                    ? batch.map(csvLine)
+                    : batch.map((row) => JSON.stringify(Object.fromEntries(columns.map((column, index) => [column, row[index]]))) + '\n');
+
+                await writeToStream(res, lines.join(''));
+            }
+        }
+
+        res.end();
+    } catch (error) {
+        if (!res.destroyed) {
+            console.error('Error streaming export:', error);
+        }
+        await iterator.return?.();
+        res.destroy(error);
+    }
+}
@@ -0,0 +1,23 @@
+/**
+ * Verifies the fields of a folder.
+ *
+ * - `name` must be a non-empty string of up to 100 characters. It is required when the folder is created.
+ * - `id_parent` must be a positive integer, or null for a folder at the root.
+ *
+ * @param {Object} folder - The fields of the folder to verify.
+ * @param {boolean} [creating=false] - True when the folder is being created, so the name is required.
+ * @return {string|null} An error message if a field is invalid, otherwise null.
+ */
+export function verifyFolderOptions({name, id_parent}, creating = false) {
+    if (creating || name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '' || name.trim().length > 100) {
+            return "name must have between 1 and 100 characters";
+        }
+    }
+
+    if (id_parent !== undefined && id_parent !== null && (!Number.isInteger(id_parent) || id_parent < 1)) {
+        return "id_parent must be the ID of a folder";
+    }
+
+    return null;
+}
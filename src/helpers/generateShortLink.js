@@ -1,15 +1,41 @@
+import {randomInt} from 'crypto';
 
 /**
- * Generates a random 4-character alphanumeric short link.
+ * Default alphabet used to generate short links: lowercase letters, uppercase letters and digits.
  *
- * @return {string} Returns a randomly generated 4-character string composed of uppercase, lowercase letters, and digits.
+ * @type {string}
  */
-export function generateShortLink() {
-    const char = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUWXYZ0123456789';
+export const DEFAULT_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+/**
+ * Characters that are easily confused with each other when a short link is read or typed (0/O/o, 1/l/I).
+ *
+ * @type {string}
+ */
+export const LOOK_ALIKE_CHARACTERS = '0Oo1lI';
+
+/**
+ * Removes the look-alike characters from the given alphabet.
+ *
+ * @param {string} alphabet - The alphabet to clean.
+ * @return {string} The alphabet without the characters listed in `LOOK_ALIKE_CHARACTERS`.
+ */
+export function removeLookAlikes(alphabet) {
+    return [...alphabet].filter((char) => !LOOK_ALIKE_CHARACTERS.includes(char)).join('');
+}
+
+/**
+ * Generates a random short link code.
+ *
+ * @param {Object} [options] - Generation options.
+ * @param {number} [options.length=4] - The number of characters of the code.
+ * @param {string} [options.alphabet=DEFAULT_ALPHABET] - The characters the code is made of.
+ * @return {string} Returns a randomly generated string of the requested length.
+ */
+export function generateShortLink({length = 4, alphabet = DEFAULT_ALPHABET} = {}) {
     let code = '';
-    for (let i = 0; i < 4; i++) {
-        const index = Math.floor(Math.random() * char.length);
-        code += char.charAt(index);
+    for (let i = 0; i < length; i++) {
+        code += alphabet.charAt(randomInt(alphabet.length));
     }
     return code;
 }
@@ -0,0 +1,261 @@
+import validator from 'validator';
+
+/**
+ * Verifies the expiration options of a link.
+ *
+ * - `expires_at` must be a valid date in the future.
+ * - `max_clicks` must be a positive integer.
+ *
+ * Both options are optional: `undefined` skips the check and `null` removes the option.
+ *
+ * @param {Object} options - The options to verify.
+ * @param {string|null} [options.expires_at] - The expiration date of the link.
+ * @param {number|null} [options.max_clicks] - The maximum number of visits of the link.
+ * @return {string|null} An error message if an option is invalid, otherwise null.
+ */
+export function verifyExpirationOptions({expires_at, max_clicks}) {
+    if (expires_at !== undefined && expires_at !== null) {
+        const date = new Date(expires_at);
+        if (isNaN(date.getTime())) {
+            return "Invalid expires_at date format";
+        }
+        if (date <= new Date()) {
+            return "expires_at must be a date in the future";
+        }
+    }
+
+    if (max_clicks !== undefined && max_clicks !== null) {
+        if (!Number.isInteger(max_clicks) || max_clicks < 1) {
+            return "max_clicks must be a positive integer";
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Verifies the password option of a link. It must be a string of at least 8 characters.
+ *
+ * The option is optional: `undefined` skips the check and `null` removes the password.
+ *
+ * @param {string|null} [password] - The plain password of the link.
+ * @return {string|null} An error message if the password is invalid, otherwise null.
+ */
+export function verifyPasswordOption(password) {
+    if (password !== undefined && password !== null) {
+        if (typeof password !== 'string' || password.length < 8) {
+            return "The password must have at least 8 characters";
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Verifies the activation window options of a link.
+ *
+ * - `active_from` and `active_until` must be valid dates, and `active_until` must be after `active_from`.
+ * - `fallback_url` must be a valid URL.
+ *
+ * The options are optional: `undefined` skips the check and `null` removes the option.
+ * When only one of the dates is sent, it is compared with the current value of the other one.
+ *
+ * @param {Object} options - The options to verify.
+ * @param {string|null} [options.active_from] - The date from which the link can be resolved.
+ * @param {string|null} [options.active_until] - The date until which the link can be resolved.
+ * @param {string|null} [options.fallback_url] - The URL used outside the activation window, with the http or https scheme.
+ * @param {Object} [current={}] - The current values of the link, when it is being updated.
+ * @return {string|null} An error message if an option is invalid, otherwise null.
+ */
+export function verifyActivationOptions({active_from, active_until, fallback_url}, current = {}) {
+    for (const [name, value] of Object.entries({active_from, active_until})) {
+        if (value !== undefined && value !== null && isNaN(new Date(value).getTime())) {
+            return `Invalid ${name} date format`;
+        }
+    }
+
+    const from = active_from !== undefined ? active_from : current.active_from;
+    const until = active_until !== undefined ? active_until : current.active_until;
+
+    if (from && until && new Date(until) <= new Date(from)) {
+        return "active_until must be after active_from";
+    }
+
+    if (fallback_url !== undefined && fallback_url !== null) {
+        // The visitors are redirected to it as is, so a URL without scheme would be a relative address
+        if (typeof fallback_url !== 'string'
+            || !validator.isURL(fallback_url.trim(), {protocols: ['http', 'https'], require_protocol: true})) {
+            return "Invalid fallback_url";
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Schemes that can never be used as a deep link, because they run code or embed content in the browser.
+ *
+ * @type {string[]}
+ */
+export const FORBIDDEN_DEEP_LINK_SCHEMES = ['javascript', 'data', 'vbscript', 'file'];
+
+/**
+ * Verifies the mobile deep link options of a link.
+ *
+ * - `ios_url` and `android_url` must be either a valid web URL or an app URI (e.g. "myapp://product/42").
+ * - `deep_link_fallback_page` must be a boolean.
+ *
+ * The options are optional: `undefined` skips the check and `null` removes the deep link.
+ *
+ * @param {Object} options - The options to verify.
+ * @param {string|null} [options.ios_url] - The destination for iOS devices.
+ * @param {string|null} [options.android_url] - The destination for Android devices.
+ * @param {boolean} [options.deep_link_fallback_page] - Whether the app fallback page is served.
+ * @return {string|null} An error message if an option is invalid, otherwise null.
+ */
+export function verifyDeepLinkOptions({ios_url, android_url, deep_link_fallback_page}) {
+    for (const [name, value] of Object.entries({ios_url, android_url})) {
+        if (value === undefined || value === null) {
+            continue;
+        }
+
+        const match = typeof value === 'string' ? /^([a-zA-Z][a-zA-Z0-9+.-]*):\S+$/.exec(value.trim()) : null;
+        if (!match || value.length > 2048 || FORBIDDEN_DEEP_LINK_SCHEMES.includes(match[1].toLowerCase())) {
+            return `Invalid ${name}`;
+        }
+
+        if (/^https?$/i.test(match[1]) && !validator.isURL(value.trim())) {
+            return `Invalid ${name}`;
+        }
+    }
+
+    if (deep_link_fallback_page !== undefined && typeof deep_link_fallback_page !== 'boolean') {
+        return "deep_link_fallback_page must be a boolean";
+    }
+
+    return null;
+}
+
+/**
+ * Verifies the campaign (UTM) options of a link. Each one must be a string of up to 255 characters.
+ *
+ * The options are optional: `undefined` skips the check and `null` removes the parameter.
+ *
+ * @param {Object} options - The UTM fields to verify, e.g. `{utm_source: "newsletter"}`.
+ * @return {string|null} An error message if an option is invalid, otherwise null.
+ */
+export function verifyUtmOptions(options) {
+    for (const [name, value] of Object.entries(options)) {
+        if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > 255)) {
+            return `${name} must be a string of up to 255 characters`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * HTTP statuses that can be used for the redirections.
+ *
+ * @type {number[]}
+ */
+export const REDIRECT_STATUSES = [301, 302, 307, 308];
+
+/**
+ * Verifies the redirection settings of a link, or the default ones of a user.
+ *
+ * - `forward_query` must be a boolean.
+ * - `redirect_status` must be one of `REDIRECT_STATUSES`.
+ * - `cache_control` must be a printable string of up to 255 characters.
+ *
+ * The settings are optional: `undefined` skips the check and `null` (only for links) uses the user default.
+ *
+ * @param {Object} options - The settings to verify.
+ * @param {boolean|null} [options.forward_query] - Whether the query parameters are forwarded.
+ * @param {number|null} [options.redirect_status] - The HTTP status of the redirection.
+ * @param {string|null} [options.cache_control] - The Cache-Control header of the redirection.
+ * @return {string|null} An error message if a setting is invalid, otherwise null.
+ */
+export function verifyRedirectOptions({forward_query, redirect_status, cache_control}) {
+    if (forward_query !== undefined && forward_query !== null && typeof forward_query !== 'boolean') {
+        return "forward_query must be a boolean";
+    }
+
+    if (redirect_status !== undefined && redirect_status !== null && !REDIRECT_STATUSES.includes(redirect_status)) {
+        return "redirect_status must be one of: " + REDIRECT_STATUSES.join(', ');
+    }
+
+    if (cache_control !== undefined && cache_control !== null) {
+        if (typeof cache_control !== 'string' || cache_control.length > 255 || !/^[\x20-\x7E]*$/.test(cache_control)) {
+            return "cache_control must be a printable string of up to 255 characters";
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Verifies the social card (Open Graph) options of a link.
+ *
+ * - `og_title` must be a string of up to 255 characters.
+ * - `og_description` must be a string of up to 1000 characters.
+ * - `og_image` must be a valid http(s) URL.
+ *
+ * The options are optional: `undefined` skips the check and `null` removes the override.
+ *
+ * @param {Object} options - The options to verify.
+ * @param {string|null} [options.og_title] - The title of the social card.
+ * @param {string|null} [options.og_description] - The description of the social card.
+ * @param {string|null} [options.og_image] - The URL of the image of the social card.
+ * @return {string|null} An error message if an option is invalid, otherwise null.
+ */
+export function verifyOpenGraphOptions({og_title, og_description, og_image}) {
+    if (og_title !== undefined && og_title !== null && (typeof og_title !== 'string' || og_title.length > 255)) {
+        return "og_title must be a string of up to 255 characters";
+    }
+
+    if (og_description !== undefined && og_description !== null && (typeof og_description !== 'string' || og_description.length > 1000)) {
+        return "og_description must be a string of up to 1000 characters";
+    }
+
+    if (og_image !== undefined && og_image !== null) {
+        if (typeof og_image !== 'string' || og_image.length > 2048
+            || !validator.isURL(og_image.trim(), {protocols: ['http', 'https'], require_protocol: true})) {
+            return "og_image must be a valid http(s) URL";
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Maximum length of the notes of a link.
+ *
+ * @type {number}
+ */
+export const NOTES_MAX_LENGTH = 5000;
+
+/**
+ * Verifies the descriptive fields of a link.
+ *
+ * - `title` must be a string of up to 255 characters.
+ * - `notes` must be a string of up to `NOTES_MAX_LENGTH` characters.
+ *
+ * The fields are optional: `undefined` skips the check and `null` removes the value.
+ *
+ * @param {Object} options - The fields to verify.
+ * @param {string|null} [options.title] - The title of the link.
+ * @param {string|null} [options.notes] - The notes of the link.
+ * @return {string|null} An error message if a field is invalid, otherwise null.
+ */
+export function verifyDetailsOptions({title, notes}) {
+    if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > 255)) {
+        return "title must be a string of up to 255 characters";
+    }
+
+    if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > NOTES_MAX_LENGTH)) {
+        return `notes must be a string of up to ${NOTES_MAX_LENGTH} characters`;
+    }
+
+    return null;
+}
@@ -0,0 +1,12 @@
+/**
+ * Returns the conditions that restrict a query of the links to the ones a user can manage:
+ * their own links, or every link for the admins.
+ *
+ * The links of other users are then answered as not found, so their IDs are not disclosed.
+ *
+ * @param {Object} user - The authenticated user, with its `id_user` and `role`.
+ * @return {Object} The conditions to add to the `where` of the query.
+ */
+export function ownedLinksWhere(user) {
+    return user.role === 'admin' ? {} : {id_user: user.id_user};
+}
@@ -0,0 +1,42 @@
+import {Op} from 'sequelize';
+
+/**
+ * Reads the rows of a model in batches, following its primary key (keyset pagination).
+ *
+ * Each batch is a new query starting after the last key of the previous one, so memory use is bounded
+ * by the batch size and rows inserted during the read do not shift the batches.
+ *
+ * @param {Object} model - The Sequelize model to read.
+ * @param {Object} options - The query options.
+ * @param {Object} [options.where={}] - The conditions of the query.
+ * @param {string[]} [options.attributes] - The columns to read. The primary key is always read.
+ * @param {number} [options.batchSize=1000] - The number of rows of each batch.
+ * @param {boolean} [options.paranoid=true] - False to read the soft-deleted rows of the paranoid models too.
+ * @return {AsyncGenerator<Object[]>} The batches of rows, as plain objects.
+ */
+export async function* findInBatches(model, {where = {}, attributes, batchSize = 1000, paranoid = true}) {
+    const key = model.primaryKeyAttribute;
+    let last = null;
+
+    while (true) {
+        const rows = await model.findAll({
+            where: last === null ? where : {[Op.and]: [where, {[key]: {[Op.gt]: last}}]},
+            attributes: attributes && !attributes.includes(key) ? [key, ...attributes] : attributes,
+            order: [[key, 'ASC']],
+            limit: batchSize,
+            paranoid: paranoid,
+            raw: true
+        });
+
+        if (rows.length === 0) {
+            return;
+        }
+
+        yield rows;
+
+        if (rows.length < batchSize) {
+            return;
+        }
+        last = rows[rows.length - 1][key];
+    }
+}
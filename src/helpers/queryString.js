@@ -0,0 +1,55 @@
+/**
+ * Merges query string parameters into a URL.
+ *
+ * The existing query string is kept as it is, except for the parameters that are replaced.
+ * The fragment (`#...`) of the URL is preserved. Parameters with an undefined or null value are ignored.
+ *
+ * @param {string} url - The URL to add the parameters to.
+ * @param {Object<string, string|string[]>} params - The parameters to add. Array values add the parameter several times.
+ * @param {boolean} [overwrite=true] - When true, the parameters already in the URL with the same name are replaced.
+ * When false, they are kept and the new value is not added.
+ * @return {string} The URL with the merged query string.
+ */
+export function mergeQueryParams(url, params, overwrite = true) {
+    const entries = Object.entries(params).filter(([, value]) => value !== undefined && value !== null);
+
+    if (entries.length === 0) {
+        return url;
+    }
+
+    const hashIndex = url.indexOf('#');
+    const fragment = hashIndex === -1 ? '' : url.substring(hashIndex);
+    const withoutFragment = hashIndex === -1 ? url : url.substring(0, hashIndex);
+
+    const queryIndex = withoutFragment.indexOf('?');
+    const base = queryIndex === -1 ? withoutFragment : withoutFragment.substring(0, queryIndex);
+    const query = queryIndex === -1 ? '' : withoutFragment.substring(queryIndex + 1);
+
+    const decodeKey = (pair) => {
+        const key = pair.split('=')[0];
+        try {
+            return decodeURIComponent(key.replace(/\+/g, ' '));
+        } catch (error) {
+            return key;
+        }
+    };
+
+    let pairs = query.split('&').filter((pair) => pair !== '');
+    const existingKeys = new Set(pairs.map(decodeKey));
+    const keys = new Set(entries.map(([key]) => key));
+
+    if (overwrite) {
+        pairs = pairs.filter((pair) => !keys.has(decodeKey(pair)));
+    }
+
+    for (const [key, value] of entries) {
+        if (!overwrite && existingKeys.has(key)) {
+            continue;
+        }
+        for (const item of [].concat(value)) {
+            pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(item));
+        }
+    }
+
+    return base + (pairs.length > 0 ? '?' + pairs.join('&') : '') + fragment;
+}
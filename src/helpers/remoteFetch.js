@@ -0,0 +1,192 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+/**
+ * IPv4 ranges that can not be fetched from the server: the private networks, the loopback, the link-local
+ * addresses (including the cloud metadata services), the shared and benchmark ranges, multicast and reserved.
+ *
+ * @type {Array<[string, number]>}
+ */
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+/**
+ * Converts an IPv4 address to its 32-bit number.
+ *
+ * @param {string} address - The IPv4 address.
+ * @return {number} The address as an unsigned integer.
+ */
+function ipv4ToNumber(address) {
+    return address.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+/**
+ * Checks if an IP address belongs to a private, loopback, link-local or reserved range,
+ * which the server must not fetch on behalf of the users.
+ *
+ * @param {string} address - The IPv4 or IPv6 address.
+ * @return {boolean} True if the address can not be fetched.
+ */
+export function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const value = ipv4ToNumber(address);
+        return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+            const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+            return ((value & mask) >>> 0) === ((ipv4ToNumber(base) & mask) >>> 0);
+        });
+    }
+
+    const lower = address.toLowerCase();
+
+    // IPv4-mapped addresses, e.g. "::ffff:127.0.0.1" or "::ffff:7f00:1"
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+    if (mapped) {
+        return isPrivateAddress(mapped[1]);
+    }
+    const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower);
+    if (mappedHex) {
+        const value = parseInt(mappedHex[1], 16) * 65536 + parseInt(mappedHex[2], 16);
+        return isPrivateAddress([value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join('.'));
+    }
+
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+}
+
+/**
+ * Checks that a URL can be fetched from the server: it must be an http(s) URL whose host
+ * only resolves to public addresses, unless the private addresses are allowed.
+ *
+ * @param {URL} url - The parsed URL.
+ * @param {boolean} [allowPrivateAddresses=false] - Whether the private addresses can be reached.
+ * @return {Promise<string|null>} An error message if the URL can not be fetched, otherwise null.
+ */
+async function verifyRemoteUrl(url, allowPrivateAddresses = false) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return "Only http(s) URLs can be fetched";
+    }
+
+    if (allowPrivateAddresses) {
+        return null;
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{address: host}] : await dns.lookup(host, {all: true});
+    } catch (error) {
+        return "Could not resolve " + host;
+    }
+
+    if (addresses.length === 0 || addresses.some(({address}) => isPrivateAddress(address))) {
+        return "The URL points to a private address";
+    }
+
+    return null;
+}
+
+/**
+ * Reads the body of a response, up to a maximum size.
+ *
+ * @param {Response} response - The fetch response.
+ * @param {number} maxBytes - The maximum size of the body.
+ * @return {Promise<Buffer|null>} The body, or null if it is larger than the maximum.
+ */
+async function readBody(response, maxBytes) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of response.body ?? []) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            return null;
+        }
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Fetches a URL given by a user, protecting the server from being used to reach its internal network.
+ *
+ * The host of the URL, and of every redirection, must resolve to public addresses (see `isPrivateAddress`).
+ * The redirections are followed one by one up to `maxRedirects`, and the request is aborted after `timeoutMs`.
+ *
+ * @param {string} url - The URL to fetch.
+ * @param {Object} [options] - The options of the request.
+ * @param {string} [options.method='GET'] - The HTTP method, "GET" or "HEAD".
+ * @param {number} [options.timeoutMs=5000] - The time after which the request is aborted, including the redirections.
+ * @param {number} [options.maxBytes=1048576] - The maximum size of the body. Larger bodies are rejected.
+ * @param {number} [options.maxRedirects=3] - The maximum number of redirections followed.
+ * @param {Object} [options.headers] - Additional request headers.
+ * @param {boolean} [options.skipBody=false] - Whether the body is discarded instead of read, e.g. to only check the status.
+ * @param {boolean} [options.allowPrivateAddresses=false] - Whether the private addresses can be reached. Only for trusted
+ * configurations, e.g. to test against a local server.
+ * @return {Promise<{error: string}|{status: number, url: string, redirects: number, contentType: string|null, body: Buffer|null}>}
+ * An error message if the URL could not be fetched, otherwise the final status, URL and content type, the number of
+ * redirections followed and the body (null for HEAD requests and when it is skipped).
+ */
+export async function fetchRemote(url, {
+    method = 'GET', timeoutMs = 5000, maxBytes = 1048576, maxRedirects = 3, headers = {}, skipBody = false,
+    allowPrivateAddresses = false
+} = {}) {
+    const signal = AbortSignal.timeout(timeoutMs);
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+        let parsed;
+        try {
+            parsed = new URL(current);
+        } catch (error) {
+            return {error: "Invalid URL: " + current};
+        }
+
+        const urlError = await verifyRemoteUrl(parsed, allowPrivateAddresses);
+        if (urlError) {
+            return {error: urlError};
+        }
+
+        let response;
+        try {
+            response = await fetch(parsed, {method, headers, redirect: 'manual', signal});
+        } catch (error) {
+            return {error: error.name === 'TimeoutError' ? "The request timed out" : "Could not fetch the URL: " + (error.cause?.code ?? error.message)};
+        }
+
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+            await response.body?.cancel();
+
+            if (redirects >= maxRedirects) {
+                return {error: "Too many redirections"};
+            }
+            current = new URL(location, parsed).toString();
+            continue;
+        }
+
+        let body = null;
+        if (skipBody) {
+            await response.body?.cancel();
+        } else if (method !== 'HEAD') {
+            try {
+                body = await readBody(response, maxBytes);
+            } catch (error) {
+                return {error: error.name === 'TimeoutError' ? "The request timed out" : "Could not read the response"};
+            }
+            if (body === null) {
+                return {error: `The response is larger than ${maxBytes} bytes`};
+            }
+        }
+
+        return {
+            status: response.status,
+            url: parsed.toString(),
+            redirects: redirects,
+            contentType: response.headers.get('content-type'),
+            body: body
+        };
+    }
+}
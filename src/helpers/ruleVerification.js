@@ -0,0 +1,75 @@
+import validator from 'validator';
+
+/**
+ * Device types a redirection rule can match.
+ *
+ * @type {string[]}
+ */
+export const RULE_DEVICES = ['desktop', 'mobile', 'tablet'];
+
+/**
+ * Checks if the given IANA time zone is supported.
+ *
+ * @param {string} timezone - The time zone to check, e.g. "Europe/Madrid".
+ * @return {boolean} True if the time zone is valid, otherwise false.
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-GB', {timeZone: timezone});
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Verifies the fields of a redirection rule.
+ *
+ * The fields are optional, except `destination_url` when the rule is created:
+ * `undefined` skips the check and `null` removes the condition (or, for the `timezone`, resets it to "UTC").
+ *
+ * @param {Object} rule - The fields of the rule to verify.
+ * @param {boolean} [creating=false] - True when the rule is being created, so the destination is required.
+ * @return {string|null} An error message if a field is invalid, otherwise null.
+ */
+export function verifyRuleOptions(rule, creating = false) {
+    const {priority, country, os, device, language, time_from, time_until, timezone, destination_url} = rule;
+
+    if (creating || destination_url !== undefined) {
+        if (!destination_url || typeof destination_url !== 'string' || !validator.isURL(destination_url.trim())) {
+            return "Invalid destination_url";
+        }
+    }
+
+    if (priority !== undefined && !Number.isInteger(priority)) {
+        return "priority must be an integer";
+    }
+
+    if (country !== undefined && country !== null && !/^[A-Za-z]{2}$/.test(country)) {
+        return "country must be a two-letter country code";
+    }
+
+    if (os !== undefined && os !== null && (typeof os !== 'string' || os.length > 20)) {
+        return "os must be a string of up to 20 characters";
+    }
+
+    if (device !== undefined && device !== null && !RULE_DEVICES.includes(device)) {
+        return "device must be one of: " + RULE_DEVICES.join(', ');
+    }
+
+    if (language !== undefined && language !== null && !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language)) {
+        return "Invalid language tag";
+    }
+
+    for (const [name, value] of Object.entries({time_from, time_until})) {
+        if (value !== undefined && value !== null && !/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(value)) {
+            return `${name} must use the HH:MM format`;
+        }
+    }
+
+    if (timezone !== undefined && timezone !== null && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+        return "Invalid timezone";
+    }
+
+    return null;
+}
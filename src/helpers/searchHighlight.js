@@ -0,0 +1,50 @@
+import {escapeHtml} from "./escapeHtml.js";
+
+/**
+ * Builds a case-insensitive pattern matching any of the search terms, longest first
+ * so a term is not cut by a shorter one it contains.
+ *
+ * @param {string[]} terms - The search terms.
+ * @return {RegExp} The pattern, with the matched term in its only group.
+ */
+function termsPattern(terms) {
+    const sorted = [...terms].sort((a, b) => b.length - a.length);
+    return new RegExp('(' + sorted.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|') + ')', 'gi');
+}
+
+/**
+ * Highlights the search terms found in a text.
+ *
+ * The text is HTML-escaped and every match is wrapped in a `<mark>` element, so the result can be
+ * inserted as HTML by the clients. When `snippetLength` is set and the text is longer, only a fragment
+ * around the first match is kept, with "…" where it was cut.
+ *
+ * @param {string|null} text - The text to highlight.
+ * @param {string[]} terms - The search terms.
+ * @param {number} [snippetLength] - Maximum length of the fragment kept around the first match.
+ * @return {string|null} The highlighted HTML, or null if the text does not contain any term.
+ */
+export function highlightText(text, terms, snippetLength) {
+    if (typeof text !== 'string' || terms.length === 0) {
+        return null;
+    }
+
+    const pattern = termsPattern(terms);
+    const first = text.search(pattern);
+    if (first === -1) {
+        return null;
+    }
+
+    let fragment = text;
+    if (snippetLength && text.length > snippetLength) {
+        // Keep some context before the first match
+        const start = Math.max(0, Math.min(first - Math.floor(snippetLength / 4), text.length - snippetLength));
+        fragment = (start > 0 ? '…' : '') + text.substring(start, start + snippetLength)
+            + (start + snippetLength < text.length ? '…' : '');
+    }
+
+    // The split keeps the matches at the odd positions
+    return fragment.split(pattern)
+        .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
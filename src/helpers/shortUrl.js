@@ -0,0 +1,49 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Returns the base URL of the short links without a custom domain, read from `SHORT_URL_BASE`.
+ * Defaults to "https://linkcurter.com".
+ *
+ * @return {string} The base URL, without the trailing slash.
+ */
+export function getShortUrlBase() {
+    return (process.env.SHORT_URL_BASE || 'https://linkcurter.com').replace(/\/+$/, '');
+}
+
+/**
+ * Builds the full short URL of a link, on its custom domain when it has one, otherwise on the
+ * default short domain (see `getShortUrlBase`). The custom domains are always served over HTTPS.
+ *
+ * @param {Object} link - The link.
+ * @param {string} link.short_link - The short link (code or alias) of the link.
+ * @param {Object} [link.domain] - The custom domain of the link, with its `hostname`.
+ * @return {string} The short URL, e.g. "https://go.example.com/abcd".
+ */
+export function buildShortUrl(link) {
+    const base = link.domain && link.domain.hostname ? `https://${link.domain.hostname}` : getShortUrlBase();
+    return `${base}/${encodeURIComponent(link.short_link)}`;
+}
+
+/**
+ * Splits a short link, or a full short URL, into its hostname and its code.
+ * The scheme of the URL is optional, e.g. "go.example.com/abcd" and "https://go.example.com/abcd" both
+ * give the hostname "go.example.com" and the code "abcd".
+ *
+ * @param {string} value - The short link or the short URL.
+ * @return {{hostname: string|null, shortLink: string}} The hostname of the URL in lower case, or null when
+ * only the code was given, and the code.
+ */
+export function parseShortUrl(value) {
+    if (!value.includes('/')) {
+        return {hostname: null, shortLink: value};
+    }
+
+    try {
+        const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : 'http://' + value);
+        return {hostname: url.hostname, shortLink: decodeURIComponent(url.pathname.replace(/^\/+|\/+$/g, ''))};
+    } catch (error) {
+        return {hostname: null, shortLink: value};
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Maximum length of the name of a tag. It matches the size of the `name` column of the tags.
+ *
+ * @type {number}
+ */
+export const TAG_NAME_MAX_LENGTH = 50;
+
+/**
+ * Verifies the name of a tag: a non-empty string of up to `TAG_NAME_MAX_LENGTH` characters, without
+ * the `|` and `;` separators used by the bulk uploads.
+ *
+ * @param {*} name - The name to verify.
+ * @return {string|null} An error message if the name is invalid, otherwise null.
+ */
+export function verifyTagName(name) {
+    if (typeof name !== 'string' || name.trim() === '' || name.trim().length > TAG_NAME_MAX_LENGTH || /[|;]/.test(name)) {
+        return `Tag names must have between 1 and ${TAG_NAME_MAX_LENGTH} characters, without '|' or ';'`;
+    }
+
+    return null;
+}
+
+/**
+ * Verifies the tags of a link: a list of valid tag names (see `verifyTagName`).
+ *
+ * The tags are optional: `undefined` skips the check, and an empty list removes every tag.
+ *
+ * @param {*} tags - The names of the tags.
+ * @return {string|null} An error message if the tags are invalid, otherwise null.
+ */
+export function verifyTagNames(tags) {
+    if (tags === undefined) {
+        return null;
+    }
+
+    if (!Array.isArray(tags)) {
+        return "tags must be a list of tag names";
+    }
+
+    for (const name of tags) {
+        const error = verifyTagName(name);
+        if (error) {
+            return error;
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,77 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Query parameters added by the ad networks and the social networks to track the clicks.
+ * They do not change the page, so they can be ignored when looking for duplicated links.
+ *
+ * @type {string[]}
+ */
+export const TRACKING_PARAMS = [
+    'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid',
+    'li_fat_id', 'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl'
+];
+
+/**
+ * Returns whether the tracking parameters are stripped when the URLs are normalized,
+ * read from `URL_NORMALIZE_STRIP_TRACKING` (false by default).
+ *
+ * @return {boolean} True if the tracking parameters are stripped.
+ */
+export function isTrackingStripEnabled() {
+    return process.env.URL_NORMALIZE_STRIP_TRACKING === 'true';
+}
+
+/**
+ * Adds the "http://" scheme to a URL without one, e.g. "example.com/page", so it is not sent
+ * as a relative address when the visitors are redirected to it.
+ *
+ * @param {string} url - The URL.
+ * @return {string} The trimmed URL, with "http://" prepended if it had no scheme.
+ */
+export function withDefaultScheme(url) {
+    const trimmed = String(url).trim();
+
+    return /^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//.test(trimmed) ? trimmed : 'http://' + trimmed;
+}
+
+/**
+ * Normalizes a URL, so the different spellings of the same address are equal.
+ *
+ * - The scheme and the host are lowercased, and "http://" is assumed when there is no scheme.
+ * - The default ports (80 for http, 443 for https) are removed.
+ * - An empty path becomes "/".
+ * - The query parameters are sorted by name, keeping the order of the values of a repeated parameter.
+ * - The tracking parameters (see `TRACKING_PARAMS`) are removed when `stripTracking` is true.
+ *
+ * The path and the fragment are kept, since they can address different pages.
+ *
+ * @param {string} url - The URL to normalize.
+ * @param {Object} [options] - The normalization options.
+ * @param {boolean} [options.stripTracking] - Whether the tracking parameters are removed. Defaults to `isTrackingStripEnabled()`.
+ * @return {string} The normalized URL, or the trimmed URL if it can not be parsed.
+ */
+export function normalizeUrl(url, {stripTracking = isTrackingStripEnabled()} = {}) {
+    const trimmed = String(url).trim();
+
+    let parsed;
+    try {
+        parsed = new URL(withDefaultScheme(trimmed));
+    } catch (error) {
+        return trimmed;
+    }
+
+    const params = parsed.searchParams;
+
+    if (stripTracking) {
+        for (const name of TRACKING_PARAMS) {
+            params.delete(name);
+        }
+    }
+
+    params.sort();
+
+    // The URL class already lowercases the scheme and the host and removes the default ports
+    return parsed.toString();
+}
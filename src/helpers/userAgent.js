@@ -0,0 +1,273 @@
+/**
+ * Detects the operating system from a User-Agent header.
+ *
+ * @param {string} userAgent - The User-Agent header of the request.
+ * @return {string|null} The name of the operating system ("Windows", "macOS", "iOS", "Android",
+ * "ChromeOS" or "Linux"), or null if it could not be detected.
+ */
+export function detectOs(userAgent) {
+    if (!userAgent) {
+        return null;
+    }
+
+    if (/iPhone|iPad|iPod/i.test(userAgent)) {
+        return "iOS";
+    }
+    if (/Android/i.test(userAgent)) {
+        return "Android";
+    }
+    if (/Windows/i.test(userAgent)) {
+        return "Windows";
+    }
+    if (/CrOS/i.test(userAgent)) {
+        return "ChromeOS";
+    }
+    if (/Mac OS X|Macintosh/i.test(userAgent)) {
+        return "macOS";
+    }
+    if (/Linux/i.test(userAgent)) {
+        return "Linux";
+    }
+
+    return null;
+}
+
+/**
+ * Detects the type of device from a User-Agent header.
+ *
+ * @param {string} userAgent - The User-Agent header of the request.
+ * @return {string} "tablet", "mobile" or "desktop". Desktop is returned when nothing else matches.
+ */
+export function detectDeviceType(userAgent) {
+    if (!userAgent) {
+        return "desktop";
+    }
+
+    if (/iPad|Tablet|Android(?!.*Mobile)/i.test(userAgent)) {
+        return "tablet";
+    }
+    if (/Mobi|iPhone|iPod|Android/i.test(userAgent)) {
+        return "mobile";
+    }
+
+    return "desktop";
+}
+
+/**
+ * User-Agent patterns of the known crawlers that fetch the links to build the link previews
+ * (social networks and chat apps) or to index them (search engines).
+ *
+ * @type {RegExp}
+ */
+const CRAWLER_PATTERN = new RegExp([
+    'facebookexternalhit', 'facebookcatalog', 'Facebot', 'meta-externalagent', 'Twitterbot', 'LinkedInBot',
+    'Slackbot', 'Slack-ImgProxy', 'Discordbot', 'TelegramBot', 'WhatsApp/', 'SkypeUriPreview', 'Pinterestbot',
+    'redditbot', 'Applebot', 'Googlebot', 'Google-InspectionTool', 'bingbot', 'BingPreview', 'YandexBot',
+    'DuckDuckBot', 'Baiduspider', 'vkShare', 'Embedly', 'Iframely', 'Mastodon/', 'Bluesky Cardyb',
+    'LINE-Parts', 'KakaoTalk-Scrap', 'Qwantify'
+].join('|'), 'i');
+
+/**
+ * Detects if a User-Agent header belongs to a known crawler, see `CRAWLER_PATTERN`.
+ *
+ * @param {string} userAgent - The User-Agent header of the request.
+ * @return {boolean} True if the request comes from a known crawler.
+ */
+export function isCrawler(userAgent) {
+    return !!userAgent && CRAWLER_PATTERN.test(userAgent);
+}
+
+/**
+ * Browsers detected by `parseUserAgent`, in the order they are tested: the browsers built on Chrome or Safari
+ * also send their tokens, so they are tested first. The version is the first group of the pattern.
+ * The `names` match the free-text names of the browser, see `normalizeBrowserName`.
+ *
+ * @type {{name: string, pattern: RegExp, names: RegExp}[]}
+ */
+const BROWSERS = [
+    {name: "Facebook", pattern: /^(?=.*FBAV\/([\d.]+))|FBAN\//, names: /facebook/i},
+    {name: "Instagram", pattern: /Instagram ([\d.]+)/, names: /instagram/i},
+    {name: "Edge", pattern: /(?:Edg|EdgA|EdgiOS|Edge)\/([\d.]+)/, names: /\bedge?\b/i},
+    {name: "Opera", pattern: /(?:OPR|OPiOS|Opera)\/([\d.]+)/, names: /\bopera\b|\bopr\b/i},
+    {name: "Samsung Internet", pattern: /SamsungBrowser\/([\d.]+)/, names: /samsung/i},
+    {name: "Yandex Browser", pattern: /YaBrowser\/([\d.]+)/, names: /yandex/i},
+    {name: "UC Browser", pattern: /UCBrowser\/([\d.]+)/, names: /\buc ?browser\b/i},
+    {name: "Vivaldi", pattern: /Vivaldi\/([\d.]+)/, names: /vivaldi/i},
+    {name: "Firefox", pattern: /(?:Firefox|FxiOS)\/([\d.]+)/, names: /firefox/i},
+    {name: "Chrome", pattern: /(?:Chrome|CriOS)\/([\d.]+)/, names: /chrom(e|ium)/i},
+    {name: "Safari", pattern: /Version\/([\d.]+).*Safari\//, names: /safari/i},
+    {name: "Internet Explorer", pattern: /MSIE ([\d.]+)|Trident\/.*rv:([\d.]+)/, names: /internet explorer|\bmsie\b|\bie\b/i}
+];
+
+/**
+ * Device vendors detected by `parseUserAgent` from the device names of the User-Agent headers.
+ *
+ * @type {{name: string, pattern: RegExp}[]}
+ */
+const DEVICE_VENDORS = [
+    {name: "Apple", pattern: /iPhone|iPad|iPod|Macintosh/},
+    {name: "Samsung", pattern: /SAMSUNG|\bSM-[A-Z]|\bGT-[A-Z]/i},
+    {name: "Google", pattern: /Pixel/},
+    {name: "Huawei", pattern: /HUAWEI|HONOR/i},
+    {name: "Xiaomi", pattern: /Xiaomi|Redmi|POCO|\bMi \d/i},
+    {name: "OnePlus", pattern: /OnePlus/i},
+    {name: "Oppo", pattern: /OPPO|\bCPH\d{4}/},
+    {name: "Vivo", pattern: /\bvivo\b/i},
+    {name: "Motorola", pattern: /\bmoto/i},
+    {name: "LG", pattern: /\bLG[-\s]|\bLM-[A-Z]/},
+    {name: "Sony", pattern: /Xperia/i},
+    {name: "Nokia", pattern: /Nokia/i},
+    {name: "Amazon", pattern: /Kindle|Silk\/|\bKF[A-Z]{2,4}\b/}
+];
+
+/**
+ * Versions of Windows by version of the Windows NT kernel.
+ * Windows 11 sends the same version as Windows 10.
+ *
+ * @type {Object<string, string>}
+ */
+const WINDOWS_VERSIONS = {
+    '10.0': "10",
+    '6.3': "8.1",
+    '6.2': "8",
+    '6.1': "7",
+    '6.0': "Vista",
+    '5.2': "XP",
+    '5.1': "XP"
+};
+
+/**
+ * User-Agent patterns of the generic bots and scripts that are not in `CRAWLER_PATTERN`.
+ *
+ * @type {RegExp}
+ */
+const BOT_PATTERN = /bot\b|crawl|spider|slurp|curl\/|wget\/|python-requests|axios\/|node-fetch|Go-http-client|HeadlessChrome/i;
+
+/**
+ * Detects the version of the operating system from a User-Agent header.
+ *
+ * @param {string} userAgent - The User-Agent header of the request.
+ * @param {string|null} os - The operating system, see `detectOs`.
+ * @return {string|null} The version, e.g. "17.4" for iOS or "10" for Windows, or null if it could not be detected.
+ */
+function detectOsVersion(userAgent, os) {
+    let match = null;
+
+    switch (os) {
+        case "iOS":
+            match = userAgent.match(/OS (\d+(?:_\d+)*) like Mac OS X/);
+            break;
+        case "Android":
+            match = userAgent.match(/Android ([\d.]+)/);
+            break;
+        case "Windows": {
+            const version = userAgent.match(/Windows NT ([\d.]+)/);
+            return version ? WINDOWS_VERSIONS[version[1]] ?? version[1] : null;
+        }
+        case "ChromeOS":
+            match = userAgent.match(/CrOS \S+ ([\d.]+)/);
+            break;
+        case "macOS":
+            match = userAgent.match(/Mac OS X (\d+(?:[_.]\d+)*)/);
+            break;
+    }
+
+    return match ? match[1].replace(/_/g, '.') : null;
+}
+
+/**
+ * Detects the browser and its version from a User-Agent header, see `BROWSERS`.
+ * The name of the crawler is returned for the requests of the known crawlers.
+ *
+ * @param {string} userAgent - The User-Agent header of the request.
+ * @return {{browser: string|null, browser_version: string|null}} The browser, or nulls if it could not be detected.
+ */
+function detectBrowser(userAgent) {
+    const crawler = userAgent.match(CRAWLER_PATTERN);
+    if (crawler) {
+        const version = userAgent.substring(crawler.index).match(/^[^\s/;]+\/([\d.]+)/);
+        return {browser: crawler[0].replace(/\/$/, ''), browser_version: version ? version[1] : null};
+    }
+
+    for (const {name, pattern} of BROWSERS) {
+        const match = userAgent.match(pattern);
+        if (match) {
+            return {browser: name, browser_version: match[1] ?? match[2] ?? null};
+        }
+    }
+
+    return {browser: null, browser_version: null};
+}
+
+/**
+ * Parses a User-Agent header into the normalized data of the visitor, stored with the visits
+ * so the statistics do not depend on the values sent by the clients.
+ *
+ * The known crawlers and the generic bots and scripts (see `BOT_PATTERN`) have the "bot" device type.
+ *
+ * @param {string} userAgent - The User-Agent header of the request.
+ * @return {{os: string|null, os_version: string|null, browser: string|null, browser_version: string|null,
+ * device_type: string|null, device_vendor: string|null}} The visitor data. Every value is null without a header;
+ * otherwise the device type is always set and the other values are null when they could not be detected.
+ */
+export function parseUserAgent(userAgent) {
+    if (!userAgent) {
+        return {os: null, os_version: null, browser: null, browser_version: null, device_type: null, device_vendor: null};
+    }
+
+    const os = detectOs(userAgent);
+    const vendor = DEVICE_VENDORS.find(({pattern}) => pattern.test(userAgent));
+
+    return {
+        os: os,
+        os_version: detectOsVersion(userAgent, os),
+        ...detectBrowser(userAgent),
+        device_type: isCrawler(userAgent) || BOT_PATTERN.test(userAgent) ? "bot" : detectDeviceType(userAgent),
+        device_vendor: vendor ? vendor.name : null
+    };
+}
+
+/**
+ * Normalizes the free-text name of an operating system, e.g. the `so` sent by the clients before the server
+ * parsed the User-Agent headers, to the names of `detectOs`.
+ *
+ * @param {string} name - The name of the operating system, e.g. "Windows 10" or "Mac OS".
+ * @return {string|null} The normalized name, or null if it is not a known operating system.
+ */
+export function normalizeOsName(name) {
+    if (!name) {
+        return null;
+    }
+
+    if (/\b(iOS|iPadOS)\b/i.test(name)) {
+        return "iOS";
+    }
+    if (/Chrome ?OS/i.test(name)) {
+        return "ChromeOS";
+    }
+    if (/\bmac/i.test(name)) {
+        return "macOS";
+    }
+    if (/Ubuntu|Debian|Fedora/i.test(name)) {
+        return "Linux";
+    }
+
+    return detectOs(name);
+}
+
+/**
+ * Normalizes the free-text name of a browser, e.g. the `web_navigator` sent by the clients before the server
+ * parsed the User-Agent headers, to the names of `BROWSERS`. A full User-Agent header is parsed as such.
+ *
+ * @param {string} name - The name of the browser, e.g. "Google Chrome" or "Mozilla Firefox".
+ * @return {string|null} The normalized name, or null if it is not a known browser.
+ */
+export function normalizeBrowserName(name) {
+    if (!name) {
+        return null;
+    }
+
+    const browser = BROWSERS.find(({pattern}) => pattern.test(name)) ?? BROWSERS.find(({names}) => names.test(name));
+
+    return browser ? browser.name : null;
+}
@@ -0,0 +1,30 @@
+import {mergeQueryParams} from "./queryString.js";
+
+/**
+ * Campaign (UTM) fields a link can have. They are stored with the same name as the query parameters.
+ *
+ * @type {string[]}
+ */
+export const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+/**
+ * Builds the URL tagged with the campaign parameters of a link.
+ *
+ * The UTM values of the link replace the parameters with the same name already in the URL;
+ * the rest of the query string and the fragment are kept.
+ *
+ * @param {string} url - The destination URL.
+ * @param {Object} link - The link instance, holding the UTM fields.
+ * @return {string} The URL with the campaign parameters.
+ */
+export function buildUtmUrl(url, link) {
+    const params = {};
+
+    for (const field of UTM_FIELDS) {
+        if (link[field]) {
+            params[field] = link[field];
+        }
+    }
+
+    return mergeQueryParams(url, params);
+}
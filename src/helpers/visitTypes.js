@@ -0,0 +1,28 @@
+/**
+ * Type of the visits recorded when the visitor is sent to the destination of a link.
+ * Only these visits count as clicks.
+ *
+ * @type {string}
+ */
+export const VISIT_TYPE_CLICK = 'click';
+
+/**
+ * Type of the visits recorded when the interstitial preview page of a link is shown.
+ *
+ * @type {string}
+ */
+export const VISIT_TYPE_PREVIEW = 'preview';
+
+/**
+ * Type of the visits recorded for the requests of the known crawlers (e.g. the link previews of the chat apps).
+ *
+ * @type {string}
+ */
+export const VISIT_TYPE_CRAWLER = 'crawler';
+
+/**
+ * All the types of visits.
+ *
+ * @type {string[]}
+ */
+export const VISIT_TYPES = [VISIT_TYPE_CLICK, VISIT_TYPE_PREVIEW, VISIT_TYPE_CRAWLER];
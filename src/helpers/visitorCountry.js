@@ -0,0 +1,17 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Returns the country of the visitor, as set by the proxy or CDN in front of the application.
+ *
+ * The name of the header is read from the `GEO_COUNTRY_HEADER` environment variable
+ * and defaults to "X-Country-Code".
+ *
+ * @param {Object} req - The Express request object.
+ * @return {string|null} The uppercase country code (e.g. "ES"), or null if the header is not present.
+ */
+export function getVisitorCountry(req) {
+    const country = req.get(process.env.GEO_COUNTRY_HEADER || 'x-country-code');
+    return country ? country.trim().toUpperCase() : null;
+}
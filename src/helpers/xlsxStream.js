@@ -0,0 +1,120 @@
+import {createZipStream} from "./zipStream.js";
+
+/**
+ * Maximum number of rows of an XLSX worksheet, including the header row.
+ *
+ * @type {number}
+ */
+export const XLSX_MAX_ROWS = 1048576;
+
+/**
+ * Maximum number of characters of an XLSX cell.
+ *
+ * @type {number}
+ */
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+/**
+ * Static parts of the workbook: a single worksheet named "Sheet1" without styles.
+ *
+ * @type {Object<string, string>}
+ */
+const WORKBOOK_FILES = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+        + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + '<sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets>'
+        + '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>'
+};
+
+/**
+ * Escapes a text for an XML document, removing the characters XML does not allow.
+ *
+ * @param {string} text - The text to escape.
+ * @return {string} The escaped text.
+ */
+function escapeXml(text) {
+    return text
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds the XML of a worksheet cell. Numbers and booleans keep their type; the other values are written as text.
+ *
+ * @param {*} value - The value of the cell.
+ * @return {string} The XML of the cell, or an empty cell for null values.
+ */
+function cellXml(value) {
+    if (value === null || value === undefined) {
+        return '<c/>';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+
+    const text = String(value).substring(0, XLSX_MAX_CELL_LENGTH);
+    return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+/**
+ * Streams an XLSX workbook with a single worksheet to the given output.
+ *
+ * The rows are written while they are read, so the workbook is never held in memory. Rows beyond
+ * the worksheet limit (`XLSX_MAX_ROWS`) are not written.
+ *
+ * @param {Object} output - The writable stream receiving the workbook, e.g. an HTTP response.
+ * @param {string[]} columns - The names of the columns, written in the header row.
+ * @param {AsyncIterable<Array[]>} batches - The batches of rows, each row being an array of values in column order.
+ * @return {Promise<void>} Resolves when the workbook has been written.
+ */
+export async function writeXlsx(output, columns, batches) {
+    const zip = createZipStream(output);
+
+    for (const [name, content] of Object.entries(WORKBOOK_FILES)) {
+        await zip.addEntry(name, [content]);
+    }
+
+    async function* sheet() {
+        yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+        yield '<row>' + columns.map(cellXml).join('') + '</row>';
+
+        let count = 1;
+        for await (const batch of batches) {
+            const rows = batch.slice(0, XLSX_MAX_ROWS - count);
+            count += rows.length;
+            yield rows.map((row) => '<row>' + row.map(cellXml).join('') + '</row>').join('');
+
+            if (count >= XLSX_MAX_ROWS) {
+                break;
+            }
+        }
+
+        yield '</sheetData></worksheet>';
+    }
+
+    await zip.addEntry('xl/worksheets/sheet1.xml', sheet());
+    await zip.finish();
+}
@@ -0,0 +1,170 @@
+import zlib from 'zlib';
+
+/**
+ * Table used to compute the CRC-32 checksums of the ZIP entries.
+ *
+ * @type {Int32Array}
+ */
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+/**
+ * Updates a CRC-32 checksum with the given data.
+ *
+ * @param {Buffer} data - The data to add to the checksum.
+ * @param {number} [crc=0] - The checksum of the previous data.
+ * @return {number} The updated checksum.
+ */
+function crc32(data, crc = 0) {
+    let c = crc ^ -1;
+    for (let i = 0; i < data.length; i++) {
+        c = CRC_TABLE[(c ^ data[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ -1) >>> 0;
+}
+
+/**
+ * Writes data to a stream, waiting for it to drain when its buffer is full.
+ *
+ * @param {Object} output - The writable stream.
+ * @param {Buffer|string} data - The data to write.
+ * @return {Promise<void>} Resolves when more data can be written.
+ * @throws {Error} If the stream has been closed, e.g. when the client disconnected.
+ */
+export async function writeToStream(output, data) {
+    if (output.destroyed) {
+        throw new Error('The output stream has been closed');
+    }
+
+    if (!output.write(data)) {
+        await new Promise((resolve) => {
+            const done = () => {
+                output.off('drain', done);
+                output.off('close', done);
+                resolve();
+            };
+            output.on('drain', done);
+            output.on('close', done);
+        });
+
+        if (output.destroyed) {
+            throw new Error('The output stream has been closed');
+        }
+    }
+}
+
+/**
+ * Creates a writer of a ZIP archive streamed to the given output.
+ *
+ * The entries are compressed with deflate while they are written, so their content is never held
+ * in memory. Their sizes and checksums are sent in a data descriptor after the content.
+ * ZIP64 is not supported: each entry and the whole archive must stay under 4 GB.
+ *
+ * @param {Object} output - The writable stream receiving the archive, e.g. an HTTP response.
+ * @return {{addEntry: Function, finish: Function}} The writer:
+ * - `addEntry(name, chunks)`: Adds an entry with the strings or buffers of an (async) iterable.
+ * - `finish()`: Writes the central directory. No entry can be added afterwards.
+ */
+export function createZipStream(output) {
+    const entries = [];
+    let offset = 0;
+
+    const write = async (data) => {
+        offset += data.length;
+        await writeToStream(output, data);
+    };
+
+    // MS-DOS date and time of the entries
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    // Bit 3: sizes in the data descriptor. Bit 11: UTF-8 names
+    const flags = 0x0808;
+
+    const addEntry = async (name, chunks) => {
+        const fileName = Buffer.from(name, 'utf8');
+        const entry = {fileName, offset, crc: 0, size: 0, compressedSize: 0};
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(flags, 6);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt16LE(dosTime, 10);
+        header.writeUInt16LE(dosDate, 12);
+        header.writeUInt16LE(fileName.length, 26);
+        await write(Buffer.concat([header, fileName]));
+
+        const deflate = zlib.createDeflateRaw();
+
+        // Send the compressed data while the content is being written
+        const pump = (async () => {
+            for await (const data of deflate) {
+                entry.compressedSize += data.length;
+                await write(data);
+            }
+        })();
+
+        try {
+            for await (const chunk of chunks) {
+                const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+                entry.crc = crc32(data, entry.crc);
+                entry.size += data.length;
+                if (!deflate.write(data)) {
+                    await Promise.race([new Promise((resolve) => deflate.once('drain', resolve)), pump]);
+                }
+            }
+            deflate.end();
+            await pump;
+        } catch (error) {
+            deflate.destroy();
+            throw error;
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await write(descriptor);
+
+        entries.push(entry);
+    };
+
+    const finish = async () => {
+        const start = offset;
+
+        for (const entry of entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(flags, 8);
+            header.writeUInt16LE(8, 10);
+            header.writeUInt16LE(dosTime, 12);
+            header.writeUInt16LE(dosDate, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.fileName.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            await write(Buffer.concat([header, entry.fileName]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await write(end);
+    };
+
+    return {addEntry, finish};
+}
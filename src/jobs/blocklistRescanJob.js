@@ -0,0 +1,33 @@
+import dotenv from 'dotenv';
+
+import {rescanLinks} from "../blocklist/services/linkScreeningService.js";
+
+dotenv.config();
+
+/**
+ * Starts the background re-scan that disables the active links whose destinations are now
+ * refused by the screening, e.g. after an entry was added to the blocklist.
+ *
+ * The re-scan runs every `BLOCKLIST_RESCAN_INTERVAL_MINUTES` minutes (60 by default).
+ * Setting the variable to 0 disables the job.
+ *
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if the job is disabled.
+ */
+export const startBlocklistRescanJob = () => {
+    const minutes = Number(process.env.BLOCKLIST_RESCAN_INTERVAL_MINUTES ?? 60);
+
+    if (!minutes) {
+        return null;
+    }
+
+    return setInterval(async () => {
+        try {
+            const count = await rescanLinks();
+            if (count > 0) {
+                console.log(count + ' links disabled by the blocklist re-scan');
+            }
+        } catch (error) {
+            console.error('Error re-scanning the links:', error);
+        }
+    }, minutes * 60 * 1000);
+};
@@ -0,0 +1,32 @@
+import dotenv from 'dotenv';
+
+import {sweepExpiredLinks} from "../links/services/linkLifecycleService.js";
+
+dotenv.config();
+
+/**
+ * Starts the background sweep that marks expired and used-up links as inactive.
+ *
+ * The sweep runs every `LINKS_SWEEP_INTERVAL_MINUTES` minutes (5 by default).
+ * Setting the variable to 0 disables the job.
+ *
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if the job is disabled.
+ */
+export const startExpiredLinksJob = () => {
+    const minutes = Number(process.env.LINKS_SWEEP_INTERVAL_MINUTES ?? 5);
+
+    if (!minutes) {
+        return null;
+    }
+
+    return setInterval(async () => {
+        try {
+            const count = await sweepExpiredLinks();
+            if (count > 0) {
+                console.log(count + ' expired links marked as inactive');
+            }
+        } catch (error) {
+            console.error('Error sweeping expired links:', error);
+        }
+    }, minutes * 60 * 1000);
+};
@@ -0,0 +1,38 @@
+import {checkDueLinks, getHealthCheckConfig} from "../linkHealthChecks/services/linkHealthService.js";
+
+/**
+ * Starts the background health checker, which checks the destinations of the active links
+ * and flags the broken ones, see `checkDueLinks`.
+ *
+ * The checker runs every `LINK_HEALTH_INTERVAL_MINUTES` minutes (60 by default).
+ * Setting the variable to 0 disables the job. A run is skipped while the previous one is still checking.
+ *
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if the job is disabled.
+ */
+export const startLinkHealthJob = () => {
+    const {intervalMinutes} = getHealthCheckConfig();
+
+    if (!intervalMinutes) {
+        return null;
+    }
+
+    let running = false;
+
+    return setInterval(async () => {
+        if (running) {
+            return;
+        }
+
+        running = true;
+        try {
+            const {checked, broken} = await checkDueLinks();
+            if (checked > 0) {
+                console.log(checked + ' links checked, ' + broken + ' broken');
+            }
+        } catch (error) {
+            console.error('Error checking the links:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalMinutes * 60 * 1000);
+};
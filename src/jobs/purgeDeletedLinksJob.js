@@ -0,0 +1,33 @@
+import dotenv from 'dotenv';
+
+import {purgeDeletedLinks} from "../links/services/linkTrashService.js";
+
+dotenv.config();
+
+/**
+ * Starts the background purge that permanently deletes the links kept in the trash
+ * for longer than `LINKS_TRASH_RETENTION_DAYS`.
+ *
+ * The purge runs every `LINKS_PURGE_INTERVAL_MINUTES` minutes (60 by default).
+ * Setting the variable to 0 disables the job.
+ *
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if the job is disabled.
+ */
+export const startPurgeDeletedLinksJob = () => {
+    const minutes = Number(process.env.LINKS_PURGE_INTERVAL_MINUTES ?? 60);
+
+    if (!minutes) {
+        return null;
+    }
+
+    return setInterval(async () => {
+        try {
+            const count = await purgeDeletedLinks();
+            if (count > 0) {
+                console.log(count + ' deleted links purged from the trash');
+            }
+        } catch (error) {
+            console.error('Error purging deleted links:', error);
+        }
+    }, minutes * 60 * 1000);
+};
@@ -0,0 +1,73 @@
+import {LinkDestinationsModel, LinksModel} from "../../models/model.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+import {unblockLinkIfAllowed} from "../../blocklist/services/linkScreeningService.js";
+
+/**
+ * Handles the deletion of a weighted destination (A/B variant) of a link.
+ *
+ * The visits assigned to the variant are kept; their reference to the variant is cleared.
+ * A link disabled by the screening becomes active again once its remaining destinations pass it.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkDestinationsControllerDeleteID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {string} req.params.idDestination - The ID of the destination.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the deleted destination or an error message.
+ */
+export const linkDestinationsControllerDeleteID = async (req, res) => {
+    try {
+        const {idDestination} = req.params;
+
+        if (isNaN(Number(idDestination))) {
+            return res.status(400).send({
+                ok: false,
+                error: "ID has to be a number"
+            });
+        }
+
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        const destination = await LinkDestinationsModel.findOne({
+            where: {
+                id_link_destinations: idDestination,
+                id_links: link.id_links
+            }
+        });
+
+        if (destination) {
+            await destination.destroy();
+            await unblockLinkIfAllowed(link);
+            res.send({
+                ok: true,
+                destination: destination,
+                message: "Destination deleted"
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Destination not found with id " + idDestination
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
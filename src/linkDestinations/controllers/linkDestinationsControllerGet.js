@@ -0,0 +1,126 @@
+import {LinkDestinationsModel, LinksModel, LinksVisitedModel} from "../../models/model.js";
+import {VISIT_TYPE_CLICK} from "../../helpers/visitTypes.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+
+/**
+ * Handles the retrieval of the weighted destinations (A/B variants) of a link.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkDestinationsControllerGet
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the destinations of the link or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the `destinations` of the link.
+ * - Status 404: The link does not exist or belongs to another user.
+ * - Status 500: Internal server error.
+ */
+export const linkDestinationsControllerGet = async (req, res) => {
+    try {
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        const destinations = await LinkDestinationsModel.findAll({
+            where: {
+                id_links: link.id_links
+            },
+            order: [['id_link_destinations', 'ASC']]
+        });
+
+        res.status(200).send({
+            ok: true,
+            destinations: destinations
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Handles the retrieval of the click statistics of a link broken down by destination (A/B variant).
+ *
+ * Every destination of the link is listed with its number of clicks. The clicks that were not
+ * assigned to any variant (e.g. sent by a redirection rule, or recorded before the destinations
+ * were added) are counted under `unassigned`. Preview page views are not counted.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkDestinationsControllerGetStats
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the statistics or an error message.
+ */
+export const linkDestinationsControllerGetStats = async (req, res) => {
+    try {
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        const destinations = await LinkDestinationsModel.findAll({
+            where: {
+                id_links: link.id_links
+            },
+            order: [['id_link_destinations', 'ASC']]
+        });
+
+        // Count the clicks of the link grouped by variant
+        const counts = await LinksVisitedModel.count({
+            where: {
+                id_links: link.id_links,
+                visit_type: VISIT_TYPE_CLICK
+            },
+            group: ['id_link_destinations']
+        });
+
+        const clicksByDestination = new Map(counts.map((row) => [row.id_link_destinations, row.count]));
+
+        res.status(200).send({
+            ok: true,
+            stats: {
+                destinations: destinations.map((destination) => ({
+                    id_link_destinations: destination.id_link_destinations,
+                    label: destination.label,
+                    destination_url: destination.destination_url,
+                    weight: destination.weight,
+                    clicks: clicksByDestination.get(destination.id_link_destinations) || 0
+                })),
+                unassigned: clicksByDestination.get(null) || 0
+            }
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,78 @@
+import {LinkDestinationsModel, LinksModel} from "../../models/model.js";
+import {verifyDestinationOptions} from "../../helpers/destinationVerification.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+import {screenLinkUrls} from "../../blocklist/services/linkScreeningService.js";
+
+/**
+ * Handles the creation of a weighted destination (A/B variant) for a link. The destination is screened (see `screenUrl`).
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkDestinationsControllerCreate
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.destination_url - The URL of the variant.
+ * @param {number} [req.body.weight=1] - The share of the traffic of the variant.
+ * @param {string} [req.body.label] - The name of the variant.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the created destination or an error message.
+ *
+ * Possible Responses:
+ * - Status 201: Sends an object with `ok: true` and the created `destination`.
+ * - Status 400: A field of the destination is invalid, or it is refused by the screening.
+ * - Status 404: The link does not exist or belongs to another user.
+ * - Status 500: Internal server error.
+ */
+export const linkDestinationsControllerCreate = async (req, res) => {
+    try {
+        const {destination_url, weight, label} = req.body;
+
+        const destinationError = verifyDestinationOptions({destination_url, weight, label}, true);
+        if (destinationError) {
+            return res.status(400).send({
+                ok: false,
+                error: destinationError
+            });
+        }
+
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        // Check the destination against the blocklists and the scheme restrictions
+        const screeningError = await screenLinkUrls({destination_url});
+        if (screeningError) {
+            return res.status(400).send({
+                ok: false,
+                error: screeningError
+            });
+        }
+
+        const destination = await LinkDestinationsModel.create({
+            destination_url, weight, label, id_links: link.id_links
+        });
+
+        res.status(201).send({
+            ok: true,
+            destination: destination,
+            message: "New destination created"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
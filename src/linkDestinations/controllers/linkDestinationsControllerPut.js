@@ -0,0 +1,94 @@
+import {LinkDestinationsModel, LinksModel} from "../../models/model.js";
+import {verifyDestinationOptions} from "../../helpers/destinationVerification.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+import {screenLinkUrls, unblockLinkIfAllowed} from "../../blocklist/services/linkScreeningService.js";
+
+/**
+ * Handles updating a weighted destination (A/B variant) of a link.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * Only the fields sent in the body (`destination_url`, `weight` and `label`) are validated and updated.
+ * A new `destination_url` is screened (see `screenUrl`), and a link disabled by the screening becomes active again
+ * once all its destinations pass it.
+ *
+ * @async
+ * @function linkDestinationsControllerPutID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {string} req.params.idDestination - The ID of the destination.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated destination or an error message.
+ */
+export const linkDestinationsControllerPutID = async (req, res) => {
+    const {destination_url, weight, label} = req.body;
+
+    const destinationError = verifyDestinationOptions({destination_url, weight, label});
+    if (destinationError) {
+        return res.status(400).send({
+            ok: false,
+            error: destinationError
+        });
+    }
+
+    // Keep only the fields sent in the request
+    const changes = Object.fromEntries(
+        Object.entries({destination_url, weight, label}).filter(([, value]) => value !== undefined)
+    );
+
+    try {
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        // Check the destination against the blocklists and the scheme restrictions
+        const screeningError = await screenLinkUrls({destination_url});
+        if (screeningError) {
+            return res.status(400).send({
+                ok: false,
+                error: screeningError
+            });
+        }
+
+        const destination = await LinkDestinationsModel.findOne({
+            where: {
+                id_link_destinations: req.params.idDestination,
+                id_links: link.id_links
+            }
+        });
+
+        if (destination) {
+            await destination.update(changes);
+
+            if (destination_url !== undefined) {
+                await unblockLinkIfAllowed(link);
+            }
+
+            res.status(200).send({
+                ok: true,
+                destination: destination,
+                message: "Destination updated"
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Destination not found with id " + req.params.idDestination
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,77 @@
+import { sequelizeDatabase } from "../../../database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Represents the `LinkDestinationsModel` database model.
+ * This model defines the structure of the `link_destinations` table, which stores the weighted
+ * destinations (A/B variants) of a link. When a link has destinations, the traffic is split across
+ * them according to their weights instead of being sent to the `original_link`.
+ *
+ * The fields in this model include:
+ * - id_link_destinations: The primary key for the table, auto-incremented integer.
+ * - label: Optional name of the variant (e.g. "A" or "landing-v2").
+ * - destination_url: The URL the visitors assigned to this variant are redirected to.
+ * - weight: The share of the traffic of the variant, relative to the weights of the other variants.
+ * - id_links: A foreign key referencing the 'id_links' column in the "links" table. It cascades on update and delete.
+ */
+export const LinkDestinationsModel = sequelizeDatabase.define("link_destinations", {
+    /**
+     * Represents the unique identifier of the destination, auto-incremented and used as the primary key.
+     */
+    id_link_destinations: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    /**
+     * Represents the name of the variant, used to identify it in the statistics.
+     */
+    label: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+    },
+    /**
+     * Represents the URL the visitors assigned to this variant are redirected to.
+     */
+    destination_url: {
+        type: DataTypes.STRING(2048),
+        allowNull: false,
+    },
+    /**
+     * Represents the share of the traffic of the variant. A destination with weight 70 and
+     * another one with weight 30 receive 70% and 30% of the visits.
+     */
+    weight: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+    },
+    /**
+     * Represents a foreign key field that establishes a relationship with the "links" table.
+     *
+     * @property {DataTypes.INTEGER} type - Specifies the data type of the field.
+     * @property {boolean} allowNull - Indicates whether null values are allowed.
+     * @property {Object} references - Defines the source of the foreign key relationship.
+     * @property {string} onUpdate - Defines the behavior when the referenced field is updated.
+     * @property {string} onDelete - Defines the behavior when the referenced field is deleted.
+     */
+    id_links: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: "links", // Referenced table
+            key: "id_links"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+    },
+}, {
+    /**
+     * Specifies the name of the table in the database.
+     */
+    tableName: "link_destinations",
+    /**
+     * Disables the automatic addition of the `createdAt` and `updatedAt` fields.
+     */
+    timestamps: false
+});
@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {linkDestinationsControllerDeleteID} from "../controllers/linkDestinationsControllerDelete.js";
+
+/**
+ * The `linkDestinationsRouteDelete` variable is an instance of an Express Router.
+ * It defines the DELETE routes of the weighted destinations (A/B variants) of a link.
+ */
+const linkDestinationsRouteDelete = express.Router();
+
+// Delete a destination of a link by ID
+linkDestinationsRouteDelete.delete('/api/v1/links/:id/destinations/:idDestination', protectRoute("user"), linkDestinationsControllerDeleteID);
+
+export {linkDestinationsRouteDelete};
@@ -0,0 +1,22 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {
+    linkDestinationsControllerGet,
+    linkDestinationsControllerGetStats
+} from "../controllers/linkDestinationsControllerGet.js";
+
+/**
+ * The `linkDestinationsRouteGet` variable is an instance of an Express Router.
+ * It defines the GET routes of the weighted destinations (A/B variants) of a link.
+ */
+const linkDestinationsRouteGet = express.Router();
+
+// Show the destinations of a link
+linkDestinationsRouteGet.get('/api/v1/links/:id/destinations', protectRoute("user"), linkDestinationsControllerGet);
+
+// Show the clicks of a link by destination
+linkDestinationsRouteGet.get('/api/v1/links/:id/destinations/stats', protectRoute("user"), linkDestinationsControllerGetStats);
+
+export {linkDestinationsRouteGet};
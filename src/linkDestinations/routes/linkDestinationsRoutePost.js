@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {linkDestinationsControllerCreate} from "../controllers/linkDestinationsControllerPost.js";
+
+/**
+ * The `linkDestinationsRoutePost` variable is an instance of an Express Router.
+ * It defines the POST routes of the weighted destinations (A/B variants) of a link.
+ */
+const linkDestinationsRoutePost = express.Router();
+
+// Create a destination for a link
+linkDestinationsRoutePost.post('/api/v1/links/:id/destinations', protectRoute("user"), linkDestinationsControllerCreate);
+
+export {linkDestinationsRoutePost};
@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {linkDestinationsControllerPutID} from "../controllers/linkDestinationsControllerPut.js";
+
+/**
+ * The `linkDestinationsRoutePut` variable is an instance of an Express Router.
+ * It defines the PUT routes of the weighted destinations (A/B variants) of a link.
+ */
+const linkDestinationsRoutePut = express.Router();
+
+// Update a destination of a link by ID
+linkDestinationsRoutePut.put('/api/v1/links/:id/destinations/:idDestination', protectRoute("user"), linkDestinationsControllerPutID);
+
+export {linkDestinationsRoutePut};
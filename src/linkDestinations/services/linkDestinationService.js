@@ -0,0 +1,62 @@
+import {createHash, randomInt} from 'crypto';
+
+import {LinkDestinationsModel} from "../../models/model.js";
+
+/**
+ * Computes a stable hash of the visitor from its IP address and user agent.
+ *
+ * @param {string|null} ip - The IP address of the visitor.
+ * @param {string|null} userAgent - The User-Agent header of the visitor.
+ * @returns {number} A 32-bit unsigned integer identifying the visitor.
+ */
+export const getVisitorHash = (ip, userAgent) => {
+    const digest = createHash('sha256').update(`${ip || ''}|${userAgent || ''}`).digest();
+    return digest.readUInt32BE(0);
+};
+
+/**
+ * Picks a destination according to the weights. The ticket is a number between 0 (included)
+ * and the sum of the weights (excluded); each destination owns a range of tickets as wide as its weight.
+ *
+ * @param {Object[]} destinations - The destinations to choose from, in a stable order.
+ * @param {number} ticket - The ticket drawn for the visitor.
+ * @returns {Object} The chosen destination.
+ */
+export const pickWeightedDestination = (destinations, ticket) => {
+    let accumulated = 0;
+    for (const destination of destinations) {
+        accumulated += destination.weight;
+        if (ticket < accumulated) {
+            return destination;
+        }
+    }
+    return destinations[destinations.length - 1];
+};
+
+/**
+ * Chooses the destination (A/B variant) of a link for a visitor.
+ *
+ * Non-sticky links draw a random ticket on every visit. Sticky links use the visitor hash as ticket,
+ * so the same visitor keeps the same variant while the destinations do not change.
+ *
+ * @param {Object} link - The link instance being resolved.
+ * @param {number} visitorHash - The hash of the visitor, see `getVisitorHash`.
+ * @returns {Promise<Object|null>} The chosen destination, or null if the link has no destinations.
+ */
+export const chooseDestination = async (link, visitorHash) => {
+    const destinations = (await LinkDestinationsModel.findAll({
+        where: {
+            id_links: link.id_links
+        },
+        order: [['id_link_destinations', 'ASC']]
+    })).filter((destination) => destination.weight > 0);
+
+    if (destinations.length === 0) {
+        return null;
+    }
+
+    const totalWeight = destinations.reduce((total, destination) => total + destination.weight, 0);
+    const ticket = link.sticky_destinations ? visitorHash % totalWeight : randomInt(totalWeight);
+
+    return pickWeightedDestination(destinations, ticket);
+};
@@ -0,0 +1,89 @@
+import {LinkHealthChecksModel, LinksModel} from "../../models/model.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+
+/**
+ * Default and maximum number of checks returned by `linkHealthChecksControllerGet`.
+ */
+const HEALTH_HISTORY_DEFAULT_LIMIT = 50;
+const HEALTH_HISTORY_MAX_LIMIT = 500;
+
+/**
+ * Builds the health summary of a link from the result of its last check.
+ *
+ * @param {Object} link - The link.
+ * @returns {Object} The `status_code`, `latency_ms`, `checked_at`, `failures` and `broken` flag of the link.
+ */
+export const serializeLinkHealth = (link) => {
+    return {
+        status_code: link.health_status_code,
+        latency_ms: link.health_latency_ms,
+        checked_at: link.health_checked_at,
+        failures: link.health_failures,
+        broken: link.broken
+    };
+};
+
+/**
+ * Handles the retrieval of the health check history of a link, the most recent check first.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkHealthChecksControllerGet
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {Object} req.query - The query string parameters.
+ * @param {string} [req.query.limit] - Optional number of checks returned, up to 500. Defaults to 50.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the health of the link and its checks, or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true`, the `health` summary of the link and its `checks`.
+ * - Status 400: The limit is invalid.
+ * - Status 404: The link does not exist or belongs to another user.
+ * - Status 500: Internal server error.
+ */
+export const linkHealthChecksControllerGet = async (req, res) => {
+    const limit = req.query.limit === undefined ? HEALTH_HISTORY_DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > HEALTH_HISTORY_MAX_LIMIT) {
+        return res.status(400).send({
+            ok: false,
+            error: `limit must be an integer between 1 and ${HEALTH_HISTORY_MAX_LIMIT}`
+        });
+    }
+
+    try {
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        const checks = await LinkHealthChecksModel.findAll({
+            where: {
+                id_links: link.id_links
+            },
+            order: [['checked_at', 'DESC'], ['id_link_health_checks', 'DESC']],
+            limit: limit
+        });
+
+        res.status(200).send({
+            ok: true,
+            health: serializeLinkHealth(link),
+            checks: checks
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
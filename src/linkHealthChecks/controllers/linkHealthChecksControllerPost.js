@@ -0,0 +1,54 @@
+import {LinksModel} from "../../models/model.js";
+import {checkLinkHealth} from "../services/linkHealthService.js";
+import {serializeLinkHealth} from "./linkHealthChecksControllerGet.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+
+/**
+ * Handles an immediate health check of the destination of a link, without waiting for the health checker.
+ * The check is recorded in the history of the link like the scheduled ones.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkHealthChecksControllerCheck
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the check and the health of the link, or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true`, the recorded `check` and the updated `health` summary of the link.
+ * - Status 404: The link does not exist or belongs to another user.
+ * - Status 500: Internal server error.
+ */
+export const linkHealthChecksControllerCheck = async (req, res) => {
+    try {
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        const check = await checkLinkHealth(link);
+        await link.reload();
+
+        res.status(200).send({
+            ok: true,
+            check: check,
+            health: serializeLinkHealth(link)
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
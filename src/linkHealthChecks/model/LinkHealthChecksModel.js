@@ -0,0 +1,110 @@
+import { sequelizeDatabase } from "../../../database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Represents the `LinkHealthChecksModel` database model.
+ * This model defines the structure of the `link_health_checks` table, which stores the history of the checks
+ * of the destination of a link made by the health checker (see `checkLinkHealth`).
+ *
+ * The fields in this model include:
+ * - id_link_health_checks: The primary key for the table, auto-incremented integer.
+ * - checked_at: The date of the check.
+ * - method: The HTTP method of the last request of the check, "HEAD" or "GET".
+ * - status_code: The HTTP status of the destination, or null when it could not be reached.
+ * - latency_ms: The time the destination took to answer, in milliseconds.
+ * - ok: Whether the destination answered with a status lower than 400.
+ * - error: The reason of the failure when the destination could not be reached (e.g. a timeout).
+ * - id_links: A foreign key referencing the 'id_links' column in the "links" table. It cascades on update and delete.
+ *
+ * The result of the last check is also stored in the link, with its `broken` flag.
+ */
+export const LinkHealthChecksModel = sequelizeDatabase.define("link_health_checks", {
+    /**
+     * Represents the unique identifier of the check, auto-incremented and used as the primary key.
+     */
+    id_link_health_checks: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    /**
+     * Represents the date of the check.
+     */
+    checked_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    /**
+     * Represents the HTTP method of the last request of the check: "HEAD", or "GET" when the destination
+     * does not accept HEAD requests.
+     */
+    method: {
+        type: DataTypes.STRING(4),
+        allowNull: false
+    },
+    /**
+     * Represents the HTTP status of the destination, after the redirections. It is null when the
+     * destination could not be reached.
+     */
+    status_code: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    /**
+     * Represents the time the destination took to answer, in milliseconds.
+     */
+    latency_ms: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    /**
+     * Represents whether the check succeeded: the destination answered with a status lower than 400.
+     */
+    ok: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false
+    },
+    /**
+     * Represents the reason of the failure when the destination could not be reached.
+     */
+    error: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    /**
+     * Represents a foreign key field that establishes a relationship with the "links" table.
+     */
+    id_links: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: "links", // Referenced table
+            key: "id_links"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+    },
+}, {
+    /**
+     * Specifies the name of the table in the database.
+     */
+    tableName: "link_health_checks",
+    /**
+     * Disables the automatic addition of the `createdAt` and `updatedAt` fields.
+     */
+    timestamps: false,
+    /**
+     * Index to list the checks of a link by date, and to purge the old ones.
+     */
+    indexes: [
+        {
+            name: 'idx_link_health_checks_link_date',
+            fields: ['id_links', 'checked_at']
+        },
+        {
+            name: 'idx_link_health_checks_date',
+            fields: ['checked_at']
+        }
+    ]
+});
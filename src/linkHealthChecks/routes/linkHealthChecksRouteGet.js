@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {linkHealthChecksControllerGet} from "../controllers/linkHealthChecksControllerGet.js";
+
+/**
+ * The `linkHealthChecksRouteGet` variable is an instance of an Express Router.
+ * It defines the GET routes of the health checks of a link.
+ */
+const linkHealthChecksRouteGet = express.Router();
+
+// Show the health check history of a link
+linkHealthChecksRouteGet.get('/api/v1/links/:id/health', protectRoute("user"), linkHealthChecksControllerGet);
+
+export {linkHealthChecksRouteGet};
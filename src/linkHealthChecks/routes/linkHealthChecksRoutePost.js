@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {linkHealthChecksControllerCheck} from "../controllers/linkHealthChecksControllerPost.js";
+
+/**
+ * The `linkHealthChecksRoutePost` variable is an instance of an Express Router.
+ * It defines the POST routes of the health checks of a link.
+ */
+const linkHealthChecksRoutePost = express.Router();
+
+// Check the destination of a link now
+linkHealthChecksRoutePost.post('/api/v1/links/:id/health/check', protectRoute("user"), linkHealthChecksControllerCheck);
+
+export {linkHealthChecksRoutePost};
@@ -0,0 +1,220 @@
+import dotenv from 'dotenv';
+import {Op} from 'sequelize';
+
+import {LinkHealthChecksModel, LinksModel} from "../../models/model.js";
+import {sequelizeDatabase} from "../../../database.js";
+import {fetchRemote} from "../../helpers/remoteFetch.js";
+
+dotenv.config();
+
+/**
+ * Values that reset the health of a link, set when its destination changes so it is checked again from scratch.
+ *
+ * @type {Object}
+ */
+export const HEALTH_RESET_VALUES = {
+    health_status_code: null,
+    health_latency_ms: null,
+    health_checked_at: null,
+    health_failures: 0,
+    broken: false
+};
+
+/**
+ * Statuses of the HEAD requests that mean the destination does not accept them: the check is retried with a GET request.
+ *
+ * @type {number[]}
+ */
+const HEAD_NOT_SUPPORTED_STATUSES = [403, 405, 501];
+
+/**
+ * Returns the configuration of the health checker, read from the environment:
+ * - `LINK_HEALTH_INTERVAL_MINUTES`: Minutes between the runs of the job, and between two checks of a link. Defaults to 60.
+ *   0 disables the job.
+ * - `LINK_HEALTH_BATCH_SIZE`: Maximum number of links checked in each run. Defaults to 200.
+ * - `LINK_HEALTH_CONCURRENCY`: Maximum number of destinations checked at the same time. Defaults to 5.
+ * - `LINK_HEALTH_TIMEOUT_MS`: Time after which a check fails, in milliseconds. Defaults to 5000.
+ * - `LINK_HEALTH_FAILURE_THRESHOLD`: Number of failed checks in a row from which a link is broken. Defaults to 3.
+ * - `LINK_HEALTH_HISTORY_DAYS`: Days the checks are kept in the history. Defaults to 30.
+ * - `LINK_HEALTH_ALLOW_PRIVATE`: When "true", the destinations on private addresses are checked too,
+ *   e.g. to test the checker against a local server. Defaults to false.
+ *
+ * @returns {{intervalMinutes: number, batchSize: number, concurrency: number, timeoutMs: number,
+ * failureThreshold: number, historyDays: number, allowPrivate: boolean}} The health checker configuration.
+ */
+export const getHealthCheckConfig = () => {
+    return {
+        intervalMinutes: Number(process.env.LINK_HEALTH_INTERVAL_MINUTES ?? 60),
+        batchSize: Number(process.env.LINK_HEALTH_BATCH_SIZE) || 200,
+        concurrency: Number(process.env.LINK_HEALTH_CONCURRENCY) || 5,
+        timeoutMs: Number(process.env.LINK_HEALTH_TIMEOUT_MS) || 5000,
+        failureThreshold: Number(process.env.LINK_HEALTH_FAILURE_THRESHOLD) || 3,
+        historyDays: Number(process.env.LINK_HEALTH_HISTORY_DAYS) || 30,
+        allowPrivate: process.env.LINK_HEALTH_ALLOW_PRIVATE === 'true'
+    };
+};
+
+/**
+ * Sends a request to a destination and measures how long it takes to answer.
+ *
+ * @param {string} url - The destination.
+ * @param {string} method - The HTTP method, "HEAD" or "GET".
+ * @param {Object} config - The health checker configuration, see `getHealthCheckConfig`.
+ * @returns {Promise<{method: string, status_code: number|null, latency_ms: number, error: string|null}>} The result of the request.
+ */
+const requestDestination = async (url, method, config) => {
+    const start = Date.now();
+
+    const response = await fetchRemote(url, {
+        method: method,
+        timeoutMs: config.timeoutMs,
+        maxRedirects: 5,
+        skipBody: true,
+        allowPrivateAddresses: config.allowPrivate
+    });
+
+    return {
+        method: method,
+        status_code: response.error ? null : response.status,
+        latency_ms: Date.now() - start,
+        error: response.error ?? null
+    };
+};
+
+/**
+ * Checks a destination: a HEAD request is sent, and a GET request when the destination does not accept it.
+ * The redirections are followed, so the status is the one of the final page.
+ * The check succeeds when the destination answers with a status lower than 400.
+ *
+ * @param {string} url - The destination. A URL without a scheme is checked as an http URL.
+ * @param {Object} [config=getHealthCheckConfig()] - The health checker configuration.
+ * @returns {Promise<{method: string, status_code: number|null, latency_ms: number, ok: boolean, error: string|null}>} The result of the check.
+ */
+export const checkDestination = async (url, config = getHealthCheckConfig()) => {
+    const target = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : 'http://' + url;
+
+    let result = await requestDestination(target, 'HEAD', config);
+    if (HEAD_NOT_SUPPORTED_STATUSES.includes(result.status_code)) {
+        result = await requestDestination(target, 'GET', config);
+    }
+
+    const ok = result.status_code !== null && result.status_code < 400;
+
+    return {
+        ...result,
+        ok: ok,
+        error: ok ? null : (result.error ?? "HTTP status " + result.status_code).substring(0, 255)
+    };
+};
+
+/**
+ * Checks the destination of a link, records the check in its history and stores the result in the link.
+ *
+ * A successful check resets the failures of the link and its `broken` flag. A failed check adds one failure,
+ * and the link is flagged as broken from `LINK_HEALTH_FAILURE_THRESHOLD` failures in a row.
+ *
+ * @param {Object} link - The link to check, with its `id_links`, `original_link` and `health_failures`.
+ * @param {Object} [config=getHealthCheckConfig()] - The health checker configuration.
+ * @returns {Promise<Object>} The recorded check.
+ */
+export const checkLinkHealth = async (link, config = getHealthCheckConfig()) => {
+    const result = await checkDestination(link.original_link, config);
+    const checked_at = new Date();
+    const failures = result.ok ? 0 : (link.health_failures ?? 0) + 1;
+
+    const check = await LinkHealthChecksModel.create({
+        ...result,
+        checked_at: checked_at,
+        id_links: link.id_links
+    });
+
+    await LinksModel.update({
+        health_status_code: result.status_code,
+        health_latency_ms: result.latency_ms,
+        health_checked_at: checked_at,
+        health_failures: failures,
+        broken: failures >= config.failureThreshold
+    }, {
+        where: {id_links: link.id_links}
+    });
+
+    return check;
+};
+
+/**
+ * Calls a function for each item with at most `limit` calls running at the same time.
+ *
+ * @param {Array} items - The items.
+ * @param {number} limit - The maximum number of calls running at the same time.
+ * @param {Function} fn - The async function called with each item.
+ * @returns {Promise<void>}
+ */
+const forEachWithConcurrency = async (items, limit, fn) => {
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            await fn(items[next++]);
+        }
+    };
+
+    await Promise.all(Array.from({length: Math.min(limit, items.length)}, worker));
+};
+
+/**
+ * Checks the destinations of the active links due for a check: the ones never checked first, then the ones
+ * checked more than `LINK_HEALTH_INTERVAL_MINUTES` minutes ago, the oldest first. At most `LINK_HEALTH_BATCH_SIZE`
+ * links are checked, `LINK_HEALTH_CONCURRENCY` at a time. The checks older than `LINK_HEALTH_HISTORY_DAYS` are purged.
+ *
+ * A failed check of a link is logged and does not stop the others. Its check date is still updated, so it goes
+ * back to the end of the queue and the links that can not be checked do not take the whole batch of every run.
+ *
+ * @returns {Promise<{checked: number, broken: number}>} The number of links checked and how many of them are broken.
+ */
+export const checkDueLinks = async () => {
+    const config = getHealthCheckConfig();
+    const dueBefore = new Date(Date.now() - config.intervalMinutes * 60 * 1000);
+
+    const links = await LinksModel.findAll({
+        where: {
+            status: "active",
+            [Op.or]: [
+                {health_checked_at: null},
+                {health_checked_at: {[Op.lte]: dueBefore}}
+            ]
+        },
+        attributes: ['id_links', 'original_link', 'health_failures'],
+        // The links never checked first, whatever the database does with the nulls
+        order: [
+            [sequelizeDatabase.literal('links.health_checked_at IS NULL'), 'DESC'],
+            ['health_checked_at', 'ASC'],
+            ['id_links', 'ASC']
+        ],
+        limit: config.batchSize
+    });
+
+    let broken = 0;
+
+    await forEachWithConcurrency(links, config.concurrency, async (link) => {
+        try {
+            const check = await checkLinkHealth(link, config);
+            if (!check.ok && link.health_failures + 1 >= config.failureThreshold) {
+                broken++;
+            }
+        } catch (error) {
+            console.error('Error checking the link ' + link.id_links + ':', error);
+            await LinksModel.update({health_checked_at: new Date()}, {where: {id_links: link.id_links}})
+                .catch((updateError) => console.error(updateError));
+        }
+    });
+
+    await LinkHealthChecksModel.destroy({
+        where: {
+            checked_at: {
+                [Op.lt]: new Date(Date.now() - config.historyDays * 24 * 60 * 60 * 1000)
+            }
+        }
+    });
+
+    return {checked: links.length, broken};
+};
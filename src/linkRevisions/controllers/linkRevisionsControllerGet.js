@@ -0,0 +1,78 @@
+import {LinkRevisionsModel, LinksModel, LinksVisitedModel, UsersModel} from "../../models/model.js";
+import {sequelizeDatabase} from "../../../database.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+
+/**
+ * Handles the retrieval of the edit history of a link, the most recent revision first.
+ *
+ * Each revision has its editor (ID, name and email) and the number of visits recorded while it was live.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkRevisionsControllerGet
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the history of the link or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true`, the live `revision` and the `revisions` of the link.
+ * - Status 404: The link does not exist or belongs to another user.
+ * - Status 500: Internal server error.
+ */
+export const linkRevisionsControllerGet = async (req, res) => {
+    try {
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        const revisions = await LinkRevisionsModel.findAll({
+            where: {
+                id_links: link.id_links
+            },
+            include: [
+                {
+                    model: UsersModel,
+                    as: 'editor',
+                    attributes: ['id_user', 'name', 'email']
+                }
+            ],
+            order: [['revision', 'DESC']]
+        });
+
+        const visits = await LinksVisitedModel.findAll({
+            where: {
+                id_links: link.id_links
+            },
+            attributes: ['revision', [sequelizeDatabase.fn('COUNT', sequelizeDatabase.col('id_links_visited')), 'visits']],
+            group: ['revision'],
+            raw: true
+        });
+        const visitsByRevision = new Map(visits.map((row) => [row.revision, Number(row.visits)]));
+
+        res.status(200).send({
+            ok: true,
+            revision: link.revision,
+            revisions: revisions.map((revision) => ({
+                ...revision.toJSON(),
+                visits: visitsByRevision.get(revision.revision) ?? 0
+            }))
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,103 @@
+import {LinkRevisionsModel, LinksModel} from "../../models/model.js";
+import {sequelizeDatabase} from "../../../database.js";
+import {REVISION_ACTION_ROLLBACK, updateLinkWithRevision} from "../services/linkRevisionService.js";
+import {normalizeUrl} from "../../helpers/urlNormalization.js";
+import {screenLinkUrls} from "../../blocklist/services/linkScreeningService.js";
+import {HEALTH_RESET_VALUES} from "../../linkHealthChecks/services/linkHealthService.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+
+/**
+ * Handles the rollback of a link to the destination of a previous revision.
+ *
+ * The rollback does not delete the history: it is recorded as a new revision, with the authenticated
+ * user as editor and the number of the restored revision in `rollback_of`.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkRevisionsControllerRollback
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {string} req.params.revision - The number of the revision to restore.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the link and the new revision, or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true`, the updated `link` and the new `revision`.
+ * - Status 400: The link already has the destination of the revision, or it is refused by the screening (see `screenUrl`).
+ * - Status 404: The link or the revision does not exist, or the link belongs to another user.
+ * - Status 500: Internal server error.
+ */
+export const linkRevisionsControllerRollback = async (req, res) => {
+    try {
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        const target = await LinkRevisionsModel.findOne({
+            where: {
+                id_links: link.id_links,
+                revision: req.params.revision
+            }
+        });
+
+        if (!target) {
+            return res.status(404).send({
+                ok: false,
+                error: "Revision not found: " + req.params.revision
+            });
+        }
+
+        if (target.original_link === link.original_link) {
+            return res.status(400).send({
+                ok: false,
+                error: "The link already has the destination of revision " + target.revision
+            });
+        }
+
+        // The previous destination may have been blocked since then
+        const screeningError = await screenLinkUrls({original_link: target.original_link});
+        if (screeningError) {
+            return res.status(400).send({
+                ok: false,
+                error: screeningError
+            });
+        }
+
+        const revision = await sequelizeDatabase.transaction((transaction) => {
+            const changes = {
+                original_link: target.original_link,
+                normalized_link: normalizeUrl(target.original_link),
+                ...HEALTH_RESET_VALUES
+            };
+
+            return updateLinkWithRevision(link, changes, {
+                id_editor: req.user.id_user,
+                action: REVISION_ACTION_ROLLBACK,
+                rollback_of: target.revision
+            }, transaction);
+        });
+
+        res.status(200).send({
+            ok: true,
+            link: link,
+            revision: revision,
+            message: "Link rolled back to revision " + target.revision
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,128 @@
+import { sequelizeDatabase } from "../../../database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Represents the `LinkRevisionsModel` database model.
+ * This model defines the structure of the `link_revisions` table, which stores the edit history of a link.
+ * A revision is recorded when the link is created and after each change, with the destination that was
+ * live from then on, so any previous destination can be restored.
+ *
+ * The fields in this model include:
+ * - id_link_revisions: The primary key for the table, auto-incremented integer.
+ * - revision: The number of the revision within its link, starting at 1.
+ * - action: "create", "update" or "rollback".
+ * - original_link: The destination of the link after the change.
+ * - changes: The fields changed by the edit, with their new values. The password is replaced by whether the link has one.
+ * - rollback_of: The revision restored by a rollback.
+ * - id_editor: The user that made the change. It is null for the revisions recorded for the links created before the history.
+ * - created_at: The date of the change.
+ * - id_links: A foreign key referencing the 'id_links' column in the "links" table. It cascades on update and delete.
+ *
+ * The live revision of a link is stored in its `revision` field, and recorded with each visit.
+ */
+export const LinkRevisionsModel = sequelizeDatabase.define("link_revisions", {
+    /**
+     * Represents the unique identifier of the revision, auto-incremented and used as the primary key.
+     */
+    id_link_revisions: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    /**
+     * Represents the number of the revision within its link: 1 for the creation, then one more for each change.
+     */
+    revision: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    /**
+     * Represents what produced the revision: "create", "update" or "rollback".
+     */
+    action: {
+        type: DataTypes.STRING(10),
+        allowNull: false
+    },
+    /**
+     * Represents the destination of the link from this revision on.
+     */
+    original_link: {
+        type: DataTypes.STRING(2048),
+        allowNull: false
+    },
+    /**
+     * Represents the fields changed by the edit, with their new values, e.g. `{"original_link": "https://..."}`.
+     * It is null for the creation of the link.
+     */
+    changes: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    /**
+     * Represents the number of the revision whose destination was restored, for the rollbacks.
+     */
+    rollback_of: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    /**
+     * Represents the date of the change.
+     */
+    created_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    /**
+     * Represents the user that made the change. The reference is cleared when the user is deleted,
+     * so the history of the link is kept.
+     */
+    id_editor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: "users", // Referenced table
+            key: "id_user"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL"
+    },
+    /**
+     * Represents a foreign key field that establishes a relationship with the "links" table.
+     *
+     * @property {DataTypes.INTEGER} type - Specifies the data type of the field.
+     * @property {boolean} allowNull - Indicates whether null values are allowed.
+     * @property {Object} references - Defines the source of the foreign key relationship.
+     * @property {string} onUpdate - Defines the behavior when the referenced field is updated.
+     * @property {string} onDelete - Defines the behavior when the referenced field is deleted.
+     */
+    id_links: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: "links", // Referenced table
+            key: "id_links"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+    },
+}, {
+    /**
+     * Specifies the name of the table in the database.
+     */
+    tableName: "link_revisions",
+    /**
+     * Disables the automatic addition of the `createdAt` and `updatedAt` fields.
+     */
+    timestamps: false,
+    /**
+     * Each link has a single revision with each number.
+     */
+    indexes: [
+        {
+            name: 'idx_link_revisions_link_revision',
+            unique: true,
+            fields: ['id_links', 'revision']
+        }
+    ]
+});
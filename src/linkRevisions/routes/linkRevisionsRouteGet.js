@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {linkRevisionsControllerGet} from "../controllers/linkRevisionsControllerGet.js";
+
+/**
+ * The `linkRevisionsRouteGet` variable is an instance of an Express Router.
+ * It defines the GET routes of the edit history of a link.
+ */
+const linkRevisionsRouteGet = express.Router();
+
+// Show the history of a link
+linkRevisionsRouteGet.get('/api/v1/links/:id/revisions', protectRoute("user"), linkRevisionsControllerGet);
+
+export {linkRevisionsRouteGet};
@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {linkRevisionsControllerRollback} from "../controllers/linkRevisionsControllerPost.js";
+
+/**
+ * The `linkRevisionsRoutePost` variable is an instance of an Express Router.
+ * It defines the POST routes of the edit history of a link.
+ */
+const linkRevisionsRoutePost = express.Router();
+
+// Roll a link back to the destination of a previous revision
+linkRevisionsRoutePost.post('/api/v1/links/:id/revisions/:revision/rollback', protectRoute("user"), linkRevisionsControllerRollback);
+
+export {linkRevisionsRoutePost};
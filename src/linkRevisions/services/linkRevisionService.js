@@ -0,0 +1,120 @@
+import {LinkRevisionsModel} from "../../models/model.js";
+
+/**
+ * Action of the revision recorded when a link is created.
+ *
+ * @type {string}
+ */
+export const REVISION_ACTION_CREATE = "create";
+
+/**
+ * Action of the revisions recorded when a link is changed.
+ *
+ * @type {string}
+ */
+export const REVISION_ACTION_UPDATE = "update";
+
+/**
+ * Action of the revisions recorded when the destination of a previous revision is restored.
+ *
+ * @type {string}
+ */
+export const REVISION_ACTION_ROLLBACK = "rollback";
+
+/**
+ * Fields updated with a change that are not recorded in the history, because they are not edited by the users.
+ */
+const UNTRACKED_FIELDS = [
+    'revision', 'normalized_link', 'failed_attempts', 'locked_until',
+    'health_status_code', 'health_latency_ms', 'health_checked_at', 'health_failures', 'broken'
+];
+
+/**
+ * Builds the `changes` stored in a revision from the values sent to `link.update()`.
+ * The hashed password is never stored: it is replaced by whether the link has a password.
+ *
+ * @param {Object} changes - The changed fields and their new values.
+ * @returns {Object} The changes to record.
+ */
+const describeChanges = (changes) => {
+    const recorded = Object.fromEntries(
+        Object.entries(changes).filter(([field]) => !UNTRACKED_FIELDS.includes(field))
+    );
+
+    if (recorded.password !== undefined) {
+        recorded.password = recorded.password !== null;
+    }
+
+    return recorded;
+};
+
+/**
+ * Records the first revision of a new link.
+ *
+ * @param {Object} link - The created link.
+ * @param {number} id_editor - The ID of the user that created the link.
+ * @param {Object} [transaction] - The transaction of the creation.
+ * @returns {Promise<Object>} The created revision.
+ */
+export const recordInitialRevision = (link, id_editor, transaction) => {
+    return LinkRevisionsModel.create({
+        id_links: link.id_links,
+        revision: link.revision,
+        action: REVISION_ACTION_CREATE,
+        original_link: link.original_link,
+        changes: null,
+        id_editor: id_editor
+    }, {transaction});
+};
+
+/**
+ * Applies a change to a link and records it as a new revision.
+ *
+ * The link is locked while its revision number is increased, so concurrent changes get consecutive numbers.
+ * The links created before the history have no revision yet: their current state is recorded first,
+ * as a creation without editor, so it can be restored too.
+ *
+ * @param {Object} link - The link to change.
+ * @param {Object} changes - The fields to update, with their new values.
+ * @param {Object} options - The description of the change.
+ * @param {number} options.id_editor - The ID of the user that makes the change.
+ * @param {string} [options.action=REVISION_ACTION_UPDATE] - `REVISION_ACTION_UPDATE` or `REVISION_ACTION_ROLLBACK`.
+ * @param {number} [options.rollback_of] - The revision restored by a rollback.
+ * @param {Object} [options.extra] - Changes made outside of the link fields (e.g. its `tags`), only recorded.
+ * @param {Object} transaction - The transaction of the change.
+ * @returns {Promise<Object>} The created revision.
+ */
+export const updateLinkWithRevision = async (link, changes, {id_editor, action = REVISION_ACTION_UPDATE, rollback_of = null, extra = {}}, transaction) => {
+    await link.reload({transaction, lock: transaction.LOCK.UPDATE});
+
+    const recorded = await LinkRevisionsModel.count({
+        where: {
+            id_links: link.id_links
+        },
+        transaction
+    });
+
+    if (recorded === 0) {
+        await LinkRevisionsModel.create({
+            id_links: link.id_links,
+            revision: link.revision,
+            action: REVISION_ACTION_CREATE,
+            original_link: link.original_link,
+            changes: null,
+            id_editor: null,
+            created_at: link.registration_date_links
+        }, {transaction});
+    }
+
+    await link.update({...changes, revision: link.revision + 1}, {transaction});
+
+    return LinkRevisionsModel.create({
+        id_links: link.id_links,
+        revision: link.revision,
+        action: action,
+        original_link: link.original_link,
+        changes: {...describeChanges(changes), ...extra},
+        rollback_of: rollback_of,
+        id_editor: id_editor
+    }, {transaction});
+};
@@ -0,0 +1,73 @@
+import {LinkRulesModel, LinksModel} from "../../models/model.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+import {unblockLinkIfAllowed} from "../../blocklist/services/linkScreeningService.js";
+
+/**
+ * Handles the deletion of a redirection rule of a link.
+ *
+ * The visits that matched the rule are kept; their reference to the rule is cleared.
+ * A link disabled by the screening becomes active again once its remaining destinations pass it.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkRulesControllerDeleteID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {string} req.params.idRule - The ID of the rule.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the deleted rule or an error message.
+ */
+export const linkRulesControllerDeleteID = async (req, res) => {
+    try {
+        const {idRule} = req.params;
+
+        if (isNaN(Number(idRule))) {
+            return res.status(400).send({
+                ok: false,
+                error: "ID has to be a number"
+            });
+        }
+
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        const rule = await LinkRulesModel.findOne({
+            where: {
+                id_link_rules: idRule,
+                id_links: link.id_links
+            }
+        });
+
+        if (rule) {
+            await rule.destroy();
+            await unblockLinkIfAllowed(link);
+            res.send({
+                ok: true,
+                rule: rule,
+                message: "Rule deleted"
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Rule not found with id " + idRule
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,109 @@
+import {LinkRulesModel, LinksModel} from "../../models/model.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+
+/**
+ * Handles the retrieval of the redirection rules of a link, in priority order.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkRulesControllerGet
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the rules of the link or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the `rules` of the link.
+ * - Status 404: The link does not exist or belongs to another user.
+ * - Status 500: Internal server error.
+ */
+export const linkRulesControllerGet = async (req, res) => {
+    try {
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        const rules = await LinkRulesModel.findAll({
+            where: {
+                id_links: link.id_links
+            },
+            order: [['priority', 'ASC'], ['id_link_rules', 'ASC']]
+        });
+
+        res.status(200).send({
+            ok: true,
+            rules: rules
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Handles the retrieval of a single redirection rule of a link.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkRulesControllerGetID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {string} req.params.idRule - The ID of the rule.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the rule or an error message.
+ */
+export const linkRulesControllerGetID = async (req, res) => {
+    try {
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        const rule = await LinkRulesModel.findOne({
+            where: {
+                id_link_rules: req.params.idRule,
+                id_links: link.id_links
+            }
+        });
+
+        if (rule) {
+            res.status(200).send({
+                ok: true,
+                rule: rule
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Rule not found with id " + req.params.idRule
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,88 @@
+import {LinkRulesModel, LinksModel} from "../../models/model.js";
+import {verifyRuleOptions} from "../../helpers/ruleVerification.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+import {screenLinkUrls} from "../../blocklist/services/linkScreeningService.js";
+
+/**
+ * Handles the creation of a redirection rule for a link.
+ *
+ * Validates the fields of the rule and creates it for the link given in the route.
+ * Only `destination_url` is required; every other condition is optional. The destination is screened (see `screenUrl`).
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkRulesControllerCreate
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {Object} req.body - The fields of the rule: `priority`, `country`, `os`, `device`, `language`,
+ * `time_from`, `time_until`, `timezone` and `destination_url`.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the created rule or an error message.
+ *
+ * Possible Responses:
+ * - Status 201: Sends an object with `ok: true` and the created `rule`.
+ * - Status 400: A field of the rule is invalid, or the destination is refused by the screening.
+ * - Status 404: The link does not exist or belongs to another user.
+ * - Status 500: Internal server error.
+ */
+export const linkRulesControllerCreate = async (req, res) => {
+    try {
+        const {priority, country, os, device, language, time_from, time_until, timezone, destination_url} = req.body;
+
+        const ruleError = verifyRuleOptions(req.body, true);
+        if (ruleError) {
+            return res.status(400).send({
+                ok: false,
+                error: ruleError
+            });
+        }
+
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        // Check the destination against the blocklists and the scheme restrictions
+        const screeningError = await screenLinkUrls({destination_url});
+        if (screeningError) {
+            return res.status(400).send({
+                ok: false,
+                error: screeningError
+            });
+        }
+
+        const rule = await LinkRulesModel.create({
+            priority,
+            country: country ? country.toUpperCase() : country,
+            os,
+            device,
+            language: language ? language.toLowerCase() : language,
+            time_from,
+            time_until,
+            timezone: timezone ?? 'UTC',
+            destination_url,
+            id_links: link.id_links
+        });
+
+        res.status(201).send({
+            ok: true,
+            rule: rule,
+            message: "New rule created"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
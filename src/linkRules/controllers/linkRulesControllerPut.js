@@ -0,0 +1,112 @@
+import {LinkRulesModel, LinksModel} from "../../models/model.js";
+import {verifyRuleOptions} from "../../helpers/ruleVerification.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+import {screenLinkUrls, unblockLinkIfAllowed} from "../../blocklist/services/linkScreeningService.js";
+
+/**
+ * Handles updating a redirection rule of a link.
+ *
+ * Only the fields sent in the body are validated and updated; `null` removes a condition.
+ * A new destination is screened (see `screenUrl`), and a link disabled by the screening becomes active again
+ * once all its destinations pass it.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function linkRulesControllerPutID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {string} req.params.idRule - The ID of the rule.
+ * @param {Object} req.body - The fields of the rule to update.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated rule or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the updated `rule`.
+ * - Status 400: A field of the rule is invalid, or the destination is refused by the screening.
+ * - Status 404: The link does not exist or belongs to another user, or the rule does not exist for this link.
+ * - Status 500: Internal server error.
+ */
+export const linkRulesControllerPutID = async (req, res) => {
+    const {priority, country, os, device, language, time_from, time_until, timezone, destination_url} = req.body;
+
+    const ruleError = verifyRuleOptions(req.body);
+    if (ruleError) {
+        return res.status(400).send({
+            ok: false,
+            error: ruleError
+        });
+    }
+
+    // Keep only the fields sent in the request
+    const changes = Object.fromEntries(
+        Object.entries({
+            priority,
+            country: country ? country.toUpperCase() : country,
+            os,
+            device,
+            language: language ? language.toLowerCase() : language,
+            time_from,
+            time_until,
+            // The time zone has no condition to remove: null resets it to its default
+            timezone: timezone === null ? 'UTC' : timezone,
+            destination_url
+        }).filter(([, value]) => value !== undefined)
+    );
+
+    try {
+        const link = await LinksModel.findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        // Check the destination against the blocklists and the scheme restrictions
+        const screeningError = await screenLinkUrls({destination_url});
+        if (screeningError) {
+            return res.status(400).send({
+                ok: false,
+                error: screeningError
+            });
+        }
+
+        const rule = await LinkRulesModel.findOne({
+            where: {
+                id_link_rules: req.params.idRule,
+                id_links: link.id_links
+            }
+        });
+
+        if (rule) {
+            await rule.update(changes);
+
+            if (destination_url !== undefined) {
+                await unblockLinkIfAllowed(link);
+            }
+
+            res.status(200).send({
+                ok: true,
+                rule: rule,
+                message: "Rule updated"
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Rule not found with id " + req.params.idRule
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
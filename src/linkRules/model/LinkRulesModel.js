@@ -0,0 +1,137 @@
+import { sequelizeDatabase } from "../../../database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Represents the `LinkRulesModel` database model.
+ * This model defines the structure of the `link_rules` table, which stores the conditional
+ * redirection rules of a link. When a link is resolved, its rules are evaluated in priority order
+ * and the destination of the first matching rule is used instead of the `original_link`.
+ *
+ * The fields in this model include:
+ * - id_link_rules: The primary key for the table, auto-incremented integer.
+ * - priority: The evaluation order of the rule; lower values are evaluated first.
+ * - country: Optional country code the visitor must come from.
+ * - os: Optional operating system the visitor must use.
+ * - device: Optional device type ("desktop", "mobile" or "tablet") the visitor must use.
+ * - language: Optional language the visitor must prefer in its Accept-Language header.
+ * - time_from / time_until: Optional time of day range ("HH:MM") in which the rule applies.
+ * - timezone: The IANA time zone used to evaluate the time of day range.
+ * - destination_url: The URL the visitor is redirected to when the rule matches.
+ * - id_links: A foreign key referencing the 'id_links' column in the "links" table. It cascades on update and delete.
+ *
+ * A rule matches when all its non-null conditions match.
+ */
+export const LinkRulesModel = sequelizeDatabase.define("link_rules", {
+    /**
+     * Represents the unique identifier of the rule, auto-incremented and used as the primary key.
+     */
+    id_link_rules: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    /**
+     * Represents the evaluation order of the rule. Rules with a lower priority are evaluated first.
+     */
+    priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    /**
+     * Represents the ISO country code (e.g. "ES") the visitor must come from.
+     */
+    country: {
+        type: DataTypes.STRING(2),
+        allowNull: true,
+    },
+    /**
+     * Represents the operating system (e.g. "Android") the visitor must use.
+     */
+    os: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+    },
+    /**
+     * Represents the type of device ("desktop", "mobile" or "tablet") the visitor must use.
+     */
+    device: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+    },
+    /**
+     * Represents the language (e.g. "es" or "es-mx") the visitor must prefer.
+     * A primary language also matches its regional variants.
+     */
+    language: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+    },
+    /**
+     * Represents the start of the time of day range in which the rule applies, in "HH:MM" format.
+     */
+    time_from: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+    },
+    /**
+     * Represents the end (exclusive) of the time of day range in which the rule applies, in "HH:MM" format.
+     * A range ending before its start wraps around midnight.
+     */
+    time_until: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+    },
+    /**
+     * Represents the IANA time zone (e.g. "Europe/Madrid") in which the time of day range is evaluated.
+     */
+    timezone: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: "UTC"
+    },
+    /**
+     * Represents the URL the visitor is redirected to when the rule matches.
+     */
+    destination_url: {
+        type: DataTypes.STRING(2048),
+        allowNull: false,
+    },
+    /**
+     * Represents a foreign key field that establishes a relationship with the "links" table.
+     *
+     * @property {DataTypes.INTEGER} type - Specifies the data type of the field.
+     * @property {boolean} allowNull - Indicates whether null values are allowed.
+     * @property {Object} references - Defines the source of the foreign key relationship.
+     * @property {string} onUpdate - Defines the behavior when the referenced field is updated.
+     * @property {string} onDelete - Defines the behavior when the referenced field is deleted.
+     */
+    id_links: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: "links", // Referenced table
+            key: "id_links"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+    },
+}, {
+    /**
+     * Specifies the name of the table in the database.
+     */
+    tableName: "link_rules",
+    /**
+     * Disables the automatic addition of the `createdAt` and `updatedAt` fields.
+     */
+    timestamps: false,
+    /**
+     * Index used to load the rules of a link in priority order.
+     */
+    indexes: [
+        {
+            name: 'idx_link_rules_link_priority',
+            fields: ['id_links', 'priority']
+        }
+    ]
+});
@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {linkRulesControllerDeleteID} from "../controllers/linkRulesControllerDelete.js";
+
+/**
+ * The `linkRulesRouteDelete` variable is an instance of an Express Router.
+ * It defines the DELETE routes of the redirection rules of a link.
+ */
+const linkRulesRouteDelete = express.Router();
+
+// Delete a rule of a link by ID
+linkRulesRouteDelete.delete('/api/v1/links/:id/rules/:idRule', protectRoute("user"), linkRulesControllerDeleteID);
+
+export {linkRulesRouteDelete};
@@ -0,0 +1,19 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {linkRulesControllerGet, linkRulesControllerGetID} from "../controllers/linkRulesControllerGet.js";
+
+/**
+ * The `linkRulesRouteGet` variable is an instance of an Express Router.
+ * It defines the GET routes of the redirection rules of a link.
+ */
+const linkRulesRouteGet = express.Router();
+
+// Show the rules of a link
+linkRulesRouteGet.get('/api/v1/links/:id/rules', protectRoute("user"), linkRulesControllerGet);
+
+// Show a rule of a link by ID
+linkRulesRouteGet.get('/api/v1/links/:id/rules/:idRule', protectRoute("user"), linkRulesControllerGetID);
+
+export {linkRulesRouteGet};
@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {linkRulesControllerCreate} from "../controllers/linkRulesControllerPost.js";
+
+/**
+ * The `linkRulesRoutePost` variable is an instance of an Express Router.
+ * It defines the POST routes of the redirection rules of a link.
+ */
+const linkRulesRoutePost = express.Router();
+
+// Create a rule for a link
+linkRulesRoutePost.post('/api/v1/links/:id/rules', protectRoute("user"), linkRulesControllerCreate);
+
+export {linkRulesRoutePost};
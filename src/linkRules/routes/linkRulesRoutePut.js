@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {linkRulesControllerPutID} from "../controllers/linkRulesControllerPut.js";
+
+/**
+ * The `linkRulesRoutePut` variable is an instance of an Express Router.
+ * It defines the PUT routes of the redirection rules of a link.
+ */
+const linkRulesRoutePut = express.Router();
+
+// Update a rule of a link by ID
+linkRulesRoutePut.put('/api/v1/links/:id/rules/:idRule', protectRoute("user"), linkRulesControllerPutID);
+
+export {linkRulesRoutePut};
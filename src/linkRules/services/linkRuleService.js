@@ -0,0 +1,95 @@
+import {LinkRulesModel} from "../../models/model.js";
+
+/**
+ * Returns the current time of day in the given time zone, in "HH:MM" format.
+ *
+ * @param {Date} now - The reference date.
+ * @param {string} timezone - The IANA time zone.
+ * @returns {string} The time of day, e.g. "09:30".
+ */
+const getTimeOfDay = (now, timezone) => {
+    return new Intl.DateTimeFormat('en-GB', {
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+        timeZone: timezone
+    }).format(now);
+};
+
+/**
+ * Checks if the time of day is inside the range of the rule.
+ * A range ending before its start wraps around midnight (e.g. "22:00" to "06:00").
+ *
+ * @param {Object} rule - The rule instance.
+ * @param {Date} now - The reference date.
+ * @returns {boolean} True if the rule has no time range or the time of day is inside it.
+ */
+const matchesTimeOfDay = (rule, now) => {
+    if (!rule.time_from && !rule.time_until) {
+        return true;
+    }
+
+    const time = getTimeOfDay(now, rule.timezone || 'UTC');
+    const from = rule.time_from || '00:00';
+    const until = rule.time_until || '24:00';
+
+    if (from <= until) {
+        return time >= from && time < until;
+    }
+    return time >= from || time < until;
+};
+
+/**
+ * Checks if the rule matches the visitor. A rule matches when all its non-null conditions match.
+ *
+ * @param {Object} rule - The rule instance.
+ * @param {Object} visitor - The data of the visitor.
+ * @param {string|null} visitor.country - The country code of the visitor.
+ * @param {string|null} visitor.os - The operating system of the visitor.
+ * @param {string} visitor.device - The device type of the visitor.
+ * @param {string|null} visitor.language - The preferred language of the visitor.
+ * @param {Date} now - The reference date.
+ * @returns {boolean} True if the rule matches, otherwise false.
+ */
+export const ruleMatches = (rule, visitor, now) => {
+    if (rule.country && rule.country.toUpperCase() !== visitor.country) {
+        return false;
+    }
+
+    if (rule.os && rule.os.toLowerCase() !== (visitor.os || '').toLowerCase()) {
+        return false;
+    }
+
+    if (rule.device && rule.device.toLowerCase() !== visitor.device) {
+        return false;
+    }
+
+    if (rule.language) {
+        const language = rule.language.toLowerCase();
+        const preferred = visitor.language || '';
+        if (preferred !== language && !preferred.startsWith(language + '-')) {
+            return false;
+        }
+    }
+
+    return matchesTimeOfDay(rule, now);
+};
+
+/**
+ * Finds the first rule of the link, in priority order, that matches the visitor.
+ *
+ * @param {number} id_links - The ID of the link being resolved.
+ * @param {Object} visitor - The data of the visitor, see `ruleMatches`.
+ * @param {Date} [now=new Date()] - The reference date.
+ * @returns {Promise<Object|null>} The matching rule, or null if no rule matches.
+ */
+export const findMatchingRule = async (id_links, visitor, now = new Date()) => {
+    const rules = await LinkRulesModel.findAll({
+        where: {
+            id_links: id_links
+        },
+        order: [['priority', 'ASC'], ['id_link_rules', 'ASC']]
+    });
+
+    return rules.find((rule) => ruleMatches(rule, visitor, now)) || null;
+};
@@ -5,6 +5,9 @@ import {LinksModel} from "../../models/model.js";
  * Handles the deletion of a link resource based on the provided ID.
  * Validates the ID parameter from the request and attempts to find and delete the corresponding link record.
  *
+ * The link is moved to the trash (soft delete): it stops resolving and is hidden from the lists, but its
+ * visits are kept and its short link stays reserved. It can be restored until it is purged, see `purgeDeletedLinks`.
+ *
  * If the ID is not a valid number, a 400 Bad Request response is returned.
  * If no link is found with the given ID, a 404 Not Found response is returned.
  * If the link is successfully deleted, a success response is returned with the deleted link details.
@@ -29,7 +32,7 @@ export const linkControllerDeleteID = async (req, res) => {
             });
         }
 
-        const link = await LinksModel.findOne({
+        const link = await LinksModel.scope('withDomain').findOne({
             where: {
                 id_links: req.params.id
             }
@@ -40,7 +43,7 @@ export const linkControllerDeleteID = async (req, res) => {
             res.send({
                 ok: true,
                 links: link,
-                message: "Link deleted"
+                message: "Link moved to the trash"
             });
         } else {
             res.status(404).send({
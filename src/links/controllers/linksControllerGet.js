@@ -1,5 +1,64 @@
 import { LinksModel, LinksVisitedModel, UsersModel } from '../../models/model.js';
 import { Op } from 'sequelize';
+import { sequelizeDatabase } from '../../../database.js';
+import { getFolderTreeIds } from '../../folders/services/folderService.js';
+import { getKeyspaceUsage } from '../services/shortLinkService.js';
+import { getBulkJob, serializeBulkJob } from '../services/bulkLinkService.js';
+import { parseSearchQuery, searchLinks } from '../services/linkSearchService.js';
+import { getPurgeDate, getTrashRetentionDays } from '../services/linkTrashService.js';
+import { checkLinkAccess, resolveDestination } from '../services/linkResolutionService.js';
+import { UTM_FIELDS } from '../../helpers/utmBuilder.js';
+import { getExportBatchSize, streamExport } from '../../helpers/exportStream.js';
+import { parseExportQuery } from '../../helpers/exportQuery.js';
+import { findInBatches } from '../../helpers/modelCursor.js';
+import { parseShortUrl } from '../../helpers/shortUrl.js';
+import { getDomainScope, getRequestDomainScope } from '../../domains/services/domainService.js';
+
+/**
+ * Query string parameters that can be used to filter the lists of links.
+ */
+const LINK_FILTERS = ['status', ...UTM_FIELDS]
+
+/**
+ * Builds the `where` condition used to filter the links by the query parameters:
+ * - `status` and the campaign (UTM) fields: links with this value.
+ * - `tag`: links with a tag of this name, among the tags of the owner of the link. The tags of other users
+ *   with the same name are ignored.
+ * - `id_folders`: links filed in this folder, or "none" for the unfiled links. With `subfolders=true`,
+ *   the links of its subfolders are included.
+ * - `broken`: "true" for the links whose destination failed its last health checks, "false" for the others.
+ *
+ * @param {Object} query - The query string parameters of the request.
+ * @returns {Promise<Object>} The conditions on the requested columns, or an empty object if no filter was requested.
+ */
+const linkFilters = async (query) => {
+    const where = Object.fromEntries(
+        LINK_FILTERS.filter((field) => typeof query[field] === 'string').map((field) => [field, query[field]])
+    )
+
+    if (typeof query.tag === 'string') {
+        where.id_links = {
+            [Op.in]: sequelizeDatabase.literal(
+                '(SELECT link_tags.id_links FROM link_tags INNER JOIN tags ON tags.id_tags = link_tags.id_tags' +
+                ' WHERE tags.id_user = links.id_user AND tags.name = ' + sequelizeDatabase.escape(query.tag) + ')'
+            )
+        }
+    }
+
+    if (query.broken === 'true' || query.broken === 'false') {
+        where.broken = query.broken === 'true'
+    }
+
+    if (query.id_folders === 'none') {
+        where.id_folders = null
+    } else if (typeof query.id_folders === 'string' && /^\d+$/.test(query.id_folders)) {
+        where.id_folders = query.subfolders === 'true'
+            ? { [Op.in]: await getFolderTreeIds(Number(query.id_folders)) }
+            : query.id_folders
+    }
+
+    return where
+}
 
 // Show all links
 /**
@@ -11,12 +70,22 @@ import { Op } from 'sequelize';
  * status code is sent in the response.
  *
  * @param {Object} req - The request object representing the incoming HTTP request.
+ * @param {Object} req.query - The query string parameters.
+ * @param {string} [req.query.status] - Optional status ("active" or "inactive") to filter the links.
+ * @param {string} [req.query.utm_campaign] - Optional campaign to filter the links. The other UTM fields
+ * (`utm_source`, `utm_medium`, `utm_term` and `utm_content`) can be used the same way.
+ * @param {string} [req.query.tag] - Optional tag name to filter the links.
+ * @param {string} [req.query.id_folders] - Optional folder to filter the links ("none" for the unfiled links),
+ * including its subfolders when `subfolders` is "true".
+ * @param {string} [req.query.broken] - Optional "true" or "false" to filter the links whose destination is broken.
  * @param {Object} res - The response object used to send the HTTP response.
  * @returns {Promise<void>} Sends a JSON response containing either the retrieved links or an error message.
  */
 export const linksControllerGet = async (req, res) => {
     try {
-        const links = await LinksModel.findAll()
+        const links = await LinksModel.scope('withDomain').findAll({
+            where: await linkFilters(req.query)
+        })
 
         res.status(200).send({
             ok: true,
@@ -42,6 +111,14 @@ export const linksControllerGet = async (req, res) => {
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.initialDate - The start date of the range in the YYYY-MM-DD format.
  * @param {string} req.params.finalDate - The end date of the range in the YYYY-MM-DD format.
+ * @param {Object} req.query - The query string parameters.
+ * @param {string} [req.query.status] - Optional status ("active" or "inactive") to filter the links.
+ * @param {string} [req.query.utm_campaign] - Optional campaign to filter the links. The other UTM fields
+ * (`utm_source`, `utm_medium`, `utm_term` and `utm_content`) can be used the same way.
+ * @param {string} [req.query.tag] - Optional tag name to filter the links.
+ * @param {string} [req.query.id_folders] - Optional folder to filter the links ("none" for the unfiled links),
+ * including its subfolders when `subfolders` is "true".
+ * @param {string} [req.query.broken] - Optional "true" or "false" to filter the links whose destination is broken.
  * @param {Object} res - The response object used to send back HTTP responses.
  *
  * @throws {Error} Returns a status 400 if the provided date format is invalid.
@@ -61,11 +138,12 @@ export const linksSearchDateControllerGet = async (req, res) => {
             })
         }
 
-        const links = await LinksModel.findAll({
+        const links = await LinksModel.scope('withDomain').findAll({
             where: {
                 registration_date_links: {
                     [Op.between]: [initialDate, finalDate]
-                }
+                },
+                ...(await linkFilters(req.query))
             }
         })
 
@@ -96,14 +174,16 @@ export const linksSearchDateControllerGet = async (req, res) => {
  *
  * @async
  * @function linksControllerAllGet
- * @param {Object} req - The request object provided by the Express framework.
+ * @param {Object} req - The request object provided by the Express framework. The `status` and campaign (UTM)
+ * query parameters, as well as the `tag` and `id_folders` ones, can be used to filter the links.
  * @param {Object} res - The response object provided by the Express framework.
  */
 // Show all links with all users and visited links
 export const linksControllerAllGet = async (req, res) => {
     try {
 
-        const links = await LinksModel.findAll({
+        const links = await LinksModel.scope('withDomain').findAll({
+            where: await linkFilters(req.query),
             include: [
                 {
                     model: UsersModel,
@@ -130,9 +210,10 @@ export const linksControllerAllGet = async (req, res) => {
 /**
  * Controller function to retrieve the original link associated with a given short link.
  *
- * This method extracts the `shortLink` parameter from the request, sanitizes it by removing
- * any prefix related to "http://linkcurter.com/" or "https://linkcurter.com/", and searches
- * the database for a corresponding original link. If a match is found, the original link is
+ * This method extracts the `shortLink` parameter from the request, which can be the code or the full
+ * short URL (e.g. "https://go.example.com/abcd"), and searches the database for a corresponding original link
+ * in the domain of the URL. When only the code is sent, it is searched in the domain of the `domain` query
+ * parameter or of the `Host` header, see `getRequestDomainScope`. If a match is found, the original link is
  * returned as part of the response. If no match is found, a 404 status is sent. In case of any
  * server error, a 500 status is sent with the error message.
  *
@@ -140,22 +221,28 @@ export const linksControllerAllGet = async (req, res) => {
  * @param {Object} res - The HTTP response object used to send the result of the operation.
  * @returns {void} This function sends a JSON response with the result of the operation.
  *
+ * The conditional redirection rules and the weighted destinations of the link are applied, so `original_link`
+ * is the destination chosen for the visitor; `id_link_rules` and `id_link_destinations` identify the rule
+ * or the variant that was used. For visitors on iOS or Android, `app_url` is the deep link of the link.
+ *
  * Possible Responses:
  * - Status 200: Sends an object with `ok: true` and the matched `original_link`.
+ * - Status 401: Sends a password challenge if the link is password protected and no valid unlock token was sent.
+ * - Status 403: Sends an object with `ok: false` and an error message if the activation window has not started.
+ *   The `fallback_url` of the link is included when it has one.
  * - Status 404: Sends an object with `ok: false` and an error message if the short link is not found.
+ * - Status 410: Sends an object with `ok: false`, an error message and the `reason` if the link is expired, used up
+ *   or its activation window has ended.
  * - Status 500: Sends an object with `ok: false` and an error message in case of a server error.
  */
 export const linksControllerOriginalLinkGet= async (req, res) => {
     try {
-        // const shortLink = req.params.shortLink
-
-        //todo los short_lin solo los quede
-
-        const shortLink = req.params.shortLink.replace(/^https?:\/\/linkcurter\.com\//, '');
+        // The short link can be sent as a full short URL, on the default short domain or on a custom domain
+        const { hostname, shortLink } = parseShortUrl(req.params.shortLink)
 
-
-        const links = await LinksModel.findOne({
+        const links = await LinksModel.scope('withDomain').findOne({
             where: {
+                domain_scope: hostname ? await getDomainScope(hostname) : await getRequestDomainScope(req),
                 short_link: shortLink
             }
         })
@@ -168,10 +255,22 @@ export const linksControllerOriginalLinkGet= async (req, res) => {
             })
         }
 
+        // Check if the link is available and unlocked
+        const denied = await checkLinkAccess(links, req)
+        if (denied) {
+            return res.status(denied.status).send(denied.body)
+        }
+
+        // Apply the conditional redirection rules and the weighted destinations
+        const destination = await resolveDestination(links, req)
+
         if (links) {
             res.status(200).send({
                 ok: true,
-                original_link: links.original_link
+                original_link: destination.url,
+                app_url: destination.app_url,
+                id_link_rules: destination.rule ? destination.rule.id_link_rules : null,
+                id_link_destinations: destination.destination ? destination.destination.id_link_destinations : null
             })
         } else {
             res.status(404).send({
@@ -213,7 +312,7 @@ export const linksControllerOriginalLinkGet= async (req, res) => {
 export const linksControllerGetID = async (req, res) => {
 
     try {
-        const links = await LinksModel.findOne({
+        const links = await LinksModel.scope('withDomain').findOne({
             where: {
                 id_links: req.params.id
             }
@@ -263,7 +362,7 @@ export const linksControllerGetID = async (req, res) => {
 export const linksControllerGetIDAll = async (req, res) => {
 
     try {
-        const links = await LinksModel.findOne({
+        const links = await LinksModel.scope('withDomain').findOne({
             where: {
                 id_links: req.params.id
             },
@@ -315,7 +414,7 @@ export const linksControllerGetParams = async (req, res) => {
     const data = req.params.data
 
     try {
-        const links = await LinksModel.findAll({
+        const links = await LinksModel.scope('withDomain').findAll({
             where: {
                 [attribute]: data
             }
@@ -359,7 +458,7 @@ export const linksControllerGetParamsAll = async (req, res) => {
     const data = req.params.data
 
     try {
-        const links = await LinksModel.findAll({
+        const links = await LinksModel.scope('withDomain').findAll({
             where: {
                 [attribute]: data
             },
@@ -402,6 +501,7 @@ export const linksControllerGetParamsAll = async (req, res) => {
  * @param {Object} req - The HTTP request object.
  * @param {Object} req.params - The parameters included in the request.
  * @param {string} req.params.id_user - The ID of the user for whom the count of links should be retrieved.
+ * @param {Object} req.query - Optional `status`, campaign (UTM), `tag` and `id_folders` filters, as in the list endpoints.
  * @param {Object} res - The HTTP response object used to send back the results or an error.
  */
 export const linkControllerGetCount = async (req, res) => {
@@ -412,7 +512,8 @@ export const linkControllerGetCount = async (req, res) => {
         // Cuenta el número de registros que coinciden con el id_user
         const count = await LinksModel.count({
             where: {
-                id_user: id_user
+                id_user: id_user,
+                ...(await linkFilters(req.query))
             }
         });
 
@@ -466,3 +567,227 @@ export const linkControllerGetCountAll = async (req, res) => {
         });
     }
 }
+
+// Keyspace usage of the short links
+/**
+ * Reports the usage of the short link keyspace.
+ *
+ * For every code length from the configured minimum up to the length currently used for new links,
+ * the response contains the number of possible codes, the number of codes in use and the usage ratio.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object used to send the response back to the client.
+ *
+ * @throws {Error} Returns a 500 internal server error response if the operation fails.
+ */
+export const linkControllerGetKeyspace = async (req, res) => {
+    try {
+        const keyspace = await getKeyspaceUsage()
+
+        res.status(200).send({
+            ok: true,
+            keyspace: keyspace
+        })
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        })
+    }
+}
+
+// Status of the bulk uploads
+/**
+ * Reports the status of a bulk upload processed in the background.
+ *
+ * The job is only visible to the user that sent the upload and to the admins. Once the job is completed,
+ * the response contains the summary and the result of every row, see `createBulkLinks`.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.jobId - The ID of the job returned by the bulk upload.
+ * @param {Object} res - The HTTP response object used to send the response back to the client.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the `job`.
+ * - Status 404: Sends an object with `ok: false` and an error message if the job does not exist or has been forgotten.
+ */
+export const linkControllerGetBulkJob = (req, res) => {
+    const job = getBulkJob(req.params.jobId)
+
+    if (!job || (job.requested_by !== req.user.id_user && req.user.role !== 'admin')) {
+        return res.status(404).send({
+            ok: false,
+            error: 'Bulk job not found with id ' + req.params.jobId
+        })
+    }
+
+    res.status(200).send({
+        ok: true,
+        job: serializeBulkJob(job)
+    })
+}
+
+// Search the links of the user
+/**
+ * Searches the links of the authenticated user by their original link, short link, title, notes and tags.
+ *
+ * Each word of the search text is matched as a substring; on MySQL the links are also matched with a
+ * full-text search. The results are ranked by relevance, paginated, and the fields that match are
+ * returned highlighted with `<mark>` elements (HTML-escaped). Only the links of the caller are searched,
+ * admins included.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.query - The query string parameters.
+ * @param {string} req.query.q - The text to search.
+ * @param {number} [req.query.page] - The page of results, starting at 1.
+ * @param {number} [req.query.limit] - The number of links of each page (20 by default, up to 100).
+ * @param {string} [req.query.status] - Optional status to filter the links. The UTM fields, `tag` and `id_folders`
+ * filter them the same way as in the other lists of links.
+ * @param {Object} res - The HTTP response object.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true`, the `page`, `limit`, `total` and `pages`, and the `links`
+ *   of the page, each one with its `tags`, `score` and `highlights`.
+ * - Status 400: Sends an error message if the search text or the pagination is invalid.
+ * - Status 500: Sends an error message if the search failed.
+ */
+export const linksControllerSearch = async (req, res) => {
+    const search = parseSearchQuery(req.query)
+    if (search.error) {
+        return res.status(400).send({
+            ok: false,
+            error: search.error
+        })
+    }
+
+    try {
+        const { total, links } = await searchLinks(search, req.user.id_user, await linkFilters(req.query))
+
+        res.status(200).send({
+            ok: true,
+            page: search.page,
+            limit: search.limit,
+            total: total,
+            pages: Math.ceil(total / search.limit),
+            links: links
+        })
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        })
+    }
+}
+
+// Show the links in the trash
+/**
+ * Lists the deleted links kept in the trash, the most recently deleted first.
+ *
+ * Regular users only see their own links; admins see the links of every user, or the ones of `id_user`.
+ * Each link has its `purge_at` date, from which it is permanently deleted and can no longer be restored.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.query - The query string parameters.
+ * @param {number} [req.query.id_user] - Optional user whose deleted links are listed (admins only).
+ * @param {Object} res - The HTTP response object.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true`, the `retention_days` and the deleted `links`.
+ * - Status 403: Sends an error message if a regular user asks for the trash of another user.
+ * - Status 500: Sends an error message if the trash could not be read.
+ */
+export const linksControllerTrashGet = async (req, res) => {
+    const where = { deleted_at: { [Op.ne]: null } }
+
+    if (req.user.role !== 'admin') {
+        if (req.query.id_user !== undefined && String(req.query.id_user) !== String(req.user.id_user)) {
+            return res.status(403).send({
+                ok: false,
+                error: 'You can only see your own trash'
+            })
+        }
+        where.id_user = req.user.id_user
+    } else if (req.query.id_user !== undefined) {
+        where.id_user = req.query.id_user
+    }
+
+    try {
+        const links = await LinksModel.scope('withDomain').findAll({
+            where: where,
+            order: [['deleted_at', 'DESC']],
+            paranoid: false
+        })
+
+        res.status(200).send({
+            ok: true,
+            retention_days: getTrashRetentionDays(),
+            links: links.map((link) => ({ ...link.toJSON(), purge_at: getPurgeDate(link) }))
+        })
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        })
+    }
+}
+
+// Export the links
+/**
+ * Streams the links as a CSV, NDJSON or XLSX file download.
+ *
+ * The links are read from the database in batches and written while they are read, so the export
+ * does not load the whole table in memory. Regular users only export their own links; admins can
+ * export every link or the ones of a user. The password of the links is never exported.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.query - The query string parameters.
+ * @param {string} [req.query.format] - The format of the file: "csv" (default), "ndjson" or "xlsx".
+ * @param {number} [req.query.id_user] - Optional user whose links are exported.
+ * @param {string} [req.query.from] - Optional first registration date of the links, in the YYYY-MM-DD format.
+ * @param {string} [req.query.to] - Optional last registration date of the links, in the YYYY-MM-DD format.
+ * @param {string} [req.query.attribute] - Optional column to filter the links on, with the value in `data`.
+ * @param {string} [req.query.status] - Optional status ("active" or "inactive") to filter the links.
+ * @param {string} [req.query.utm_campaign] - Optional campaign to filter the links. The other UTM fields
+ * (`utm_source`, `utm_medium`, `utm_term` and `utm_content`) can be used the same way.
+ * @param {string} [req.query.tag] - Optional tag name to filter the links.
+ * @param {string} [req.query.id_folders] - Optional folder to filter the links ("none" for the unfiled links),
+ * including its subfolders when `subfolders` is "true".
+ * @param {string} [req.query.broken] - Optional "true" or "false" to filter the links whose destination is broken.
+ * @param {Object} res - The HTTP response object.
+ *
+ * Possible Responses:
+ * - Status 200: Sends the file.
+ * - Status 400: Sends an error message if the format, a date or the attribute filter is invalid.
+ * - Status 403: Sends an error message if a regular user asks for the links of another user.
+ * - Status 500: Sends an error message if the export could not be started.
+ */
+export const linksControllerExport = async (req, res) => {
+    const columns = Object.keys(LinksModel.rawAttributes).filter((column) => column !== 'password')
+
+    const parsed = parseExportQuery(req.query, { dateColumn: 'registration_date_links', columns, user: req.user })
+    if (parsed.error) {
+        return res.status(parsed.status).send({
+            ok: false,
+            error: parsed.error
+        })
+    }
+
+    try {
+        await streamExport(res, {
+            format: parsed.format,
+            filename: 'links-' + new Date().toISOString().substring(0, 10),
+            columns: columns,
+            batches: findInBatches(LinksModel, {
+                where: { ...parsed.where, ...(await linkFilters(req.query)) },
+                attributes: columns,
+                batchSize: getExportBatchSize()
+            })
+        })
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        })
+    }
+}
@@ -1,87 +1,276 @@
-import {LinksModel} from "../../models/model.js";
-import {generateShortLink} from "../../helpers/generateShortLink.js";
-import validator from 'validator'
+import {Op} from 'sequelize';
+
+import {LinksModel, TagsModel} from "../../models/model.js";
+import {generateLinkUnlockToken} from "../../middleware/createJWT.js";
+import {getUnlockRetryAfter, verifyLinkPassword} from "../services/linkPasswordService.js";
+import {
+    createPreparedLink,
+    DUPLICATE_ACTIONS,
+    findDuplicateLink,
+    isAliasInUse,
+    prepareLink
+} from "../services/linkCreationService.js";
+import {verifyUserFolder} from "../../folders/services/folderService.js";
+import {getRequestDomainScope, verifyUserDomain} from "../../domains/services/domainService.js";
+import {screenLinkUrls} from "../../blocklist/services/linkScreeningService.js";
+import {createBulkLinks, getBulkConfig, parseBulkUpload, serializeBulkJob, startBulkJob} from "../services/bulkLinkService.js";
 
 /**
  * Asynchronous function to create a new shortened link for a user.
  *
  * This function validates the provided original link and user ID, checks if the
  * link already exists under the same user, and generates a unique short link.
+ * The duplicates are detected on the normalized URLs (see `normalizeUrl`), so a different case in the
+ * scheme or the host, a default port or the order of the query parameters do not make a new link.
+ * When a custom alias is provided, it is validated and used as the short link instead.
+ * The original link, the fallback URL and the app URLs are screened (see `screenUrl`): the blocked domains, patterns and
+ * malware URLs, the schemes that are not allowed and the links to other short links are refused.
  * If the link does not exist, it creates a new entry in the database.
  *
  * @async
  * @function
  * @param {Object} req - The request object from the client.
  * @param {Object} req.body - The body of the request.
- * @param {string} req.body.original_link - The original URL to be shortened.
+ * @param {string} req.body.original_link - The original URL to be shortened. "http://" is prepended if it has no scheme.
  * @param {number} req.body.id_user - The ID of the user creating the shortened link.
+ * @param {string} [req.body.alias] - Optional custom alias to use as the short link.
+ * @param {string} [req.body.expires_at] - Optional date from which the link is expired.
+ * @param {number} [req.body.max_clicks] - Optional maximum number of visits of the link.
+ * @param {string} [req.body.active_from] - Optional date from which the link can be resolved.
+ * @param {string} [req.body.active_until] - Optional date until which the link can be resolved.
+ * @param {string} [req.body.fallback_url] - Optional http or https URL used outside the activation window.
+ * @param {string} [req.body.utm_source] - Optional campaign source. `utm_medium`, `utm_campaign`, `utm_term`
+ * and `utm_content` are accepted the same way; they are added to the destination when the link is resolved.
+ * @param {string} [req.body.ios_url] - Optional destination (app URI or store URL) for iOS devices.
+ * @param {string} [req.body.android_url] - Optional destination (app URI or store URL) for Android devices.
+ * @param {boolean} [req.body.deep_link_fallback_page] - Optional flag to try the app first and fall back to the web.
+ * @param {boolean} [req.body.sticky_destinations] - Optional flag to keep each visitor on the same A/B variant.
+ * @param {string} [req.body.password] - Optional password protecting the link, stored hashed.
+ * @param {boolean} [req.body.preview_page] - Optional flag to show a preview page with the destination before redirecting.
+ * @param {string} [req.body.og_title] - Optional title of the social card served to the crawlers. `og_description`
+ * and `og_image` are accepted the same way.
+ * @param {string} [req.body.title] - Optional title of the link.
+ * @param {string} [req.body.notes] - Optional notes of the link.
+ * @param {string[]} [req.body.tags] - Optional names of the tags of the link. The missing tags are created for the user.
+ * @param {number} [req.body.id_folders] - Optional folder of the user to file the link in.
+ * @param {number} [req.body.id_domains] - Optional verified custom domain of the user for the short link. The short
+ * links are unique per domain, so the alias only has to be free in this domain.
+ * @param {boolean} [req.body.forward_query] - Optional flag to forward the query parameters of the visit to the destination.
+ * @param {number} [req.body.redirect_status] - Optional redirection status (301, 302, 307 or 308).
+ * @param {string} [req.body.cache_control] - Optional Cache-Control header sent with the redirection.
+ * When the redirection settings are not set, the defaults of the user are used.
+ * @param {string} [req.body.on_duplicate] - What to do when the user already has the link: "error" (default),
+ * "return" to send back the existing link with a 200 status and `duplicate: true`, or "create" to create a new one anyway.
  * @param {Object} res - The response object to send the result back to the client.
  * @returns {void} Sends an appropriate HTTP response status and message.
  *
  * @throws {Error} Returns a 400 status if the link is invalid, a user ID is not provided,
- * or if the link already exists for the user. Returns a 500 status for internal server errors.
+ * the link already exists for the user, the alias is invalid or reserved, the expiration, activation, campaign or
+ * deep link options are invalid, the redirection settings or social card overrides are invalid, the password is too short,
+ * the title or the notes are invalid, the tags, the folder or the domain are invalid, a destination is refused by the
+ * screening, or `on_duplicate` is invalid.
+ * Returns a 409 status if the alias is already in use, a 503 status if no free short link could be generated,
+ * and a 500 status for internal server errors.
  */
 export const linkControllerCreate = async (req, res) => {
 
     try {
-        const {original_link, id_user} = req.body;
+        // Check the URL, the user, the alias and the options of the link
+        const prepared = await prepareLink(req.body);
+        if (prepared.error) {
+            return res.status(400).send({
+                ok: false,
+                error: prepared.error
+            });
+        }
 
-        // Check if the link is valid
-        if (!original_link || typeof original_link !== 'string' || !validator.isURL(original_link.trim())){
+        // Check the destinations against the blocklists and the scheme restrictions
+        const screeningError = await screenLinkUrls(prepared.values);
+        if (screeningError) {
             return res.status(400).send({
                 ok: false,
-                error: "Invalid URL"
+                error: screeningError
             });
         }
 
-        // Check if the link already exists
-        const existsLink = await LinksModel.findOne({
-            where: {
-                original_link: original_link,
-                id_user: id_user
-            }
-        });
+        const onDuplicate = req.body.on_duplicate ?? 'error';
+        if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+            return res.status(400).send({
+                ok: false,
+                error: "on_duplicate must be one of: " + DUPLICATE_ACTIONS.join(', ')
+            });
+        }
+
+        // Check if the link already exists, comparing the normalized URLs
+        const existsLink = onDuplicate === 'create' ? null : await findDuplicateLink(req.body.original_link, req.body.id_user);
+
+        // If the link already exists, send it back or an error message
+        if (existsLink && onDuplicate === 'return') {
+            await existsLink.reload({
+                include: [{model: TagsModel, through: {attributes: []}}, {association: 'domain', attributes: ['hostname']}]
+            });
+
+            return res.status(200).send({
+                ok: true,
+                link: existsLink,
+                duplicate: true,
+                message: "Link already exists for this user"
+            });
+        }
 
-        // If the link already exists, send an error message
         if (existsLink) {
             return res.status(400).send({
                 ok: false,
-                error: "Link already exists for this user"
+                error: "Link already exists for this user",
+                id_links: existsLink.id_links
             });
         }
 
-        if(id_user === undefined || id_user === null){
+        // Check that the folder and the domain belong to the user; only the admins can use the ones of the user in the body
+        const owner = req.user.role === 'admin' ? req.body.id_user : req.user.id_user;
+        const folderError = await verifyUserFolder(req.body.id_folders, owner);
+        if (folderError) {
             return res.status(400).send({
                 ok: false,
-                error: "User ID is required"
+                error: folderError
             });
         }
 
-        //create short_link
-        let short_link = generateShortLink();
+        // Check that the domain belongs to the user and is verified
+        const domainError = await verifyUserDomain(req.body.id_domains, owner);
+        if (domainError) {
+            return res.status(400).send({
+                ok: false,
+                error: domainError
+            });
+        }
 
-        // Check if the short_link already exists
-        const existsShortLink = await LinksModel.findOne({
-            where: {
-                short_link: short_link
-            }
-        });
+        // Check if the alias is already used as a short link in the domain
+        if (prepared.alias && await isAliasInUse(prepared.alias, prepared.values.domain_scope)) {
+            return res.status(409).send({
+                ok: false,
+                error: "Alias already in use: " + prepared.alias
+            });
+        }
 
-        // If the link already exists, send an error message
-        if (existsShortLink) {
+        // Create the link with the alias or a generated short link
+        const newLink = await createPreparedLink(prepared, undefined, req.user.id_user);
 
-            short_link = generateShortLink();
+        if (!newLink) {
+            return res.status(503).send({
+                ok: false,
+                error: "Could not generate a unique short link, try again later"
+            });
         }
 
-        // Create a new link
-        const newLink = await LinksModel.create({
-            original_link, short_link, id_user
+        await newLink.reload({
+            include: [{model: TagsModel, through: {attributes: []}}, {association: 'domain', attributes: ['hostname']}]
         });
+
         res.status(201).send({
             ok: true,
             link: newLink,
             message: "New short link created"
         });
+    } catch (error) {
+        // The unique index rejected the short link, e.g. when the same alias was taken concurrently
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({
+                ok: false,
+                error: "Short link already in use"
+            });
+        }
+
+        console.error(error);
+        res.status(500).send({
+            ok: false,
+            error: "Internal server error"
+        });
+    }
+
+}
+
+/**
+ * Creates links in bulk from a CSV or JSON upload.
+ *
+ * The body is either CSV text (`Content-Type: text/csv`) with a header row, or a JSON array of URLs or of
+ * objects, see `parseBulkUpload`. Each row can have an `original_link` (or `url`), an `alias`, a `title`, `tags`,
+ * `expires_at` and `max_clicks`, and is validated with the same rules as `linkControllerCreate`.
+ * Small uploads are processed in the request; uploads with more than `BULK_SYNC_MAX_ROWS` rows are
+ * processed as a background job whose status is available at `/api/v1/bulk/links/:jobId`.
+ *
+ * @async
+ * @function
+ * @param {Object} req - The request object from the client.
+ * @param {string|Array|Object} req.body - The CSV text, the JSON array of rows or an object with the rows in `links`.
+ * @param {number} [req.body.id_user] - The ID of the owner of the links. For CSV uploads, it is sent in the query string.
+ * @param {Object} req.query - The query string parameters.
+ * @param {number} [req.query.id_user] - The ID of the owner of the links, when it is not in the body.
+ * @param {Object} res - The response object to send the result back to the client.
+ * @returns {void} Sends an appropriate HTTP response status and message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends the `summary` (total, created, duplicates and errors) and the `report` with the result
+ *   (`created`, `duplicate` or `error`) of every row.
+ * - Status 202: Sends the background `job` and its `status_url`.
+ * - Status 400: Sends an error message if the body is not a valid upload, has no rows or the user ID is missing.
+ * - Status 413: Sends an error message if the upload has more than `BULK_MAX_ROWS` rows.
+ * - Status 500: Sends an error message in case of a server error.
+ */
+export const linkControllerBulkCreate = async (req, res) => {
+    try {
+        const id_user = req.body?.id_user ?? req.query.id_user;
+        const rows = parseBulkUpload(req.body);
+        const {maxRows, syncMaxRows} = getBulkConfig();
+
+        if (!rows) {
+            return res.status(400).send({
+                ok: false,
+                error: "Expected a CSV document or a JSON array of links"
+            });
+        }
+
+        if (rows.length === 0) {
+            return res.status(400).send({
+                ok: false,
+                error: "No links to create"
+            });
+        }
+
+        if (rows.length > maxRows) {
+            return res.status(413).send({
+                ok: false,
+                error: `Too many links, the maximum is ${maxRows} per upload`
+            });
+        }
+
+        if (id_user === undefined || id_user === null || id_user === '') {
+            return res.status(400).send({
+                ok: false,
+                error: "User ID is required"
+            });
+        }
+
+        // Large uploads are processed in the background
+        if (rows.length > syncMaxRows) {
+            const job = startBulkJob(rows, id_user, req.user.id_user);
+
+            return res.status(202).send({
+                ok: true,
+                job: serializeBulkJob(job),
+                status_url: '/api/v1/bulk/links/' + job.id,
+                message: "Bulk upload accepted"
+            });
+        }
+
+        const {summary, report} = await createBulkLinks(rows, id_user, req.user.id_user);
+
+        res.status(200).send({
+            ok: true,
+            summary: summary,
+            report: report,
+            message: "Bulk upload processed"
+        });
     } catch (error) {
         console.error(error);
         res.status(500).send({
@@ -89,5 +278,146 @@ export const linkControllerCreate = async (req, res) => {
             error: "Internal server error"
         });
     }
+};
+
+/**
+ * Unlocks a password-protected link.
+ *
+ * The password sent in the body is compared with the hashed password of the link. On success,
+ * a short-lived unlock token is returned; it has to be sent back in the `X-Link-Token` header
+ * or the `token` query parameter when resolving the link. Failed attempts are counted and,
+ * after too many of them, the link can not be unlocked for a while.
+ *
+ * @async
+ * @function
+ * @param {Object} req - The request object from the client.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.shortLink - The short link to unlock, searched in the domain of the `Host` header.
+ * @param {Object} req.query - The query string parameters.
+ * @param {string} [req.query.domain] - Optional hostname of the custom domain of the short link, instead of the `Host` header.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.password - The password of the link.
+ * @param {Object} res - The response object to send the result back to the client.
+ * @returns {void} Sends an appropriate HTTP response status and message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the unlock `token`.
+ * - Status 400: The link is not password protected.
+ * - Status 401: The password is not correct.
+ * - Status 404: The short link is not found.
+ * - Status 429: Too many failed attempts, with the `Retry-After` header set.
+ * - Status 500: Internal server error.
+ */
+export const linkControllerUnlock = async (req, res) => {
+
+    try {
+        const link = await LinksModel.findOne({
+            where: {
+                domain_scope: await getRequestDomainScope(req),
+                short_link: req.params.shortLink
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Short link not found"
+            });
+        }
+
+        if (!link.password) {
+            return res.status(400).send({
+                ok: false,
+                error: "Link is not password protected"
+            });
+        }
+
+        // Check if the unlock attempts are throttled
+        const retryAfter = getUnlockRetryAfter(link);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).send({
+                ok: false,
+                error: "Too many failed attempts, try again later",
+                retry_after: retryAfter
+            });
+        }
+
+        if (!await verifyLinkPassword(link, req.body.password)) {
+            return res.status(401).send({
+                ok: false,
+                error: "Invalid password"
+            });
+        }
+
+        res.status(200).send({
+            ok: true,
+            token: generateLinkUnlockToken(link.id_links),
+            message: "Link unlocked"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
 
 }
+
+/**
+ * Restores a link from the trash, with its short link, visits, rules and destinations.
+ *
+ * Only the owner of the link or an admin can restore it. The links already purged can not be restored.
+ *
+ * @async
+ * @function
+ * @param {Object} req - The request object from the client.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the deleted link.
+ * @param {Object} res - The response object to send the result back to the client.
+ * @returns {void} Sends an appropriate HTTP response status and message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the restored `links`.
+ * - Status 400: The ID is not a number.
+ * - Status 404: There is no link of the user with this ID in the trash.
+ * - Status 500: Internal server error.
+ */
+export const linkControllerRestoreID = async (req, res) => {
+    if (isNaN(Number(req.params.id))) {
+        return res.status(400).send({
+            ok: false,
+            error: "ID has to be a number"
+        });
+    }
+
+    try {
+        const link = await LinksModel.scope('withDomain').findOne({
+            where: {
+                id_links: req.params.id,
+                deleted_at: {[Op.ne]: null}
+            },
+            paranoid: false
+        });
+
+        if (!link || (link.id_user !== req.user.id_user && req.user.role !== 'admin')) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found in the trash with id " + req.params.id
+            });
+        }
+
+        await link.restore();
+
+        res.status(200).send({
+            ok: true,
+            links: link,
+            message: "Link restored"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
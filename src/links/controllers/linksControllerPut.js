@@ -1,54 +1,277 @@
 import validator from 'validator';
 
-import {LinksModel} from '../../models/model.js';
+import {LinksModel, TagsModel} from '../../models/model.js';
+import {sequelizeDatabase} from '../../../database.js';
+import {
+    verifyActivationOptions,
+    verifyDeepLinkOptions,
+    verifyDetailsOptions,
+    verifyExpirationOptions,
+    verifyOpenGraphOptions,
+    verifyPasswordOption,
+    verifyRedirectOptions,
+    verifyUtmOptions
+} from "../../helpers/linkOptionsVerification.js";
+import {UTM_FIELDS} from "../../helpers/utmBuilder.js";
+import {REASON_BLOCKED, refreshLinkStatus} from "../services/linkLifecycleService.js";
+import {hashLinkPassword} from "../services/linkPasswordService.js";
+import {setLinkTags} from "../../tags/services/tagService.js";
+import {verifyUserFolder} from "../../folders/services/folderService.js";
+import {verifyTagNames} from "../../helpers/tagVerification.js";
+import {updateLinkWithRevision} from "../../linkRevisions/services/linkRevisionService.js";
+import {normalizeUrl, withDefaultScheme} from "../../helpers/urlNormalization.js";
+import {screenLinkUrls, unblockLinkIfAllowed} from "../../blocklist/services/linkScreeningService.js";
+import {HEALTH_RESET_VALUES} from "../../linkHealthChecks/services/linkHealthService.js";
 
 /**
  * Handles updating an existing link by its ID.
  *
- * This asynchronous function retrieves the `id_links` and `original_link` values
- * from the request body, validates the provided `original_link`, and updates the record
- * in the database corresponding to the specified `id_links`. The function sends
- * appropriate HTTP responses based on the success, failure, or potential errors encountered
- * during the process.
+ * This asynchronous function retrieves the `id_links` value from the request body (or the `id`
+ * route parameter) together with the fields to update: `original_link`, `expires_at`, `max_clicks`,
+ * `active_from`, `active_until`, `fallback_url`, the campaign (UTM) fields, `ios_url`, `android_url`, `deep_link_fallback_page`,
+ * `sticky_destinations`, `preview_page`, `password`, the redirection settings, the social card overrides,
+ * `title`, `notes`, `tags` and `id_folders`. Only the provided fields are validated and updated; `null` removes an option.
+ * A new password is stored hashed and resets the failed unlock attempts.
+ * Each update is recorded as a new revision of the link, with the authenticated user as editor.
+ * After the expiration options change, the status of the link is recomputed, so an extended
+ * link becomes active again. The new `original_link`, `fallback_url`, `ios_url` and `android_url` are screened (see `screenUrl`);
+ * a link disabled by the screening becomes active again once all its destinations, rules and variants included, pass it. The function sends appropriate HTTP responses based on the success,
+ * failure, or potential errors encountered during the process.
  *
  * @param {Object} req - The HTTP request object.
  * @param {Object} req.body - The body of the HTTP request.
  * @param {string} req.body.id_links - The ID of the link to be updated in the database.
- * @param {string} req.body.original_link - The new URL to update the link with.
+ * @param {string} [req.body.original_link] - The new URL to update the link with. "http://" is prepended if it has no scheme.
+ * @param {string|null} [req.body.expires_at] - The new expiration date of the link.
+ * @param {number|null} [req.body.max_clicks] - The new maximum number of visits of the link.
+ * @param {string|null} [req.body.active_from] - The new start of the activation window.
+ * @param {string|null} [req.body.active_until] - The new end of the activation window.
+ * @param {string|null} [req.body.fallback_url] - The new http or https URL used outside the activation window.
+ * @param {string|null} [req.body.utm_source] - The new campaign source. `utm_medium`, `utm_campaign`, `utm_term`
+ * and `utm_content` are updated the same way, without touching the `original_link`.
+ * @param {string|null} [req.body.ios_url] - The new destination for iOS devices.
+ * @param {string|null} [req.body.android_url] - The new destination for Android devices.
+ * @param {boolean} [req.body.deep_link_fallback_page] - Whether the app fallback page is served.
+ * @param {boolean} [req.body.sticky_destinations] - Whether each visitor keeps the same A/B variant.
+ * @param {boolean} [req.body.preview_page] - Whether the preview page is shown before redirecting.
+ * @param {string|null} [req.body.og_title] - The title of the social card served to the crawlers. `og_description`
+ * and `og_image` are updated the same way.
+ * @param {string|null} [req.body.title] - The new title of the link.
+ * @param {string|null} [req.body.notes] - The new notes of the link.
+ * @param {string[]} [req.body.tags] - The names of the tags of the link, replacing the current ones. The missing
+ * tags are created for the owner of the link, and an empty list removes every tag.
+ * @param {number|null} [req.body.id_folders] - The folder of the owner to file the link in, or null to unfile it.
+ * @param {string|null} [req.body.password] - The new password of the link.
+ * @param {boolean|null} [req.body.forward_query] - Whether the query parameters of the visit are forwarded.
+ * @param {number|null} [req.body.redirect_status] - The redirection status (301, 302, 307 or 308).
+ * @param {string|null} [req.body.cache_control] - The Cache-Control header sent with the redirection.
+ * A `null` redirection setting falls back to the default of the user.
  * @param {Object} res - The HTTP response object.
  *
  * @returns {Promise<void>} Sends an HTTP response with a status code and message indicating the outcome:
  * - `200 OK`: Successfully updated the link.
- * - `400 Bad Request`: Invalid or missing URL.
+ * - `400 Bad Request`: Invalid URL, invalid expiration, activation, campaign, deep link, redirection or social card options, invalid sticky or preview flag,
+ *   invalid title or notes, password too short, invalid tags or folder, a destination refused by the screening, or nothing to update.
  * - `404 Not Found`: No link found with the given ID.
  * - `500 Internal Server Error`: Failure due to a server error.
  */
 export const linkControllerPutID = async (req, res) => {
 
-    let {id_links, original_link} = req.body;
+    let {
+        id_links, original_link, expires_at, max_clicks, active_from, active_until, fallback_url,
+        ios_url, android_url, deep_link_fallback_page, sticky_destinations, password,
+        forward_query, redirect_status, cache_control, preview_page, og_title, og_description, og_image,
+        tags, id_folders, title, notes
+    } = req.body;
+    const id = id_links ?? req.params.id;
 
     // Check if the link is valid
     // if (!original_link || typeof original_link !== 'string' || !urlVerification(original_link.trim())){
-    if (!original_link || typeof original_link !== 'string' || !validator.isURL(original_link.trim())){
+    if (original_link !== undefined && (!original_link || typeof original_link !== 'string' || !validator.isURL(original_link.trim()))){
         return res.status(400).send({
             ok: false,
             error: "Invalid URL"
         });
     }
 
+    // Check the expiration options
+    const expirationError = verifyExpirationOptions({expires_at, max_clicks});
+    if (expirationError) {
+        return res.status(400).send({
+            ok: false,
+            error: expirationError
+        });
+    }
+
+    // Check the campaign parameters
+    const utm = Object.fromEntries(UTM_FIELDS.map((field) => [field, req.body[field]]));
+    const utmError = verifyUtmOptions(utm);
+    if (utmError) {
+        return res.status(400).send({
+            ok: false,
+            error: utmError
+        });
+    }
+
+    // Check the mobile deep links
+    const deepLinkError = verifyDeepLinkOptions({ios_url, android_url, deep_link_fallback_page});
+    if (deepLinkError) {
+        return res.status(400).send({
+            ok: false,
+            error: deepLinkError
+        });
+    }
+
+    // Check the sticky destinations flag
+    if (sticky_destinations !== undefined && typeof sticky_destinations !== 'boolean') {
+        return res.status(400).send({
+            ok: false,
+            error: "sticky_destinations must be a boolean"
+        });
+    }
+
+    // Check the preview page flag
+    if (preview_page !== undefined && typeof preview_page !== 'boolean') {
+        return res.status(400).send({
+            ok: false,
+            error: "preview_page must be a boolean"
+        });
+    }
+
+    // Check the redirection settings
+    const redirectError = verifyRedirectOptions({forward_query, redirect_status, cache_control});
+    if (redirectError) {
+        return res.status(400).send({
+            ok: false,
+            error: redirectError
+        });
+    }
+
+    // Check the social card overrides
+    const openGraphError = verifyOpenGraphOptions({og_title, og_description, og_image});
+    if (openGraphError) {
+        return res.status(400).send({
+            ok: false,
+            error: openGraphError
+        });
+    }
+
+    // Check the title and the notes
+    const detailsError = verifyDetailsOptions({title, notes});
+    if (detailsError) {
+        return res.status(400).send({
+            ok: false,
+            error: detailsError
+        });
+    }
+
+    // Check the tags
+    const tagsError = verifyTagNames(tags);
+    if (tagsError) {
+        return res.status(400).send({
+            ok: false,
+            error: tagsError
+        });
+    }
+
+    // Check the password
+    const passwordError = verifyPasswordOption(password);
+    if (passwordError) {
+        return res.status(400).send({
+            ok: false,
+            error: passwordError
+        });
+    }
+
+    // Keep only the fields sent in the request
+    const changes = Object.fromEntries(
+        Object.entries({
+            original_link, expires_at, max_clicks, active_from, active_until, fallback_url, ...utm,
+            ios_url, android_url, deep_link_fallback_page, sticky_destinations,
+            forward_query, redirect_status, cache_control, preview_page, og_title, og_description, og_image,
+            id_folders, title, notes
+        }).filter(([, value]) => value !== undefined)
+    );
+
+    if (original_link !== undefined) {
+        changes.original_link = withDefaultScheme(original_link);
+        changes.normalized_link = normalizeUrl(original_link);
+        // The new destination is checked again from scratch
+        Object.assign(changes, HEALTH_RESET_VALUES);
+    }
+
+    if (password !== undefined) {
+        changes.password = password === null ? null : await hashLinkPassword(password);
+        changes.failed_attempts = 0;
+        changes.locked_until = null;
+    }
+
+    if (Object.keys(changes).length === 0 && tags === undefined) {
+        return res.status(400).send({
+            ok: false,
+            error: "Nothing to update"
+        });
+    }
+
     try {
         const link = await LinksModel.findOne({
             where: {
-                id_links: id_links
+                id_links: id
             }
         });
 
         if (link) {
-            await link.update(
-                {
-                    original_link: original_link
+            // Check the activation window against the current values of the link
+            const activationError = verifyActivationOptions({active_from, active_until, fallback_url}, link);
+            if (activationError) {
+                return res.status(400).send({
+                    ok: false,
+                    error: activationError
+                });
+            }
+
+            // Check that the folder belongs to the owner of the link
+            const folderError = await verifyUserFolder(id_folders, link.id_user);
+            if (folderError) {
+                return res.status(400).send({
+                    ok: false,
+                    error: folderError
+                });
+            }
+
+            // Check the new destinations against the blocklists and the scheme restrictions
+            const screeningError = await screenLinkUrls({original_link, fallback_url, ios_url, android_url});
+            if (screeningError) {
+                return res.status(400).send({
+                    ok: false,
+                    error: screeningError
+                });
+            }
+
+            await sequelizeDatabase.transaction(async (transaction) => {
+                await updateLinkWithRevision(link, changes, {
+                    id_editor: req.user.id_user,
+                    extra: tags !== undefined ? {tags} : {}
+                }, transaction);
+
+                if (tags !== undefined) {
+                    await setLinkTags(link, tags, transaction);
+                }
+            });
+
+            if (link.inactive_reason === REASON_BLOCKED) {
+                // A blocked link is enabled again once all its destinations pass the screening
+                if ([original_link, fallback_url, ios_url, android_url].some((value) => value !== undefined)) {
+                    await unblockLinkIfAllowed(link);
                 }
-            );
+            } else if (expires_at !== undefined || max_clicks !== undefined) {
+                await refreshLinkStatus(link);
+            }
+
+            await link.reload({
+                include: [{model: TagsModel, through: {attributes: []}}, {association: 'domain', attributes: ['hostname']}]
+            });
+
             res.status(200).send({
                 ok: true,
                 link: link,
@@ -57,7 +280,7 @@ export const linkControllerPutID = async (req, res) => {
         } else {
             res.status(404).send({
                 ok: false,
-                error: "Link not found with this id:" + req.params.id
+                error: "Link not found with this id:" + id
             });
         }
     } catch (error) {
@@ -1,5 +1,6 @@
 import { sequelizeDatabase } from "../../../database.js";
 import { DataTypes } from "sequelize";
+import { buildShortUrl } from "../../helpers/shortUrl.js";
 
 /**
  * Represents the `LinksModel` database model.
@@ -9,9 +10,28 @@ import { DataTypes } from "sequelize";
  *
  * Features:
  * - Includes fields for `id_links`, `original_link`, `short_link`, `registration_date_links`, and `id_user`.
+ * - Includes the `normalized_link`, the normalized form of the `original_link` used to detect the duplicated links.
+ * - Includes the descriptive fields `title` and `notes`, searched with `original_link` through a full-text index on MySQL.
+ * - Includes the lifecycle fields `expires_at`, `max_clicks`, `status` and `inactive_reason`.
+ * - Includes the activation window fields `active_from`, `active_until` and `fallback_url`.
+ * - Includes the campaign fields `utm_source`, `utm_medium`, `utm_campaign`, `utm_term` and `utm_content`.
+ * - Includes the mobile deep link fields `ios_url`, `android_url` and `deep_link_fallback_page`.
+ * - Includes the redirection settings `forward_query`, `redirect_status` and `cache_control`.
+ * - Includes the `sticky_destinations` flag of the weighted (A/B) destinations.
+ * - Includes the `preview_page` flag of the interstitial preview page.
+ * - Includes the `id_folders` folder the link is filed in. The tags are related through the `link_tags` table.
+ * - Includes the `id_domains` custom domain of the short link, and its `domain_scope` used by the unique index.
+ * - Includes the social card (Open Graph) overrides `og_title`, `og_description` and `og_image` served to the crawlers.
+ * - Includes the password protection fields `password`, `failed_attempts` and `locked_until`.
+ * - Includes the result of the last health check of the destination: `health_status_code`, `health_latency_ms`,
+ *   `health_checked_at`, the `health_failures` in a row and the `broken` flag. The history is stored in the
+ *   `link_health_checks` table.
+ * - Includes the number of the live `revision`. The edit history is stored in the `link_revisions` table.
+ * - Includes the `deleted_at` date of the links moved to the trash (paranoid mode). They are hidden from
+ *   every query, but keep their visits and their short link until they are purged.
  * - Configures primary keys, foreign keys, and field-level constraints.
  * - Disables automatic management of `createdAt` and `updatedAt` fields.
- * - Defines a unique index on the `short_link` field to ensure uniqueness.
+ * - Defines a unique index on the `domain_scope` and `short_link` fields: the short links are unique per domain.
  * - Creates a foreign key relationship with the `users` table via the `id_user` field.
  *
  * Additional Configurations:
@@ -42,13 +62,39 @@ export const LinksModel = sequelizeDatabase.define("links", {
         type: DataTypes.STRING(2048),
         allowNull: false,
     },
+    /**
+     * Represents the normalized form of the original link (see `normalizeUrl`), used to find the links of a user
+     * with the same destination. It is null for the links created before the normalization
+     * until `backfillNormalizedLinks` fills it at startup.
+     */
+    normalized_link: {
+        type: DataTypes.STRING(2048),
+        allowNull: true
+    },
+    /**
+     * Represents the optional title of the link, chosen by its owner to find it later.
+     */
+    title: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    /**
+     * Represents the optional free-text notes of the link.
+     */
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
     /**
      * Represents a short link attribute in the database model.
-     * It is a string with a maximum length of 4 characters.
+     * It is a string with a maximum length of 32 characters, so it can hold
+     * both the generated codes and the custom aliases chosen by the users.
+     * It is compared in binary (case-sensitive), as the generated codes use lower and upper case letters:
+     * with the default collation "abcd" and "ABCD" would be the same short link.
      * This field is mandatory and cannot be null.
      */
     short_link: {
-        type: DataTypes.STRING(4),
+        type: DataTypes.STRING(32).BINARY,
         allowNull: false
     },
     /**
@@ -63,6 +109,215 @@ export const LinksModel = sequelizeDatabase.define("links", {
         defaultValue: DataTypes.NOW,
         allowNull: false,
     },
+    /**
+     * Represents the date and time from which the link is expired.
+     * It is optional: a null value means the link never expires by date.
+     */
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    /**
+     * Represents the maximum number of visits allowed for the link.
+     * It is optional: a null value means the link has no click limit.
+     */
+    max_clicks: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    /**
+     * Represents the lifecycle status of the link, either "active" or "inactive".
+     * Links are marked as inactive once they are expired or have reached their click limit.
+     */
+    status: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "active"
+    },
+    /**
+     * Represents the reason why the link is inactive, e.g. "expired" or "max_clicks_reached".
+     * It is null while the link is active.
+     */
+    inactive_reason: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+    },
+    /**
+     * Represents the date and time from which the link can be resolved.
+     * It is optional: a null value means the link is available since its creation.
+     */
+    active_from: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    /**
+     * Represents the date and time until which the link can be resolved.
+     * It is optional: a null value means the activation window has no end.
+     */
+    active_until: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    /**
+     * Represents the URL the visitors are sent to when the link is resolved outside its activation window.
+     * It is optional: without it, a "not available" response is sent instead.
+     */
+    fallback_url: {
+        type: DataTypes.STRING(2048),
+        allowNull: true,
+    },
+    /**
+     * Represents the `utm_source` campaign parameter: the source of the traffic (e.g. "newsletter").
+     * It is optional and is added to the destination URL when the link is resolved.
+     */
+    utm_source: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    /**
+     * Represents the `utm_medium` campaign parameter: the marketing medium (e.g. "email").
+     * It is optional and is added to the destination URL when the link is resolved.
+     */
+    utm_medium: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    /**
+     * Represents the `utm_campaign` campaign parameter: the name of the campaign (e.g. "spring_sale").
+     * It is optional and is added to the destination URL when the link is resolved.
+     */
+    utm_campaign: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    /**
+     * Represents the `utm_term` campaign parameter: the paid search keywords.
+     * It is optional and is added to the destination URL when the link is resolved.
+     */
+    utm_term: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    /**
+     * Represents the `utm_content` campaign parameter: the content that was clicked, to tell similar links apart.
+     * It is optional and is added to the destination URL when the link is resolved.
+     */
+    utm_content: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    /**
+     * Represents the destination used for the visitors on iOS devices: an app URI scheme
+     * (e.g. "myapp://product/42") or an App Store URL. It is optional.
+     */
+    ios_url: {
+        type: DataTypes.STRING(2048),
+        allowNull: true,
+    },
+    /**
+     * Represents the destination used for the visitors on Android devices: an app URI scheme
+     * (e.g. "myapp://product/42") or a Google Play URL. It is optional.
+     */
+    android_url: {
+        type: DataTypes.STRING(2048),
+        allowNull: true,
+    },
+    /**
+     * Indicates whether an intermediate page is served to the mobile visitors, which tries to open
+     * the app URI scheme first and falls back to the web destination when the app is not installed.
+     */
+    deep_link_fallback_page: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    /**
+     * Indicates whether the query parameters of the short link URL are forwarded to the destination.
+     * A null value uses the `default_forward_query` of the owner of the link.
+     */
+    forward_query: {
+        type: DataTypes.BOOLEAN,
+        allowNull: true,
+    },
+    /**
+     * Represents the HTTP status of the redirection: 301, 302, 307 or 308.
+     * A null value uses the `default_redirect_status` of the owner of the link.
+     */
+    redirect_status: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    /**
+     * Represents the `Cache-Control` header sent with the redirection.
+     * A null value uses the `default_cache_control` of the owner of the link.
+     */
+    cache_control: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    /**
+     * Indicates whether the weighted destinations of the link are sticky: when true, a visitor
+     * is always assigned to the same variant, based on a hash of its IP address and user agent.
+     */
+    sticky_destinations: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    /**
+     * Represents whether the visitors are shown an interstitial preview page with the destination
+     * before being redirected. The preview is always shown when the short link is opened with a `+` suffix.
+     */
+    preview_page: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    /**
+     * Represents the optional title of the social card (Open Graph) served to the crawlers of the
+     * chat apps and social networks instead of the metadata of the destination.
+     */
+    og_title: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    /**
+     * Represents the optional description of the social card (Open Graph) served to the crawlers.
+     */
+    og_description: {
+        type: DataTypes.STRING(1000),
+        allowNull: true
+    },
+    /**
+     * Represents the optional URL of the image of the social card (Open Graph) served to the crawlers.
+     */
+    og_image: {
+        type: DataTypes.STRING(2048),
+        allowNull: true
+    },
+    /**
+     * Represents the optional password protecting the link, hashed with bcrypt.
+     * It is never sent in the responses: see `LinksModel.prototype.toJSON`.
+     */
+    password: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    /**
+     * Represents the number of consecutive failed attempts to unlock a password-protected link.
+     */
+    failed_attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    /**
+     * Represents the date until which the unlock attempts are throttled after too many failures.
+     */
+    locked_until: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
     /**
      * Represents a foreign key relationship to the "users" table, linking to the "id_user" column.
      *
@@ -85,17 +340,116 @@ export const LinksModel = sequelizeDatabase.define("links", {
         onUpdate: "CASCADE", // Optional: behavior on update
         onDelete: "CASCADE" // Optional: behavior on delete
     },
+    /**
+     * Represents the folder the link is filed in, or null when it is not filed.
+     * The link is left unfiled when its folder is deleted.
+     */
+    id_folders: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: "folders", // Referenced table
+            key: "id_folders"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL"
+    },
+    /**
+     * Represents the custom domain of the short link, or null for the default short domain.
+     * A domain can not be deleted while it has links.
+     */
+    id_domains: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: "domains", // Referenced table
+            key: "id_domains"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "RESTRICT"
+    },
+    /**
+     * Represents the domain the short link is unique in: the `id_domains` of the link, or 0 for the default
+     * short domain. It is not null (unlike `id_domains`) so the unique index also applies to the default domain.
+     */
+    domain_scope: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    /**
+     * Represents the number of the live revision of the link, see `LinkRevisionsModel`.
+     * It is increased with each change and recorded with each visit.
+     */
+    revision: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+    },
+    /**
+     * Represents the HTTP status of the destination in the last health check, or null when it
+     * could not be reached or was never checked.
+     */
+    health_status_code: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    /**
+     * Represents the time the destination took to answer in the last health check, in milliseconds.
+     */
+    health_latency_ms: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    /**
+     * Represents the date of the last health check of the destination, or null if it was never checked.
+     */
+    health_checked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    /**
+     * Represents the number of failed health checks in a row. It is reset by a successful check.
+     */
+    health_failures: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    /**
+     * Represents whether the destination is broken: it failed `LINK_HEALTH_FAILURE_THRESHOLD` health checks in a row.
+     */
+    broken: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    /**
+     * Represents the date the link was moved to the trash, or null when it is not deleted.
+     * The links in the trash are purged after the retention period, see `purgeDeletedLinks`.
+     */
+    deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
 }, {
     /**
      * Represents the name of the database table.
      */
     tableName: "links", // Specify the table name explicitly
     /**
-     * Disables the automatic addition of `createdAt` and `updatedAt` timestamp fields
-     * to the model. Setting this to `false` prevents Sequelize from managing these
-     * timestamps for the respective model.
+     * Enables the timestamps only for the paranoid mode, which needs them: the `createdAt` and
+     * `updatedAt` fields stay disabled, and the deletion date is stored in `deleted_at`.
+     */
+    timestamps: true,
+    createdAt: false, // Disable automatic addition of createdAt and updatedAt fields
+    updatedAt: false,
+    deletedAt: 'deleted_at',
+    /**
+     * Enables the paranoid mode: `destroy()` only sets the `deleted_at` date, and the deleted links are
+     * excluded from the queries unless they use `paranoid: false`. `destroy({force: true})` deletes them.
      */
-    timestamps: false, // Disable automatic addition of createdAt and updatedAt fields
+    paranoid: true,
     /**
      * The `indexes` property defines database indexes for the associated table.
      * This configuration is used to optimize queries and enforce constraints.
@@ -105,16 +459,79 @@ export const LinksModel = sequelizeDatabase.define("links", {
      * - `fields`: An array of column names to include in the index.
      *
      * In this case:
-     * - `name` is 'idx_short_link', defining the name of the index.
-     * - `unique` is set to `true`, ensuring values in the 'short_link' column are unique.
-     * - `fields` contains 'short_link', indicating the column to be indexed.
+     * - `name` is 'idx_links_domain_short_link', defining the name of the index. It replaces the former
+     *   'idx_short_link' index, unique in the whole system, which is dropped by `syncModels`.
+     * - `unique` is set to `true`, ensuring values in the 'short_link' column are unique in each domain.
+     * - `fields` contains 'domain_scope' and 'short_link', indicating the columns to be indexed.
+     * - 'idx_links_status' is a non-unique index on the 'status' column, used to filter the links by status.
+     * - 'idx_links_utm_campaign' is a non-unique index on the 'utm_campaign' column, used to filter the links by campaign.
+     * - 'idx_links_user_normalized' is a non-unique index on the 'id_user' and 'normalized_link' columns (its first
+     *   255 characters), used to detect the duplicated links of a user.
+     * - 'idx_links_deleted_at' is a non-unique index on the 'deleted_at' column, used to list and purge the trash.
+     * - 'idx_links_health_checked_at' is a non-unique index on the 'health_checked_at' column, used to find the
+     *   links due for a health check.
+     * - 'idx_links_fulltext' is a FULLTEXT index on 'original_link', 'title' and 'notes', used to search the links.
+     *   It is only defined on MySQL: the other dialects search them with LIKE conditions.
      */
     indexes: [
         {
-            // Create an index on the short_link column
-            name: 'idx_short_link', // Index name
+            // Create an index on the short_link column of each domain
+            name: 'idx_links_domain_short_link', // Index name
             unique: true,
-            fields: ['short_link'] // Column to index
-        }
+            fields: ['domain_scope', 'short_link'] // Columns to index
+        },
+        {
+            // Create an index on the status column to filter the links by status
+            name: 'idx_links_status',
+            fields: ['status']
+        },
+        {
+            // Create an index on the campaign column to filter the links by campaign
+            name: 'idx_links_utm_campaign',
+            fields: ['utm_campaign']
+        },
+        {
+            // Create an index on the normalized links of each user to detect the duplicates
+            name: 'idx_links_user_normalized',
+            fields: ['id_user', {name: 'normalized_link', length: 255}]
+        },
+        {
+            // Create an index on the deletion date to list and purge the trash
+            name: 'idx_links_deleted_at',
+            fields: ['deleted_at']
+        },
+        {
+            // Create an index on the date of the last health check to find the links due for a check
+            name: 'idx_links_health_checked_at',
+            fields: ['health_checked_at']
+        },
+        ...(sequelizeDatabase.getDialect() === 'mysql' ? [{
+            // Create a full-text index on the searchable text columns
+            name: 'idx_links_fulltext',
+            type: 'FULLTEXT',
+            fields: ['original_link', 'title', 'notes']
+        }] : [])
     ]
 });
+
+/**
+ * Serializes the link without its hashed password, adding a `has_password` flag instead.
+ * This applies to every response that sends a link, including the ones where it is an included model.
+ *
+ * The full `short_url` of the link is added, on its custom domain when it has one (see `buildShortUrl`).
+ * It is left out when the link has a custom domain that was not loaded with it (see the `withDomain` scope).
+ *
+ * @returns {Object} The plain object representation of the link.
+ */
+LinksModel.prototype.toJSON = function () {
+    const values = {...this.get()};
+    values.has_password = Boolean(values.password);
+    delete values.password;
+
+    if (values.short_link && (!values.id_domains || values.domain)) {
+        values.short_url = buildShortUrl(values);
+    }
+    delete values.domain;
+
+    return values;
+};
@@ -13,6 +13,11 @@ import {
     linksControllerOriginalLinkGet,
     linkControllerGetCount,
     linkControllerGetCountAll,
+    linkControllerGetKeyspace,
+    linkControllerGetBulkJob,
+    linksControllerExport,
+    linksControllerSearch,
+    linksControllerTrashGet,
 } from '../controllers/linksControllerGet.js'
 
 
@@ -55,4 +60,19 @@ linksRouteGet.get('/api/v1/count/id_user/:id_user/links', protectRoute("user"),
 //Count all links
 linksRouteGet.get('/api/v1/count/all/links', protectRoute("admin"), linkControllerGetCountAll);
 
+//Short link keyspace usage
+linksRouteGet.get('/api/v1/keyspace/links', protectRoute("admin"), linkControllerGetKeyspace);
+
+//Search the links of the user
+linksRouteGet.get('/api/v1/search/links', protectRoute("user"), linksControllerSearch);
+
+//Links in the trash
+linksRouteGet.get('/api/v1/trash/links', protectRoute("user"), linksControllerTrashGet);
+
+//Export links as CSV, NDJSON or XLSX
+linksRouteGet.get('/api/v1/export/links', protectRoute("user"), linksControllerExport);
+
+//Status of a bulk upload
+linksRouteGet.get('/api/v1/bulk/links/:jobId', protectRoute("user"), linkControllerGetBulkJob);
+
 export {linksRouteGet};
@@ -2,7 +2,12 @@ import express from "express";
 
 import protectRoute from "../../middleware/usersAuthorizationJWT.js";
 
-import {linkControllerCreate} from "../controllers/linksControllerPost.js";
+import {
+    linkControllerBulkCreate,
+    linkControllerCreate,
+    linkControllerRestoreID,
+    linkControllerUnlock
+} from "../controllers/linksControllerPost.js";
 
 /**
  * The `linksRoutePost` variable is an instance of an Express Router.
@@ -21,4 +26,13 @@ const linksRoutePost = express.Router();
 
 linksRoutePost.post('/api/v1/createLinks', protectRoute("user"), linkControllerCreate);
 
+// Create links in bulk from a CSV or JSON upload
+linksRoutePost.post('/api/v1/bulk/links', protectRoute("user"), linkControllerBulkCreate);
+
+// Unlock a password-protected link
+linksRoutePost.post('/api/v1/links/unlock/:shortLink', linkControllerUnlock);
+
+// Restore a link from the trash
+linksRoutePost.post('/api/v1/trash/links/:id/restore', protectRoute("user"), linkControllerRestoreID);
+
 export {linksRoutePost};
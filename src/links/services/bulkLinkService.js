@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+import {sequelizeDatabase} from "../../../database.js";
+import {parseCsv} from "../../helpers/csvParser.js";
+import {createPreparedLink, findDuplicateLink, isAliasInUse, prepareLink} from "./linkCreationService.js";
+import {screenLinkUrls} from "../../blocklist/services/linkScreeningService.js";
+
+dotenv.config();
+
+/**
+ * Columns (CSV) or properties (JSON) accepted for each row of a bulk upload.
+ * `url` is accepted as a synonym of `original_link`.
+ *
+ * @type {string[]}
+ */
+export const BULK_ROW_FIELDS = ['original_link', 'alias', 'title', 'tags', 'expires_at', 'max_clicks'];
+
+/**
+ * Jobs of the bulk uploads processed in the background, by ID.
+ * They are kept in memory, so they are lost when the server restarts.
+ *
+ * @type {Map<string, Object>}
+ */
+const bulkJobs = new Map();
+
+/**
+ * Returns the configuration of the bulk uploads, read from the environment:
+ * - `BULK_MAX_ROWS`: Maximum number of rows of an upload. Defaults to 50000.
+ * - `BULK_SYNC_MAX_ROWS`: Uploads with more rows are processed as a background job. Defaults to 500.
+ * - `BULK_CHUNK_SIZE`: Number of rows inserted in each transaction. Defaults to 100.
+ * - `BULK_JOB_TTL_MINUTES`: Minutes a finished job is kept for its status endpoint. Defaults to 60.
+ *
+ * @returns {{maxRows: number, syncMaxRows: number, chunkSize: number, jobTtlMinutes: number}} The bulk configuration.
+ */
+export const getBulkConfig = () => {
+    return {
+        maxRows: Number(process.env.BULK_MAX_ROWS) || 50000,
+        syncMaxRows: Number(process.env.BULK_SYNC_MAX_ROWS ?? 500),
+        chunkSize: Number(process.env.BULK_CHUNK_SIZE) || 100,
+        jobTtlMinutes: Number(process.env.BULK_JOB_TTL_MINUTES) || 60
+    };
+};
+
+/**
+ * Parses the body of a bulk upload into rows.
+ *
+ * Accepted bodies:
+ * - CSV text with a header row, e.g. `original_link,alias,tags,expires_at,max_clicks`.
+ *   Several tags are separated by `|` or `;`.
+ * - A JSON array of URLs or of objects with the fields of `BULK_ROW_FIELDS`.
+ * - A JSON object with that array in its `links` property.
+ *
+ * @param {string|Object|Array} body - The parsed body of the request.
+ * @returns {Object[]|null} The rows of the upload, or null if the body has none of the accepted formats.
+ */
+export const parseBulkUpload = (body) => {
+    let rows;
+
+    if (typeof body === 'string') {
+        rows = parseCsv(body);
+    } else if (Array.isArray(body)) {
+        rows = body;
+    } else if (body && Array.isArray(body.links)) {
+        rows = body.links;
+    } else {
+        return null;
+    }
+
+    return rows.map(normalizeBulkRow);
+};
+
+/**
+ * Converts a row of a bulk upload into the fields of a new link.
+ *
+ * Empty CSV fields are ignored, numeric `max_clicks` strings are converted to numbers and
+ * the tags are returned as an array.
+ *
+ * @param {string|Object} row - The row, a URL or an object.
+ * @returns {Object} The fields of the row.
+ */
+const normalizeBulkRow = (row) => {
+    if (typeof row === 'string') {
+        return {original_link: row};
+    }
+
+    if (!row || typeof row !== 'object') {
+        return {};
+    }
+
+    const fields = {};
+    for (const field of BULK_ROW_FIELDS) {
+        const value = field === 'original_link' ? row.original_link ?? row.url : row[field];
+        if (value !== undefined && value !== null && value !== '') {
+            fields[field] = typeof value === 'string' ? value.trim() : value;
+        }
+    }
+
+    if (typeof fields.max_clicks === 'string' && /^\d+$/.test(fields.max_clicks)) {
+        fields.max_clicks = Number(fields.max_clicks);
+    }
+
+    if (typeof fields.tags === 'string') {
+        fields.tags = fields.tags.split(/[|;]/).map((tag) => tag.trim()).filter((tag) => tag !== '');
+    }
+
+    return fields;
+};
+
+/**
+ * Validates and creates the links of one row, adding its result to the report.
+ *
+ * @param {Object} row - The fields of the row.
+ * @param {number} index - The position of the row in the upload, starting at 1.
+ * @param {number} id_user - The ID of the owner of the links.
+ * @param {number} requested_by - The ID of the user that sent the upload, recorded as the creator of the links.
+ * @param {Object} seen - The normalized original links and the aliases already handled in the upload.
+ * @param {Object} transaction - The transaction of the chunk.
+ * @returns {Promise<Object>} The result of the row.
+ */
+const processBulkRow = async (row, index, id_user, requested_by, seen, transaction) => {
+    const result = {row: index, original_link: row.original_link ?? null};
+
+    const prepared = await prepareLink({...row, id_user});
+    if (prepared.error) {
+        return {...result, status: 'error', error: prepared.error};
+    }
+
+    const screeningError = await screenLinkUrls(prepared.values);
+    if (screeningError) {
+        return {...result, status: 'error', error: screeningError};
+    }
+
+    // Same original link earlier in the upload
+    const normalized = prepared.values.normalized_link;
+    if (seen.links.has(normalized)) {
+        return {...result, status: 'duplicate', duplicate_of_row: seen.links.get(normalized)};
+    }
+
+    // Same original link already shortened by the user
+    const existsLink = await findDuplicateLink(row.original_link, id_user, transaction);
+    if (existsLink) {
+        seen.links.set(normalized, index);
+        return {...result, status: 'duplicate', id_links: existsLink.id_links, short_link: existsLink.short_link};
+    }
+
+    if (prepared.alias && (seen.aliases.has(prepared.alias) || await isAliasInUse(prepared.alias, prepared.values.domain_scope, transaction))) {
+        return {...result, status: 'error', error: "Alias already in use: " + prepared.alias};
+    }
+
+    try {
+        // Each row runs in a savepoint, so a failed row does not roll back the rest of the chunk
+        const link = await createPreparedLink(prepared, transaction, requested_by);
+
+        if (!link) {
+            return {...result, status: 'error', error: "Could not generate a unique short link"};
+        }
+
+        seen.links.set(normalized, index);
+        if (prepared.alias) {
+            seen.aliases.add(prepared.alias);
+        }
+
+        return {...result, status: 'created', id_links: link.id_links, short_link: link.short_link};
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return {...result, status: 'error', error: "Short link already in use"};
+        }
+        throw error;
+    }
+};
+
+/**
+ * Creates the links of a bulk upload.
+ *
+ * Every row is validated with the same rules as the links created one by one (see `prepareLink`).
+ * The rows are inserted in chunks of `BULK_CHUNK_SIZE` rows, each one in its own transaction, and the
+ * result of every row is reported: `created`, `duplicate` (the normalized original link already exists for the user
+ * or earlier in the upload) or `error`. The tags of the rows are attached to their links, creating the
+ * missing tags for the owner.
+ *
+ * @param {Object[]} rows - The rows of the upload, see `parseBulkUpload`.
+ * @param {number} id_user - The ID of the owner of the links.
+ * @param {number} requested_by - The ID of the user that sent the upload.
+ * @param {Function} [onProgress] - Called with the number of processed rows after each chunk.
+ * @returns {Promise<{summary: Object, report: Object[]}>} The number of rows per result and the result of every row.
+ */
+export const createBulkLinks = async (rows, id_user, requested_by, onProgress) => {
+    const {chunkSize} = getBulkConfig();
+    const seen = {links: new Map(), aliases: new Set()};
+    const report = [];
+
+    for (let start = 0; start < rows.length; start += chunkSize) {
+        const chunk = rows.slice(start, start + chunkSize);
+
+        const results = await sequelizeDatabase.transaction(async (transaction) => {
+            const chunkResults = [];
+            for (const [offset, row] of chunk.entries()) {
+                chunkResults.push(await processBulkRow(row, start + offset + 1, id_user, requested_by, seen, transaction));
+            }
+            return chunkResults;
+        });
+
+        report.push(...results);
+
+        if (onProgress) {
+            onProgress(report.length);
+        }
+    }
+
+    return {
+        summary: {
+            total: rows.length,
+            created: report.filter((result) => result.status === 'created').length,
+            duplicates: report.filter((result) => result.status === 'duplicate').length,
+            errors: report.filter((result) => result.status === 'error').length
+        },
+        report
+    };
+};
+
+/**
+ * Returns the public view of a bulk job. The report is only included once the job is completed.
+ *
+ * @param {Object} job - The job.
+ * @returns {Object} The job without its internal fields.
+ */
+export const serializeBulkJob = (job) => {
+    return {
+        id: job.id,
+        status: job.status,
+        total: job.total,
+        processed: job.processed,
+        created_at: job.created_at,
+        finished_at: job.finished_at,
+        summary: job.summary,
+        report: job.report,
+        error: job.error
+    };
+};
+
+/**
+ * Starts a background job creating the links of a bulk upload.
+ *
+ * The job is processed after the response has been sent. Its status goes from `pending` to `running`
+ * and then to `completed` (with the summary and the report) or `failed` (with the error).
+ * Finished jobs are forgotten after `BULK_JOB_TTL_MINUTES` minutes.
+ *
+ * @param {Object[]} rows - The rows of the upload, see `parseBulkUpload`.
+ * @param {number} id_user - The ID of the owner of the links.
+ * @param {number} requested_by - The ID of the user that sent the upload.
+ * @returns {Object} The created job.
+ */
+export const startBulkJob = (rows, id_user, requested_by) => {
+    const job = {
+        id: crypto.randomUUID(),
+        requested_by: requested_by,
+        status: 'pending',
+        total: rows.length,
+        processed: 0,
+        created_at: new Date(),
+        finished_at: null,
+        summary: null,
+        report: null,
+        error: null
+    };
+
+    bulkJobs.set(job.id, job);
+
+    setImmediate(async () => {
+        job.status = 'running';
+
+        try {
+            const {summary, report} = await createBulkLinks(rows, id_user, requested_by, (processed) => {
+                job.processed = processed;
+            });
+            job.summary = summary;
+            job.report = report;
+            job.status = 'completed';
+        } catch (error) {
+            console.error('Error processing bulk upload:', error);
+            job.error = error.message;
+            job.status = 'failed';
+        }
+
+        job.finished_at = new Date();
+
+        // Forget the job after a while, so the memory is released
+        setTimeout(() => bulkJobs.delete(job.id), getBulkConfig().jobTtlMinutes * 60 * 1000).unref();
+    });
+
+    return job;
+};
+
+/**
+ * Returns a bulk job by its ID.
+ *
+ * @param {string} id - The ID of the job.
+ * @returns {Object|null} The job, or null if it does not exist or has been forgotten.
+ */
+export const getBulkJob = (id) => {
+    return bulkJobs.get(id) || null;
+};
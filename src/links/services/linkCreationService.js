@@ -0,0 +1,238 @@
+import validator from 'validator';
+import {Op} from 'sequelize';
+
+import {LinksModel} from "../../models/model.js";
+import {sequelizeDatabase} from "../../../database.js";
+import {findInBatches} from "../../helpers/modelCursor.js";
+import {createLinkWithGeneratedShortLink} from "./shortLinkService.js";
+import {hashLinkPassword} from "./linkPasswordService.js";
+import {setLinkTags} from "../../tags/services/tagService.js";
+import {recordInitialRevision} from "../../linkRevisions/services/linkRevisionService.js";
+import {verifyTagNames} from "../../helpers/tagVerification.js";
+import {isReservedAlias, isValidAlias, ALIAS_MIN_LENGTH, ALIAS_MAX_LENGTH} from "../../helpers/aliasVerification.js";
+import {
+    verifyActivationOptions,
+    verifyDeepLinkOptions,
+    verifyDetailsOptions,
+    verifyExpirationOptions,
+    verifyOpenGraphOptions,
+    verifyPasswordOption,
+    verifyRedirectOptions,
+    verifyUtmOptions
+} from "../../helpers/linkOptionsVerification.js";
+import {UTM_FIELDS} from "../../helpers/utmBuilder.js";
+import {normalizeUrl, withDefaultScheme} from "../../helpers/urlNormalization.js";
+
+/**
+ * What the creation of a link does when the user already has a link with the same normalized destination:
+ * - "error": The link is not created and an error is returned. This is the default.
+ * - "return": The existing link is returned instead of creating a new one.
+ * - "create": A new link is created anyway.
+ *
+ * @type {string[]}
+ */
+export const DUPLICATE_ACTIONS = ['error', 'return', 'create'];
+
+/**
+ * Validates the input of a new link and builds the values to store.
+ *
+ * The same rules are applied to the links created one by one and to the rows of the bulk uploads:
+ * the original link must be a valid URL (stored with "http://" if it has no scheme, see `withDefaultScheme`),
+ * the user ID is required, the alias (if any) must follow the charset and length policy and not be a reserved word,
+ * and every option must be valid.
+ * The database is not queried: duplicates, aliases already in use and the owners of the folder and the domain are
+ * checked by the caller.
+ *
+ * @param {Object} input - The fields of the new link, see `linkControllerCreate`.
+ * @returns {Promise<{error: string}|{values: Object, alias: string|null, tags: string[]|undefined}>} An error message
+ * if the input is invalid, otherwise the values of the link (except the short link), the alias to use, if any,
+ * and the names of its tags.
+ */
+export const prepareLink = async (input) => {
+    const {
+        original_link, id_user, alias, expires_at, max_clicks, active_from, active_until, fallback_url,
+        ios_url, android_url, deep_link_fallback_page, sticky_destinations, password,
+        forward_query, redirect_status, cache_control, preview_page, og_title, og_description, og_image,
+        tags, id_folders, id_domains, title, notes
+    } = input;
+
+    // Check if the link is valid
+    if (!original_link || typeof original_link !== 'string' || !validator.isURL(original_link.trim())) {
+        return {error: "Invalid URL"};
+    }
+
+    if (id_user === undefined || id_user === null) {
+        return {error: "User ID is required"};
+    }
+
+    const hasAlias = alias !== undefined && alias !== null && alias !== '';
+
+    // Check the alias charset and length
+    if (hasAlias && !isValidAlias(alias)) {
+        return {
+            error: `Invalid alias. It must have between ${ALIAS_MIN_LENGTH} and ${ALIAS_MAX_LENGTH} characters and contain only letters, digits, '-' or '_'`
+        };
+    }
+
+    // Check if the alias is a reserved word
+    if (hasAlias && isReservedAlias(alias)) {
+        return {error: "Alias is reserved: " + alias};
+    }
+
+    const utm = Object.fromEntries(UTM_FIELDS.map((field) => [field, input[field]]));
+
+    const error = verifyExpirationOptions({expires_at, max_clicks})
+        || verifyActivationOptions({active_from, active_until, fallback_url})
+        || verifyUtmOptions(utm)
+        || verifyDeepLinkOptions({ios_url, android_url, deep_link_fallback_page})
+        || verifyRedirectOptions({forward_query, redirect_status, cache_control})
+        || verifyOpenGraphOptions({og_title, og_description, og_image})
+        || verifyDetailsOptions({title, notes})
+        || verifyPasswordOption(password)
+        || verifyTagNames(tags);
+
+    if (error) {
+        return {error};
+    }
+
+    if (id_folders !== undefined && id_folders !== null && !Number.isInteger(id_folders)) {
+        return {error: "id_folders must be the ID of a folder"};
+    }
+
+    if (id_domains !== undefined && id_domains !== null && !Number.isInteger(id_domains)) {
+        return {error: "id_domains must be the ID of a domain"};
+    }
+
+    return {
+        alias: hasAlias ? alias : null,
+        tags: tags,
+        values: {
+            original_link: withDefaultScheme(original_link), id_user, expires_at, max_clicks, active_from,
+            active_until, fallback_url,
+            normalized_link: normalizeUrl(original_link),
+            ...utm,
+            ios_url, android_url,
+            deep_link_fallback_page: deep_link_fallback_page === true,
+            sticky_destinations: sticky_destinations === true,
+            preview_page: preview_page === true,
+            password: password ? await hashLinkPassword(password) : null,
+            forward_query, redirect_status, cache_control, og_title, og_description, og_image, id_folders, title, notes,
+            id_domains: id_domains ?? null,
+            domain_scope: id_domains ?? 0
+        }
+    };
+};
+
+/**
+ * Finds a link of the user with the same original link, once both are normalized (see `normalizeUrl`),
+ * so e.g. "HTTPS://Example.com/" and "https://example.com" are duplicates.
+ * The links created before the normalization are found by their exact original link until
+ * `backfillNormalizedLinks` has filled their normalized link.
+ *
+ * @param {string} original_link - The original link to look for.
+ * @param {number} id_user - The ID of the user.
+ * @param {Object} [transaction] - The transaction to run the query in.
+ * @returns {Promise<Object|null>} The existing link, or null if there is none.
+ */
+export const findDuplicateLink = (original_link, id_user, transaction) => {
+    return LinksModel.findOne({
+        where: {
+            id_user: id_user,
+            [Op.or]: [
+                {normalized_link: normalizeUrl(original_link)},
+                {original_link: original_link}
+            ]
+        },
+        transaction
+    });
+};
+
+/**
+ * Number of links read from the database in each query of the normalized links backfill.
+ */
+const NORMALIZATION_BATCH_SIZE = 500;
+
+/**
+ * Fills the normalized link (see `normalizeUrl`) of the links created before the duplicate detection,
+ * so they are found by `findDuplicateLink` like the new ones. The links in the trash are filled too,
+ * as they can be restored.
+ *
+ * The links are read in batches and only the ones without normalized link are read, so running
+ * the backfill again continues where it stopped. Their update date is not changed.
+ *
+ * @returns {Promise<number>} The number of links updated.
+ */
+export const backfillNormalizedLinks = async () => {
+    let updated = 0;
+
+    const batches = findInBatches(LinksModel, {
+        where: {normalized_link: null},
+        attributes: ['original_link'],
+        batchSize: NORMALIZATION_BATCH_SIZE,
+        paranoid: false
+    });
+
+    for await (const links of batches) {
+        for (const link of links) {
+            const [count] = await LinksModel.update(
+                {normalized_link: normalizeUrl(link.original_link)},
+                {where: {id_links: link.id_links}, paranoid: false, silent: true}
+            );
+            updated += count;
+        }
+    }
+
+    return updated;
+};
+
+/**
+ * Checks if an alias is already used as a short link in a domain. The short links of the links in the trash
+ * stay taken until they are purged.
+ *
+ * @param {string} alias - The alias to check.
+ * @param {number} domain_scope - The domain of the short link, see `LinksModel.domain_scope`.
+ * @param {Object} [transaction] - The transaction to run the query in.
+ * @returns {Promise<boolean>} True if the alias is already in use.
+ */
+export const isAliasInUse = async (alias, domain_scope, transaction) => {
+    const existsAlias = await LinksModel.findOne({
+        where: {
+            domain_scope: domain_scope,
+            short_link: alias
+        },
+        paranoid: false,
+        transaction
+    });
+
+    return !!existsAlias;
+};
+
+/**
+ * Creates a link prepared by `prepareLink`, with its alias or a generated short link, attaches its tags
+ * and records its first revision.
+ *
+ * @param {Object} prepared - The result of `prepareLink`.
+ * @param {Object} prepared.values - The values of the link, except the short link.
+ * @param {string|null} prepared.alias - The alias to use as short link, or null to generate one.
+ * @param {string[]} [prepared.tags] - The names of the tags of the link, created for its owner when missing.
+ * @param {Object} [transaction] - The transaction the creation is part of, if any.
+ * @param {number} [id_editor] - The ID of the user that creates the link, recorded in its history. Defaults to the owner.
+ * @returns {Promise<Object|null>} The created link, or null if no free short link could be generated.
+ */
+export const createPreparedLink = ({values, alias, tags}, transaction, id_editor = values.id_user) => {
+    return sequelizeDatabase.transaction({transaction}, async (t) => {
+        const link = alias
+            ? await LinksModel.create({...values, short_link: alias}, {transaction: t})
+            : await createLinkWithGeneratedShortLink(values, t);
+
+        if (link && tags && tags.length > 0) {
+            await setLinkTags(link, tags, t);
+        }
+
+        if (link) {
+            await recordInitialRevision(link, id_editor, t);
+        }
+
+        return link;
+    });
+};
@@ -0,0 +1,149 @@
+import {Op} from 'sequelize';
+
+import {LinksModel, LinksVisitedModel} from "../../models/model.js";
+import {VISIT_TYPE_CLICK} from "../../helpers/visitTypes.js";
+
+/**
+ * Reason stored when a link is past its expiration date.
+ *
+ * @type {string}
+ */
+export const REASON_EXPIRED = "expired";
+
+/**
+ * Reason stored when a link has reached its maximum number of visits.
+ *
+ * @type {string}
+ */
+export const REASON_MAX_CLICKS = "max_clicks_reached";
+
+/**
+ * Reason stored when a destination of a link has been refused by the screening, see `rescanLinks`.
+ *
+ * @type {string}
+ */
+export const REASON_BLOCKED = "blocked";
+
+/**
+ * Counts the clicks recorded for the given link. Preview page views are not counted.
+ *
+ * @param {number} id_links - The ID of the link.
+ * @returns {Promise<number>} The number of clicks of the link.
+ */
+export const countLinkClicks = (id_links) => {
+    return LinksVisitedModel.count({
+        where: {
+            id_links: id_links,
+            visit_type: VISIT_TYPE_CLICK
+        }
+    });
+};
+
+/**
+ * Returns the reason why the link is expired, if any.
+ *
+ * @param {Object} link - The link instance to check.
+ * @param {Date} [now=new Date()] - The reference date.
+ * @returns {Promise<string|null>} `REASON_EXPIRED`, `REASON_MAX_CLICKS` or null if the link is still valid.
+ */
+export const getExpirationReason = async (link, now = new Date()) => {
+    if (link.expires_at && new Date(link.expires_at) <= now) {
+        return REASON_EXPIRED;
+    }
+
+    if (link.max_clicks !== null && link.max_clicks !== undefined) {
+        const clicks = await countLinkClicks(link.id_links);
+        if (clicks >= link.max_clicks) {
+            return REASON_MAX_CLICKS;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Checks if the link can still be resolved, marking it as inactive when it is expired.
+ *
+ * Links already marked as inactive keep their stored reason.
+ *
+ * @param {Object} link - The link instance to check.
+ * @returns {Promise<string|null>} The reason why the link is not available, or null if it is available.
+ */
+export const checkLinkExpiration = async (link) => {
+    if (link.status === "inactive") {
+        return link.inactive_reason || REASON_EXPIRED;
+    }
+
+    const reason = await getExpirationReason(link);
+
+    if (reason) {
+        await link.update({status: "inactive", inactive_reason: reason});
+    }
+
+    return reason;
+};
+
+/**
+ * Recomputes the status of a link after its expiration options have been edited,
+ * so a link whose date or click limit has been extended becomes active again.
+ *
+ * A link disabled by the screening (`REASON_BLOCKED`) stays inactive, unless `unblock` is set
+ * because its destinations have just been screened again.
+ *
+ * @param {Object} link - The link instance to refresh.
+ * @param {Object} [options={}] - The refresh options.
+ * @param {boolean} [options.unblock=false] - Whether a blocked link can become active again.
+ * @returns {Promise<void>}
+ */
+export const refreshLinkStatus = async (link, {unblock = false} = {}) => {
+    if (link.inactive_reason === REASON_BLOCKED && !unblock) {
+        return;
+    }
+
+    const reason = await getExpirationReason(link);
+
+    await link.update({
+        status: reason ? "inactive" : "active",
+        inactive_reason: reason
+    });
+};
+
+/**
+ * Marks as inactive every active link that is past its expiration date or has reached its click limit.
+ *
+ * @returns {Promise<number>} The number of links marked as inactive.
+ */
+export const sweepExpiredLinks = async () => {
+    const now = new Date();
+
+    const [expiredCount] = await LinksModel.update(
+        {status: "inactive", inactive_reason: REASON_EXPIRED},
+        {
+            where: {
+                status: "active",
+                expires_at: {
+                    [Op.lte]: now
+                }
+            }
+        }
+    );
+
+    const limitedLinks = await LinksModel.findAll({
+        where: {
+            status: "active",
+            max_clicks: {
+                [Op.ne]: null
+            }
+        }
+    });
+
+    let usedUpCount = 0;
+    for (const link of limitedLinks) {
+        if (await getExpirationReason(link, now) === REASON_MAX_CLICKS) {
+            await link.update({status: "inactive", inactive_reason: REASON_MAX_CLICKS});
+            usedUpCount++;
+        }
+    }
+
+    return expiredCount + usedUpCount;
+};
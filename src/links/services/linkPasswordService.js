@@ -0,0 +1,84 @@
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Hashes the password of a link the same way the user passwords are hashed.
+ *
+ * @param {string} password - The plain password.
+ * @returns {Promise<string>} The hashed password.
+ */
+export const hashLinkPassword = (password) => {
+    return bcrypt.hash(password, 10);
+};
+
+/**
+ * Returns the number of seconds the unlock attempts of the link are still throttled.
+ *
+ * @param {Object} link - The link instance.
+ * @returns {number} The seconds left, or 0 if the link is not throttled.
+ */
+export const getUnlockRetryAfter = (link) => {
+    if (!link.locked_until) {
+        return 0;
+    }
+
+    const seconds = Math.ceil((new Date(link.locked_until).getTime() - Date.now()) / 1000);
+    return seconds > 0 ? seconds : 0;
+};
+
+/**
+ * Checks the password of a link, counting the failed attempts.
+ *
+ * After `LINK_PASSWORD_MAX_ATTEMPTS` consecutive failures (5 by default), the unlock attempts
+ * are throttled for `LINK_PASSWORD_LOCK_MINUTES` minutes (15 by default). A successful attempt
+ * resets the counter.
+ *
+ * @param {Object} link - The password-protected link instance.
+ * @param {string} password - The plain password sent by the visitor.
+ * @returns {Promise<boolean>} True if the password is correct, otherwise false.
+ */
+export const verifyLinkPassword = async (link, password) => {
+    const maxAttempts = Number(process.env.LINK_PASSWORD_MAX_ATTEMPTS) || 5;
+    const lockMinutes = Number(process.env.LINK_PASSWORD_LOCK_MINUTES) || 15;
+
+    if (typeof password === 'string' && await bcrypt.compare(password, link.password)) {
+        await link.update({failed_attempts: 0, locked_until: null});
+        return true;
+    }
+
+    const failedAttempts = link.failed_attempts + 1;
+
+    if (failedAttempts >= maxAttempts) {
+        await link.update({
+            failed_attempts: 0,
+            locked_until: new Date(Date.now() + lockMinutes * 60 * 1000)
+        });
+    } else {
+        await link.update({failed_attempts: failedAttempts});
+    }
+
+    return false;
+};
+
+/**
+ * Checks if the given token unlocks the link.
+ *
+ * @param {string} token - The unlock token sent by the visitor.
+ * @param {Object} link - The password-protected link instance.
+ * @returns {boolean} True if the token is valid for this link, otherwise false.
+ */
+export const isValidUnlockToken = (token, link) => {
+    if (!token) {
+        return false;
+    }
+
+    try {
+        const result = jwt.verify(token, process.env.TOKEN_SECRET);
+        return result.scope === 'link_unlock' && result.id_links === link.id_links;
+    } catch (error) {
+        return false;
+    }
+};
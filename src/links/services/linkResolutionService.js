@@ -0,0 +1,237 @@
+import {checkLinkExpiration} from "./linkLifecycleService.js";
+import {isValidUnlockToken} from "./linkPasswordService.js";
+import {findMatchingRule} from "../../linkRules/services/linkRuleService.js";
+import {chooseDestination, getVisitorHash} from "../../linkDestinations/services/linkDestinationService.js";
+import {getClientIp} from "../../helpers/clientIp.js";
+import {detectDeviceType, detectOs} from "../../helpers/userAgent.js";
+import {getPreferredLanguage} from "../../helpers/acceptLanguage.js";
+import {getVisitorCountry} from "../../helpers/visitorCountry.js";
+import {buildUtmUrl} from "../../helpers/utmBuilder.js";
+import {withDefaultScheme} from "../../helpers/urlNormalization.js";
+import {mergeQueryParams} from "../../helpers/queryString.js";
+import {UsersModel} from "../../models/model.js";
+
+/**
+ * Query parameters used by the resolution itself, which are never forwarded to the destination.
+ *
+ * @type {string[]}
+ */
+const RESERVED_QUERY_PARAMS = ['token'];
+
+/**
+ * Checks if the link is resolved inside its activation window.
+ *
+ * @param {Object} link - The link instance being resolved.
+ * @param {Date} [now=new Date()] - The reference date.
+ * @returns {{status: number, body: Object, location?: string}|null} The error response to send, or null if the link is active.
+ */
+const checkActivationWindow = (link, now = new Date()) => {
+    let denied = null;
+
+    if (link.active_from && new Date(link.active_from) > now) {
+        denied = {
+            status: 403,
+            body: {
+                ok: false,
+                error: "Link is not yet available",
+                available_from: link.active_from
+            }
+        };
+    } else if (link.active_until && new Date(link.active_until) <= now) {
+        denied = {
+            status: 410,
+            body: {
+                ok: false,
+                error: "Link is no longer available",
+                reason: "activation_window_closed"
+            }
+        };
+    }
+
+    if (denied && link.fallback_url) {
+        denied.body.fallback_url = link.fallback_url;
+        denied.location = link.fallback_url;
+    }
+
+    return denied;
+};
+
+/**
+ * Checks if the visitor can be sent to the destination of the link.
+ *
+ * The checks are run in order:
+ * 1. The link must not be expired or used up (410 Gone with the reason).
+ * 2. The link must be inside its activation window (403 before it starts, 410 after it ends).
+ *    When the link has a `fallback_url`, it is returned as `location` so the visitor can be redirected there.
+ * 3. A password-protected link needs a valid unlock token, sent in the `X-Link-Token` header
+ *    or the `token` query parameter (401 with a password challenge).
+ *
+ * @param {Object} link - The link instance being resolved.
+ * @param {Object} req - The Express request object of the visitor.
+ * @returns {Promise<{status: number, body: Object, location?: string}|null>} The error response to send, or null if the link can be resolved.
+ */
+export const checkLinkAccess = async (link, req) => {
+    // Check if the link is expired or has reached its click limit
+    const expirationReason = await checkLinkExpiration(link);
+    if (expirationReason) {
+        return {
+            status: 410,
+            body: {
+                ok: false,
+                error: "Link is no longer available",
+                reason: expirationReason
+            }
+        };
+    }
+
+    // Check if the link is inside its activation window
+    const windowDenied = checkActivationWindow(link);
+    if (windowDenied) {
+        return windowDenied;
+    }
+
+    // Check if the link is password protected and has been unlocked
+    if (link.password) {
+        const token = req.get('x-link-token') || req.query.token;
+        if (!isValidUnlockToken(token, link)) {
+            return {
+                status: 401,
+                body: {
+                    ok: false,
+                    error: "Password required",
+                    password_required: true,
+                    unlock_url: "/api/v1/links/unlock/" + link.short_link
+                }
+            };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Extracts from the request the visitor data used to evaluate the redirection rules.
+ *
+ * @param {Object} req - The Express request object of the visitor.
+ * @returns {{country: string|null, os: string|null, device: string, language: string|null}} The visitor data.
+ */
+export const getVisitor = (req) => {
+    const userAgent = req.get('user-agent');
+
+    return {
+        country: getVisitorCountry(req),
+        os: detectOs(userAgent),
+        device: detectDeviceType(userAgent),
+        language: getPreferredLanguage(req.get('accept-language'))
+    };
+};
+
+/**
+ * Resolves the destination the visitor has to be sent to.
+ *
+ * 1. The conditional redirection rules of the link are evaluated in priority order;
+ *    the destination of the first matching rule is used.
+ * 2. Otherwise, the web destination is one of the weighted destinations of the link, chosen for
+ *    the visitor, or the `original_link` when there are none. Visitors on iOS or Android are sent
+ *    to the `ios_url` or `android_url` of the link instead, returned as `app_url`.
+ *
+ * The campaign (UTM) parameters of the link are added to the web destination. When query forwarding
+ * is enabled, the query parameters of the request are added too, see `forwardQuery`.
+ *
+ * @param {Object} link - The link instance being resolved.
+ * @param {Object} req - The Express request object of the visitor.
+ * @returns {Promise<{url: string, app_url: string|null, rule: Object|null, destination: Object|null}>}
+ * The web destination URL, the mobile deep link to use instead (if any), the rule that matched and the
+ * weighted destination chosen, if any.
+ */
+export const resolveDestination = async (link, req) => {
+    const visitor = getVisitor(req);
+    const settings = await getRedirectSettings(link);
+
+    // The links stored without scheme would otherwise be sent as a relative address
+    const buildUrl = (url) => {
+        const tagged = buildUtmUrl(withDefaultScheme(url), link);
+        return settings.forwardQuery ? forwardQuery(tagged, req.query) : tagged;
+    };
+
+    const rule = await findMatchingRule(link.id_links, visitor);
+    if (rule) {
+        return {url: buildUrl(rule.destination_url), app_url: null, rule: rule, destination: null};
+    }
+
+    const destination = await chooseDestination(link, getVisitorHash(getClientIp(req), req.get('user-agent')));
+
+    return {
+        url: buildUrl(destination ? destination.destination_url : link.original_link),
+        app_url: getDeepLink(link, visitor),
+        rule: null,
+        destination: destination
+    };
+};
+
+/**
+ * Adds the query parameters of the request to the destination URL.
+ *
+ * Merging rules:
+ * - The parameters already in the destination (including the campaign parameters) take precedence:
+ *   an incoming parameter with the same name is dropped.
+ * - The other incoming parameters are appended, keeping repeated values.
+ * - The parameters used by the resolution itself (`token`) are never forwarded.
+ *
+ * @param {string} url - The destination URL.
+ * @param {Object} query - The parsed query string of the request.
+ * @returns {string} The destination URL with the forwarded parameters.
+ */
+export const forwardQuery = (url, query) => {
+    const params = Object.fromEntries(
+        Object.entries(query)
+            .filter(([key, value]) => !RESERVED_QUERY_PARAMS.includes(key) && (typeof value === 'string' || Array.isArray(value)))
+            .map(([key, value]) => [key, [].concat(value).filter((item) => typeof item === 'string')])
+    );
+
+    return mergeQueryParams(url, params, false);
+};
+
+/**
+ * Returns the redirection settings of a link, using the defaults of its owner for the ones the link does not set.
+ *
+ * When no Cache-Control is configured, temporary redirections (302 and 307) are sent with "no-store",
+ * so every visit reaches the server and is recorded.
+ *
+ * @param {Object} link - The link instance being resolved. Its `user` is used when it has been included.
+ * @returns {Promise<{status: number, cacheControl: string|null, forwardQuery: boolean}>} The redirection settings.
+ */
+export const getRedirectSettings = async (link) => {
+    const user = link.user || await UsersModel.findOne({
+        where: {
+            id_user: link.id_user
+        },
+        attributes: ['default_forward_query', 'default_redirect_status', 'default_cache_control']
+    });
+
+    const status = link.redirect_status ?? user?.default_redirect_status ?? 302;
+    const cacheControl = link.cache_control ?? user?.default_cache_control ?? null;
+
+    return {
+        status: status,
+        cacheControl: cacheControl ?? (status === 302 || status === 307 ? 'no-store' : null),
+        forwardQuery: link.forward_query ?? user?.default_forward_query ?? false
+    };
+};
+
+/**
+ * Returns the mobile deep link of the link for the operating system of the visitor.
+ *
+ * @param {Object} link - The link instance being resolved.
+ * @param {Object} visitor - The data of the visitor, see `getVisitor`.
+ * @returns {string|null} The `ios_url` or `android_url` of the link, or null if there is none for the visitor.
+ */
+const getDeepLink = (link, visitor) => {
+    if (visitor.os === "iOS") {
+        return link.ios_url || null;
+    }
+    if (visitor.os === "Android") {
+        return link.android_url || null;
+    }
+    return null;
+};
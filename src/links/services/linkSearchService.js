@@ -0,0 +1,226 @@
+import {Op} from 'sequelize';
+
+import {LinksModel, TagsModel} from "../../models/model.js";
+import {sequelizeDatabase} from "../../../database.js";
+import {highlightText} from "../../helpers/searchHighlight.js";
+
+/**
+ * Number of links of each page of results when the `limit` is not sent.
+ *
+ * @type {number}
+ */
+export const SEARCH_DEFAULT_LIMIT = 20;
+
+/**
+ * Maximum number of links of each page of results.
+ *
+ * @type {number}
+ */
+export const SEARCH_MAX_LIMIT = 100;
+
+/**
+ * Maximum length of the search text, and maximum number of words searched separately.
+ */
+const SEARCH_MAX_LENGTH = 200;
+const SEARCH_MAX_TERMS = 10;
+
+/**
+ * Weight added to the rank of a link for each search word found in one of its fields.
+ * A link whose short link is exactly the search text gets `exact_short_link` on top.
+ *
+ * @type {Object<string, number>}
+ */
+const SEARCH_WEIGHTS = {
+    exact_short_link: 10,
+    short_link: 3,
+    title: 3,
+    tags: 2,
+    original_link: 2,
+    notes: 1
+};
+
+/**
+ * Length of the fragment of the notes returned in the highlights.
+ */
+const NOTES_SNIPPET_LENGTH = 160;
+
+/**
+ * Whether the database supports the FULLTEXT index of the links (see `LinksModel`).
+ * On the other dialects the links are only searched by substring.
+ *
+ * @type {boolean}
+ */
+const useFullText = sequelizeDatabase.getDialect() === 'mysql';
+
+/**
+ * Parses the query string parameters of a search.
+ *
+ * - `q`: The text to search, required. Each of its words is searched separately.
+ * - `page`: The page of results, starting at 1. Defaults to 1.
+ * - `limit`: The number of links of each page, up to `SEARCH_MAX_LIMIT`. Defaults to `SEARCH_DEFAULT_LIMIT`.
+ *
+ * @param {Object} query - The query string parameters of the request.
+ * @return {{error: string}|{text: string, terms: string[], page: number, limit: number}} An error message if a
+ * parameter is invalid, otherwise the search text, its words in lowercase and the page to return.
+ */
+export const parseSearchQuery = (query) => {
+    const text = typeof query.q === 'string' ? query.q.trim() : '';
+    if (text === '' || text.length > SEARCH_MAX_LENGTH) {
+        return {error: `q must have between 1 and ${SEARCH_MAX_LENGTH} characters`};
+    }
+
+    const page = query.page === undefined ? 1 : Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+        return {error: "page must be a positive integer"};
+    }
+
+    const limit = query.limit === undefined ? SEARCH_DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+        return {error: `limit must be an integer between 1 and ${SEARCH_MAX_LIMIT}`};
+    }
+
+    const terms = [...new Set(text.toLowerCase().split(/\s+/))].slice(0, SEARCH_MAX_TERMS);
+
+    return {text, terms, page, limit};
+};
+
+/**
+ * Builds a LIKE condition matching the columns that contain a word, ignoring the case.
+ * The wildcards of the word are escaped, so they are matched literally.
+ *
+ * @param {string} column - The column (or expression) to match.
+ * @param {string} term - The word to find, in lowercase.
+ * @return {string} The SQL condition.
+ */
+const containsSql = (column, term) => {
+    const pattern = '%' + term.replace(/[!%_]/g, '!$&') + '%';
+    return `LOWER(${column}) LIKE ${sequelizeDatabase.escape(pattern)} ESCAPE '!'`;
+};
+
+/**
+ * Builds the SQL expression of the rank of a link for a search.
+ *
+ * Each word found in the short link, the title, the tags, the original link or the notes adds the weight
+ * of the field (see `SEARCH_WEIGHTS`). On MySQL, the relevance of the full-text match on the original
+ * link, the title and the notes is added too. A link does not match the search when its rank is 0.
+ *
+ * @param {string} text - The search text.
+ * @param {string[]} terms - The words of the search text, in lowercase.
+ * @return {string} The SQL expression.
+ */
+const rankSql = (text, terms) => {
+    const scores = [
+        `CASE WHEN LOWER(links.short_link) = ${sequelizeDatabase.escape(text.toLowerCase())} THEN ${SEARCH_WEIGHTS.exact_short_link} ELSE 0 END`
+    ];
+
+    for (const term of terms) {
+        for (const column of ['short_link', 'title', 'original_link', 'notes']) {
+            scores.push(`CASE WHEN ${containsSql('links.' + column, term)} THEN ${SEARCH_WEIGHTS[column]} ELSE 0 END`);
+        }
+
+        scores.push(
+            'CASE WHEN EXISTS (SELECT 1 FROM link_tags INNER JOIN tags ON tags.id_tags = link_tags.id_tags' +
+            ` WHERE link_tags.id_links = links.id_links AND ${containsSql('tags.name', term)})` +
+            ` THEN ${SEARCH_WEIGHTS.tags} ELSE 0 END`
+        );
+    }
+
+    if (useFullText) {
+        scores.push(
+            'MATCH (links.original_link, links.title, links.notes) AGAINST (' +
+            sequelizeDatabase.escape(text) + ' IN NATURAL LANGUAGE MODE)'
+        );
+    }
+
+    return scores.join(' + ');
+};
+
+/**
+ * Returns the highlighted fields of a link that contain any of the search words, see `highlightText`.
+ *
+ * @param {Object} link - The plain link, with its `tags`.
+ * @param {string[]} terms - The words of the search text.
+ * @return {Object} The highlighted `short_link`, `title`, `original_link` and `notes` (a fragment around the
+ * first match) that match the search, and the matching `tags`.
+ */
+const highlightLink = (link, terms) => {
+    const highlights = {};
+
+    for (const column of ['short_link', 'title', 'original_link', 'notes']) {
+        const highlighted = highlightText(link[column], terms, column === 'notes' ? NOTES_SNIPPET_LENGTH : undefined);
+        if (highlighted) {
+            highlights[column] = highlighted;
+        }
+    }
+
+    const tags = link.tags.map((tag) => highlightText(tag.name, terms)).filter((tag) => tag !== null);
+    if (tags.length > 0) {
+        highlights.tags = tags;
+    }
+
+    return highlights;
+};
+
+/**
+ * Searches the links of a user by substring and full-text matching on the original link, the short link,
+ * the title, the notes and the names of the tags.
+ *
+ * The links are ranked by relevance (see `rankSql`), the newest first when they have the same rank,
+ * and returned one page at a time with the fields that match highlighted.
+ *
+ * @param {Object} search - The search, see `parseSearchQuery`.
+ * @param {string} search.text - The search text.
+ * @param {string[]} search.terms - The words of the search text, in lowercase.
+ * @param {number} search.page - The page to return, starting at 1.
+ * @param {number} search.limit - The number of links of each page.
+ * @param {number} id_user - The ID of the user whose links are searched. The links of the other users are never returned.
+ * @param {Object} [filters={}] - Additional conditions on the links, e.g. their status.
+ * @returns {Promise<{total: number, links: Object[]}>} The number of links matching the search and the links of the page,
+ * each one with its `tags`, its `score` and its `highlights`.
+ */
+export const searchLinks = async ({text, terms, page, limit}, id_user, filters = {}) => {
+    const rank = rankSql(text, terms);
+
+    const where = {
+        ...filters,
+        id_user: id_user,
+        [Op.and]: [sequelizeDatabase.literal(`(${rank}) > 0`)]
+    };
+
+    const total = await LinksModel.count({where});
+
+    const links = await LinksModel.scope('withDomain').findAll({
+        where: where,
+        attributes: {
+            include: [[sequelizeDatabase.literal(rank), 'score']]
+        },
+        order: [[sequelizeDatabase.literal('score'), 'DESC'], ['id_links', 'DESC']],
+        limit: limit,
+        offset: (page - 1) * limit
+    });
+
+    // The tags are loaded apart, so the limit applies to the links and not to the joined rows
+    const tagged = await LinksModel.findAll({
+        where: {
+            id_links: links.map((link) => link.id_links)
+        },
+        attributes: ['id_links'],
+        include: [
+            {
+                model: TagsModel,
+                through: {attributes: []}
+            }
+        ]
+    });
+    const tagsByLink = new Map(tagged.map((link) => [link.id_links, link.tags]));
+
+    return {
+        total: total,
+        links: links.map((link) => {
+            const values = {...link.toJSON(), tags: tagsByLink.get(link.id_links) ?? []};
+            values.score = Number(values.score);
+
+            return {...values, highlights: highlightLink(values, terms)};
+        })
+    };
+};
@@ -0,0 +1,48 @@
+import {Op} from 'sequelize';
+import dotenv from 'dotenv';
+
+import {LinksModel} from "../../models/model.js";
+
+dotenv.config();
+
+/**
+ * Returns the number of days the deleted links are kept in the trash before they are purged,
+ * read from `LINKS_TRASH_RETENTION_DAYS` (30 by default).
+ *
+ * @returns {number} The retention of the trash, in days.
+ */
+export const getTrashRetentionDays = () => {
+    const days = Number(process.env.LINKS_TRASH_RETENTION_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+/**
+ * Returns the date from which a deleted link is purged.
+ *
+ * @param {Object} link - The deleted link.
+ * @returns {Date|null} The purge date, or null if the link is not deleted.
+ */
+export const getPurgeDate = (link) => {
+    if (!link.deleted_at) {
+        return null;
+    }
+
+    return new Date(new Date(link.deleted_at).getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Permanently deletes the links that have been in the trash for longer than the retention.
+ * Their visits, rules and destinations are deleted with them, and their short links become free again.
+ *
+ * @returns {Promise<number>} The number of links purged.
+ */
+export const purgeDeletedLinks = () => {
+    const limit = new Date(Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+
+    return LinksModel.destroy({
+        where: {
+            deleted_at: {[Op.lte]: limit}
+        },
+        force: true
+    });
+};
@@ -0,0 +1,202 @@
+import dotenv from 'dotenv';
+import {Op, Sequelize, UniqueConstraintError} from 'sequelize';
+
+import {LinksModel} from "../../models/model.js";
+import {sequelizeDatabase} from "../../../database.js";
+import {DEFAULT_ALPHABET, generateShortLink, removeLookAlikes} from "../../helpers/generateShortLink.js";
+import {ALIAS_MAX_LENGTH, isReservedAlias, SHORT_LINK_CHARSET} from "../../helpers/aliasVerification.js";
+
+dotenv.config();
+
+/**
+ * Checks if an alphabet can be used to generate the short links: it needs at least 2 characters,
+ * all of them allowed in the short links (see `SHORT_LINK_CHARSET`).
+ *
+ * @param {string} alphabet - The distinct characters of the alphabet.
+ * @returns {boolean} True if the alphabet is valid.
+ */
+const isValidShortLinkAlphabet = (alphabet) => {
+    return new RegExp(`^[${SHORT_LINK_CHARSET}]{2,}$`).test(alphabet);
+};
+
+/**
+ * Returns the configuration of the short link generator, read from the environment:
+ * - `SHORT_LINK_LENGTH`: Minimum length of the generated codes. Defaults to 4.
+ * - `SHORT_LINK_ALPHABET`: Characters used to build the codes. Defaults to letters and digits.
+ * - `SHORT_LINK_NO_LOOKALIKES`: When "true", removes the look-alike characters (0/O, 1/l) from the alphabet.
+ * - `SHORT_LINK_MAX_ATTEMPTS`: Maximum number of codes tried before giving up. Defaults to 10.
+ * - `SHORT_LINK_GROWTH_THRESHOLD`: Ratio of used keyspace from which the length grows. Defaults to 0.5.
+ *
+ * The alphabet can only have the characters allowed in the aliases (see `SHORT_LINK_CHARSET`), so every code
+ * can be routed, and at least 2 distinct characters once the look-alikes are removed. Otherwise, the default
+ * alphabet is used.
+ *
+ * @returns {{minLength: number, alphabet: string, maxAttempts: number, growthThreshold: number}} The generator configuration.
+ */
+export const getShortLinkConfig = () => {
+    const buildAlphabet = (characters) => {
+        const alphabet = [...new Set(characters)].join('');
+        return process.env.SHORT_LINK_NO_LOOKALIKES === 'true' ? removeLookAlikes(alphabet) : alphabet;
+    };
+
+    let alphabet = buildAlphabet(process.env.SHORT_LINK_ALPHABET || DEFAULT_ALPHABET);
+    if (!isValidShortLinkAlphabet(alphabet)) {
+        alphabet = buildAlphabet(DEFAULT_ALPHABET);
+    }
+
+    return {
+        minLength: Number(process.env.SHORT_LINK_LENGTH) || 4,
+        alphabet: alphabet,
+        maxAttempts: Number(process.env.SHORT_LINK_MAX_ATTEMPTS) || 10,
+        growthThreshold: Number(process.env.SHORT_LINK_GROWTH_THRESHOLD) || 0.5
+    };
+};
+
+/**
+ * Milliseconds the number of short links of each length is kept in memory, see `countShortLinksWithLength`.
+ */
+const KEYSPACE_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Number of short links by domain and length (e.g. "0:4"), counted in the database and increased
+ * with each generated short link until they expire.
+ *
+ * @type {Map<string, {used: number, expires: number}>}
+ */
+const keyspaceCounts = new Map();
+
+/**
+ * Counts the short links of a domain stored with the given length.
+ *
+ * Counting scans the whole links table, so the result is kept in memory for a minute and increased
+ * with the short links generated meanwhile. It can be off by the aliases and the links created by other
+ * instances during that time, which is enough to choose the length of the codes.
+ *
+ * @param {number} length - The length of the short links to count.
+ * @param {number} domain_scope - The domain of the short links, see `LinksModel.domain_scope`.
+ * @param {Object} [transaction] - Optional Sequelize transaction.
+ * @returns {Promise<number>} The number of short links with that length.
+ */
+const countShortLinksWithLength = async (length, domain_scope, transaction) => {
+    const key = domain_scope + ':' + length;
+    const cached = keyspaceCounts.get(key);
+    if (cached && cached.expires > Date.now()) {
+        return cached.used;
+    }
+
+    const used = await LinksModel.count({
+        where: {
+            domain_scope: domain_scope,
+            [Op.and]: [Sequelize.where(Sequelize.fn('CHAR_LENGTH', Sequelize.col('links.short_link')), length)]
+        },
+        // The short links of the links in the trash are still taken
+        paranoid: false,
+        transaction
+    });
+
+    keyspaceCounts.set(key, {used, expires: Date.now() + KEYSPACE_CACHE_TTL_MS});
+
+    return used;
+};
+
+/**
+ * Returns the usage of the keyspace of a domain for every length from the minimum length
+ * to the first length whose usage is below the growth threshold, which is the length used
+ * for the new short links of the domain.
+ *
+ * @param {Object} [transaction] - Optional Sequelize transaction.
+ * @param {number} [domain_scope=0] - The domain of the short links, see `LinksModel.domain_scope`.
+ * Defaults to the default short domain.
+ * @returns {Promise<Object>} The keyspace report.
+ */
+export const getKeyspaceUsage = async (transaction, domain_scope = 0) => {
+    const {minLength, alphabet, growthThreshold} = getShortLinkConfig();
+    const lengths = [];
+
+    let length = minLength;
+    while (true) {
+        const capacity = Math.pow(alphabet.length, length);
+        const used = await countShortLinksWithLength(length, domain_scope, transaction);
+        const usage = used / capacity;
+
+        lengths.push({length, capacity, used, usage});
+
+        if (usage < growthThreshold || length >= ALIAS_MAX_LENGTH) {
+            break;
+        }
+        length++;
+    }
+
+    return {
+        alphabet_size: alphabet.length,
+        min_length: minLength,
+        current_length: length,
+        growth_threshold: growthThreshold,
+        lengths
+    };
+};
+
+/**
+ * Creates a new link with a unique generated short link.
+ *
+ * Runs inside a transaction: the code length is chosen from the keyspace usage, then random codes
+ * are tried in a bounded loop until one is neither in use in the domain of the link (including the links in the trash)
+ * nor reserved. A code taken by a concurrent creation between the check and the insert fails on the unique index
+ * and is retried like the other collisions. When every attempt collides, nothing is created.
+ * When an outer transaction is given, the creation runs in a savepoint of it.
+ *
+ * @param {Object} values - The values of the link to create, except `short_link`, with its `domain_scope`.
+ * @param {Object} [outerTransaction] - The transaction the creation is part of, if any.
+ * @returns {Promise<Object|null>} The created link, or null if no free short link was found.
+ */
+export const createLinkWithGeneratedShortLink = async (values, outerTransaction) => {
+    const {alphabet, maxAttempts} = getShortLinkConfig();
+
+    return sequelizeDatabase.transaction({transaction: outerTransaction}, async (transaction) => {
+        const domain_scope = values.domain_scope ?? 0;
+        const {current_length} = await getKeyspaceUsage(transaction, domain_scope);
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const short_link = generateShortLink({length: current_length, alphabet});
+
+            // Generated codes must not take the reserved words either
+            if (isReservedAlias(short_link)) {
+                continue;
+            }
+
+            const existsShortLink = await LinksModel.findOne({
+                where: {
+                    domain_scope: domain_scope,
+                    short_link: short_link
+                },
+                // The short links of the links in the trash stay reserved until they are purged
+                paranoid: false,
+                transaction
+            });
+
+            if (existsShortLink) {
+                continue;
+            }
+
+            try {
+                // In a savepoint, so a failed insert does not abort the transaction
+                const link = await sequelizeDatabase.transaction({transaction}, (savepoint) => {
+                    return LinksModel.create({...values, short_link}, {transaction: savepoint});
+                });
+
+                const cached = keyspaceCounts.get(domain_scope + ':' + current_length);
+                if (cached) {
+                    cached.used++;
+                }
+
+                return link;
+            } catch (error) {
+                if (!(error instanceof UniqueConstraintError)) {
+                    throw error;
+                }
+            }
+        }
+
+        return null;
+    });
+};
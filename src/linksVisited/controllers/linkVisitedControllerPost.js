@@ -1,11 +1,20 @@
 // Create a new visited link
 import {LinksVisitedModel, LinksModel, UsersModel} from "../../models/model.js";
 import {isValidIp} from "../../helpers/ipVerification.js";
+import {
+    getVisitUserAgentFields,
+    serializeUserAgentBackfill,
+    startUserAgentBackfill
+} from "../services/visitUserAgentService.js";
 
 /**
  * Handles the creation of a record for a visited link in the database.
  * Validates input data, checks the existence of both the user and the link,
  * and associates the visit metadata such as OS, web navigator, IP address, country, and city.
+ * The optional `id_link_rules` and `id_link_destinations` identify the redirection rule and the A/B variant
+ * returned when the link was resolved.
+ * The `so` and `web_navigator` sent by the client are stored as they are; the normalized OS, browser and device
+ * of the visitor are parsed by the server from the `User-Agent` header of the request.
  *
  * @async
  * @function linkVisitedControllerCreate
@@ -17,7 +26,7 @@ import {isValidIp} from "../../helpers/ipVerification.js";
 export const linkVisitedControllerCreate = async (req, res) => {
 
     try {
-        const {so, web_navigator, ip, country, city, id_user, id_links} = req.body;
+        const {so, web_navigator, ip, country, city, id_user, id_links, id_link_rules, id_link_destinations} = req.body;
 
         //ip address validation
         const ipValidation = isValidIp(ip) ? ip : null;
@@ -68,7 +77,9 @@ export const linkVisitedControllerCreate = async (req, res) => {
 
         // Create a new visited link
         const linkVisited = await LinksVisitedModel.create({
-            so, web_navigator, ip: ipValidation, country, city, id_user, id_links
+            so, web_navigator, ip: ipValidation, country, city, id_user, id_links, id_link_rules, id_link_destinations,
+            revision: links.revision,
+            ...getVisitUserAgentFields(req.get('user-agent'))
         });
         res.status(201).send({
             ok: true,
@@ -85,3 +96,31 @@ export const linkVisitedControllerCreate = async (req, res) => {
         });
     }
 };
+
+/**
+ * Starts the backfill of the parsed User-Agent columns of the existing visits. Only for admins.
+ *
+ * The OS, browser and device of the visits recorded before the server parsed them are filled from their
+ * raw User-Agent header or, for the older visits, from the `so` and `web_navigator` sent by the clients,
+ * see `backfillVisitUserAgents`. The visits are updated in batches in the background; the progress is
+ * available at the same path with GET.
+ *
+ * @function linkVisitedControllerBackfillUserAgents
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @returns {void} Sends a JSON response with the backfill.
+ *
+ * Possible Responses:
+ * - Status 202: Sends an object with `ok: true`, the backfill `job` and its `status_url`. When a backfill is
+ *   already running, it is sent instead of starting a new one.
+ */
+export const linkVisitedControllerBackfillUserAgents = (req, res) => {
+    const {job, started} = startUserAgentBackfill();
+
+    res.status(202).send({
+        ok: true,
+        job: serializeUserAgentBackfill(job),
+        status_url: '/api/v1/linksVisited/user-agents/backfill',
+        message: started ? "Backfill started" : "Backfill already running"
+    });
+};
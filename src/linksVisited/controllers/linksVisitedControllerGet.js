@@ -1,6 +1,30 @@
 import {LinksModel, LinksVisitedModel, UsersModel} from "../../models/model.js";
 import {Op} from "sequelize";
+import {getExportBatchSize, streamExport} from "../../helpers/exportStream.js";
+import {parseExportQuery} from "../../helpers/exportQuery.js";
+import {findInBatches} from "../../helpers/modelCursor.js";
+import {VISIT_TYPE_CLICK, VISIT_TYPES} from "../../helpers/visitTypes.js";
+import {getUserAgentBackfill, serializeUserAgentBackfill} from "../services/visitUserAgentService.js";
 
+/**
+ * Counts the visits matching a condition by type (see `VISIT_TYPES`).
+ *
+ * @param {Object} [where={}] - The conditions on the visits.
+ * @returns {Promise<Object>} The number of visits of each type, e.g. `{click: 10, preview: 2, crawler: 5}`.
+ */
+const countVisitsByType = async (where = {}) => {
+    const rows = await LinksVisitedModel.count({
+        where: where,
+        group: ['visit_type']
+    });
+
+    const counts = Object.fromEntries(VISIT_TYPES.map((type) => [type, 0]));
+    for (const row of rows) {
+        counts[row.visit_type] = row.count;
+    }
+
+    return counts;
+};
 
 /**
  * Handles HTTP requests to retrieve all links visited.
@@ -319,11 +343,13 @@ export const linksVisitedControllerGetParamsAll = async (req, res) => {
  * This function extracts the `id_user` parameter from the request, queries
  * the LinksVisitedModel to count the number of records matching the provided user ID,
  * and sends the result or an error response as appropriate.
+ * Only the clicks are in the `count`: the preview pages and the crawlers are counted apart in `counts`.
  *
  * @async
  * @function linkVisitedControllerGetCount
  * @param {Object} req - The request object containing parameters and other data.
  * @param {Object} res - The response object used to send data back to the client.
+ * @returns {Promise<void>} Sends the number of clicks in `count` and the number of visits of each type in `counts`.
  * @throws {Error} Returns a 500 status code along with the error message in case of a failure.
  */
 export const linkVisitedControllerGetCount = async (req, res) => {
@@ -332,16 +358,15 @@ export const linkVisitedControllerGetCount = async (req, res) => {
         const { id_user } = req.params;
 
         // Cuenta el número de registros que coinciden con el id_user
-        const count = await LinksVisitedModel.count({
-            where: {
-                id_user: id_user
-            }
+        const counts = await countVisitsByType({
+            id_user: id_user
         });
 
         // Devuelve la respuesta exitosa con el conteo
         res.status(200).send({
             ok: true,
-            count: count
+            count: counts[VISIT_TYPE_CLICK],
+            counts: counts
         });
     } catch (error) {
         // Manejo de errores
@@ -357,12 +382,14 @@ export const linkVisitedControllerGetCount = async (req, res) => {
  * Handles the retrieval of the total count of links visited from the database.
  *
  * This function sends a response containing the total count of links visited, retrieved from the database.
+ * Only the clicks are in the `count`: the preview pages and the crawlers are counted apart in `counts`.
  * In case of an error during the execution, it responds with an appropriate error message.
  *
  * @async
  * @function
  * @param {Object} req - The HTTP request object.
  * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends the number of clicks in `count` and the number of visits of each type in `counts`.
  *
  * @throws {Error} If an error occurs during the database query, it sends a response with a status of 500 and error details.
  */
@@ -370,12 +397,13 @@ export const linkVisitedControllerGetCountAll = async (req, res) => {
     try {
 
         // Cuenta el número de registros que coinciden con el id_user
-        const count = await LinksVisitedModel.count();
+        const counts = await countVisitsByType();
 
         // Devuelve la respuesta exitosa con el conteo
         res.status(200).send({
             ok: true,
-            count: count
+            count: counts[VISIT_TYPE_CLICK],
+            counts: counts
         });
     } catch (error) {
         // Manejo de errores
@@ -419,3 +447,81 @@ export const linksVisitedControllerGetByUserId = async (req, res) => {
         });
     }
 };
+
+/**
+ * Streams the visited links as a CSV, NDJSON or XLSX file download.
+ *
+ * The visits are read from the database in batches and written while they are read, so millions of
+ * rows can be exported without loading them in memory. Regular users only export the visits of their
+ * own links; admins can export every visit or the ones of a user.
+ *
+ * @async
+ * @function linksVisitedControllerExport
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.query - The query string parameters.
+ * @param {string} [req.query.format] - The format of the file: "csv" (default), "ndjson" or "xlsx".
+ * @param {number} [req.query.id_user] - Optional user whose visits are exported.
+ * @param {string} [req.query.from] - Optional first visit date, in the YYYY-MM-DD format.
+ * @param {string} [req.query.to] - Optional last visit date, in the YYYY-MM-DD format.
+ * @param {string} [req.query.attribute] - Optional column to filter the visits on (e.g. `id_links` or `visit_type`),
+ * with the value in `data`.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends the file, or an error message with status 400 (invalid format, date or attribute filter),
+ * 403 (visits of another user) or 500 (the export could not be started).
+ */
+export const linksVisitedControllerExport = async (req, res) => {
+    const columns = Object.keys(LinksVisitedModel.rawAttributes);
+
+    const parsed = parseExportQuery(req.query, {dateColumn: 'visited_date', columns, user: req.user});
+    if (parsed.error) {
+        return res.status(parsed.status).send({
+            ok: false,
+            error: parsed.error
+        });
+    }
+
+    try {
+        await streamExport(res, {
+            format: parsed.format,
+            filename: 'visits-' + new Date().toISOString().substring(0, 10),
+            columns: columns,
+            batches: findInBatches(LinksVisitedModel, {
+                where: parsed.where,
+                attributes: columns,
+                batchSize: getExportBatchSize()
+            })
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Reports the progress of the backfill of the parsed User-Agent columns of the visits. Only for admins.
+ *
+ * @function linksVisitedControllerGetUserAgentBackfill
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the last backfill `job`, see `startUserAgentBackfill`.
+ * - Status 404: No backfill was started since the server started.
+ */
+export const linksVisitedControllerGetUserAgentBackfill = (req, res) => {
+    const job = getUserAgentBackfill();
+
+    if (!job) {
+        return res.status(404).send({
+            ok: false,
+            error: "No backfill started"
+        });
+    }
+
+    res.status(200).send({
+        ok: true,
+        job: serializeUserAgentBackfill(job)
+    });
+};
@@ -16,8 +16,16 @@ import { DataTypes, Sequelize } from "sequelize";
  * - ip: A string storing the IP address of the user. Optional field.
  * - country: A string specifying the country of the user. Optional field.
  * - city: A string specifying the city of the user. Optional field.
+ * - user_agent: A string storing the raw User-Agent header of the visitor. Optional field.
+ * - os, os_version, browser, browser_version, device_type, device_vendor: The visitor data parsed by the server from
+ *   the User-Agent header, see `parseUserAgent`. Optional fields, null when the header is missing or could not be parsed.
+ * - visit_type: The type of the visit, "click", "preview" (the interstitial preview page was shown) or "crawler"
+ *   (the request of a known crawler, e.g. a link preview). Defaults to "click".
+ * - revision: The revision of the link that was live when the visit happened. Optional field.
  * - id_user: A foreign key referencing the 'id_user' column in the "users" table. It cascades on update and delete.
  * - id_links: A foreign key referencing the 'id_links' column in the "links" table. It cascades on update and delete.
+ * - id_link_rules: A foreign key referencing the rule that matched the visit. It is set to null when the rule is deleted.
+ * - id_link_destinations: A foreign key referencing the A/B variant chosen for the visit. It is set to null when the variant is deleted.
  *
  * The model explicitly names the associated database table as "links_visited" and disables
  * automatic timestamp management for createdAt and updatedAt fields.
@@ -102,6 +110,79 @@ export const LinksVisitedModel = sequelizeDatabase.define("LinksVisited", {
         type: DataTypes.STRING(100),
         allowNull: true,
     },
+    /**
+     * Represents the raw `User-Agent` header sent by the visitor.
+     * This field is a string with a maximum length of 512 characters.
+     * It is optional and is filled by the server when the visit is recorded by the redirect route.
+     */
+    user_agent: {
+        type: DataTypes.STRING(512),
+        allowNull: true,
+    },
+    /**
+     * Represents the operating system of the visitor parsed from the User-Agent header, e.g. "Android".
+     * Unlike `so`, the value is normalized by the server.
+     */
+    os: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+    },
+    /**
+     * Represents the version of the operating system of the visitor, e.g. "14".
+     */
+    os_version: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+    },
+    /**
+     * Represents the browser of the visitor parsed from the User-Agent header, e.g. "Chrome",
+     * or the name of the crawler. Unlike `web_navigator`, the value is normalized by the server.
+     */
+    browser: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+    },
+    /**
+     * Represents the version of the browser of the visitor, e.g. "124.0.6367.82".
+     */
+    browser_version: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+    },
+    /**
+     * Represents the type of device of the visitor: "desktop", "mobile", "tablet" or "bot".
+     * It is null for the visits without User-Agent header.
+     */
+    device_type: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+    },
+    /**
+     * Represents the vendor of the device of the visitor, e.g. "Apple" or "Samsung".
+     */
+    device_vendor: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+    },
+    /**
+     * Represents the type of the visit.
+     * A "click" is recorded when the visitor is sent to the destination, a "preview" when the
+     * interstitial preview page is shown and a "crawler" for the requests of the known crawlers.
+     * Only the clicks are counted in the click statistics.
+     */
+    visit_type: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "click"
+    },
+    /**
+     * Represents the revision of the link that was live when the visit happened, see `LinkRevisionsModel`.
+     * It is null for the visits recorded before the edit history.
+     */
+    revision: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
     /**
      * Represents a foreign key that references the `id_user` column in the `users` table.
      *
@@ -144,6 +225,36 @@ export const LinksVisitedModel = sequelizeDatabase.define("LinksVisited", {
         onUpdate: "CASCADE", // Optional: behavior on update
         onDelete: "CASCADE"  // Optional: behavior on delete
     },
+    /**
+     * Represents the conditional redirection rule that matched the visit, if any.
+     * It is null when the visitor was sent to the original link. The reference is
+     * cleared when the rule is deleted, so the visit is kept.
+     */
+    id_link_rules: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: "link_rules", // Referenced table
+            key: "id_link_rules"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL"
+    },
+    /**
+     * Represents the weighted destination (A/B variant) the visitor was assigned to, if any.
+     * It is used to break down the statistics by variant. The reference is cleared when
+     * the destination is deleted, so the visit is kept.
+     */
+    id_link_destinations: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: "link_destinations", // Referenced table
+            key: "id_link_destinations"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL"
+    },
 
 }, {
     /**
@@ -1,6 +1,11 @@
 import express from 'express';
 
-import {linkVisitedControllerCreate} from "../controllers/linkVisitedControllerPost.js";
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {
+    linkVisitedControllerBackfillUserAgents,
+    linkVisitedControllerCreate
+} from "../controllers/linkVisitedControllerPost.js";
 
 /**
  * Represents an instance of an express Router object used for handling routes
@@ -18,4 +23,7 @@ const linkVisitedRoutePost = express.Router();
 // Route to create a new link visited entry
 linkVisitedRoutePost.post('/api/v1/linksVisited', linkVisitedControllerCreate);
 
+// Route to fill the parsed User-Agent columns of the existing visits
+linkVisitedRoutePost.post('/api/v1/linksVisited/user-agents/backfill', protectRoute("admin"), linkVisitedControllerBackfillUserAgents);
+
 export {linkVisitedRoutePost};
@@ -13,6 +13,8 @@ import {
     linkVisitedControllerGetCount,
     linkVisitedControllerGetCountAll,
     linksVisitedControllerGetByUserId,
+    linksVisitedControllerExport,
+    linksVisitedControllerGetUserAgentBackfill,
 } from '../controllers/linksVisitedControllerGet.js'
 
 /**
@@ -30,6 +32,9 @@ linksVisitedRouteGet.get('/api/v1/linksvisited', protectRoute("admin"), linksVis
 // Show all links visited with all users and links
 linksVisitedRouteGet.get('/api/v1/linksvisited/all', protectRoute("admin"), indexLinksVisitedControllerAllGet);
 
+// Progress of the backfill of the User-Agent columns, before the routes with params that would match it
+linksVisitedRouteGet.get('/api/v1/linksVisited/user-agents/backfill', protectRoute("admin"), linksVisitedControllerGetUserAgentBackfill);
+
 // Show visited links by ID
 linksVisitedRouteGet.get('/api/v1/linksvisited/:id', protectRoute("user"), linksVisitedControllerGetID);
 
@@ -54,4 +59,7 @@ linksVisitedRouteGet.get('/api/v1/count/all/linksVisited', protectRoute("admin")
 // Get links visited by user ID
 linksVisitedRouteGet.get('/api/v1/linksvisited/id_user/:id_user',  protectRoute("user"), linksVisitedControllerGetByUserId);
 
+// Export links visited as CSV, NDJSON or XLSX
+linksVisitedRouteGet.get('/api/v1/export/linksVisited', protectRoute("user"), linksVisitedControllerExport);
+
 export {linksVisitedRouteGet};
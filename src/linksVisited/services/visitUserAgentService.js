@@ -0,0 +1,218 @@
+import {Op} from 'sequelize';
+
+import {LinksVisitedModel} from "../../models/model.js";
+import {normalizeBrowserName, normalizeOsName, parseUserAgent} from "../../helpers/userAgent.js";
+import {findInBatches} from "../../helpers/modelCursor.js";
+
+/**
+ * Number of visits read from the database in each query of the backfill.
+ */
+const BACKFILL_BATCH_SIZE = 1000;
+
+/**
+ * The last backfill started, see `startUserAgentBackfill`. It is kept in memory, so it is lost when
+ * the server restarts.
+ *
+ * @type {Object|null}
+ */
+let backfillJob = null;
+
+/**
+ * Parses the User-Agent header of a visit into its columns, see `parseUserAgent`.
+ * The versions are cut to the size of their columns.
+ *
+ * @param {string|undefined} userAgent - The User-Agent header of the visit.
+ * @returns {{os: string|null, os_version: string|null, browser: string|null, browser_version: string|null,
+ * device_type: string|null, device_vendor: string|null}} The parsed columns of the visit.
+ */
+const parseVisitUserAgent = (userAgent) => {
+    const parsed = parseUserAgent(userAgent);
+
+    return {
+        ...parsed,
+        os_version: parsed.os_version ? parsed.os_version.substring(0, 50) : null,
+        browser_version: parsed.browser_version ? parsed.browser_version.substring(0, 50) : null
+    };
+};
+
+/**
+ * Returns the columns of a visit filled from its User-Agent header: the raw header, cut to 512 characters,
+ * and the data parsed from it.
+ *
+ * @param {string|undefined} userAgent - The User-Agent header of the visit.
+ * @returns {Object} The `user_agent`, `os`, `os_version`, `browser`, `browser_version`, `device_type`
+ * and `device_vendor` of the visit.
+ */
+export const getVisitUserAgentFields = (userAgent) => {
+    return {
+        user_agent: userAgent ? userAgent.substring(0, 512) : null,
+        ...parseVisitUserAgent(userAgent)
+    };
+};
+
+/**
+ * Updates the visits of a batch, grouped by the values they are updated with, so the visits with the same data
+ * are updated at once.
+ *
+ * @param {Object[]} visits - The visits of the batch.
+ * @param {Function} getKey - Returns the key of a visit; the visits with the same key get the same values.
+ * @param {Function} getFields - Returns the values of the visits of a group, from one of its visits.
+ * @returns {Promise<number>} The number of visits updated.
+ */
+const updateVisitsByGroup = async (visits, getKey, getFields) => {
+    const groups = new Map();
+    for (const visit of visits) {
+        const key = getKey(visit);
+        if (!groups.has(key)) {
+            groups.set(key, {visit, ids: []});
+        }
+        groups.get(key).ids.push(visit.id_links_visited);
+    }
+
+    let updated = 0;
+
+    for (const {visit, ids} of groups.values()) {
+        const fields = getFields(visit);
+        if (Object.values(fields).every((value) => value === null)) {
+            continue;
+        }
+
+        const [count] = await LinksVisitedModel.update(fields, {
+            where: {id_links_visited: {[Op.in]: ids}}
+        });
+        updated += count;
+    }
+
+    return updated;
+};
+
+/**
+ * Fills the parsed User-Agent columns of the visits recorded before they existed.
+ *
+ * - The visits with a raw `user_agent` are parsed like the new ones, see `parseUserAgent`.
+ * - The older visits only have the `so` and `web_navigator` sent by the clients: their names are normalized
+ *   into `os` and `browser` (see `normalizeOsName` and `normalizeBrowserName`). The other columns can not be
+ *   derived and stay null, like the names that are not known.
+ *
+ * The visits are read in batches, and the visits of a batch with the same data are updated at once.
+ * Only the visits without parsed data are read, so running the backfill again continues where it stopped.
+ *
+ * @param {Function} [onProgress] - Called after each batch with the number of visits read and updated so far.
+ * @returns {Promise<number>} The number of visits updated.
+ */
+export const backfillVisitUserAgents = async (onProgress = () => {}) => {
+    let processed = 0;
+    let updated = 0;
+
+    const parsedBatches = findInBatches(LinksVisitedModel, {
+        where: {
+            user_agent: {[Op.ne]: null},
+            device_type: null
+        },
+        attributes: ['user_agent'],
+        batchSize: BACKFILL_BATCH_SIZE
+    });
+
+    for await (const visits of parsedBatches) {
+        updated += await updateVisitsByGroup(visits, (visit) => visit.user_agent,
+            (visit) => parseVisitUserAgent(visit.user_agent));
+        processed += visits.length;
+        onProgress(processed, updated);
+    }
+
+    const legacyBatches = findInBatches(LinksVisitedModel, {
+        where: {
+            user_agent: null,
+            os: null,
+            browser: null,
+            [Op.or]: [
+                {so: {[Op.ne]: null}},
+                {web_navigator: {[Op.ne]: null}}
+            ]
+        },
+        attributes: ['so', 'web_navigator'],
+        batchSize: BACKFILL_BATCH_SIZE
+    });
+
+    for await (const visits of legacyBatches) {
+        updated += await updateVisitsByGroup(visits, (visit) => JSON.stringify([visit.so, visit.web_navigator]),
+            (visit) => ({
+                os: normalizeOsName(visit.so),
+                browser: normalizeBrowserName(visit.web_navigator)
+            }));
+        processed += visits.length;
+        onProgress(processed, updated);
+    }
+
+    return updated;
+};
+
+/**
+ * Returns the public view of a backfill job.
+ *
+ * @param {Object} job - The job.
+ * @returns {Object} The status of the job, the number of visits read (`processed`) and `updated` so far,
+ * its dates and its error, if it failed.
+ */
+export const serializeUserAgentBackfill = (job) => {
+    return {
+        status: job.status,
+        processed: job.processed,
+        updated: job.updated,
+        started_at: job.started_at,
+        finished_at: job.finished_at,
+        error: job.error
+    };
+};
+
+/**
+ * Starts the backfill of the User-Agent columns (see `backfillVisitUserAgents`) in the background,
+ * so the request does not wait for the whole visits table to be rewritten.
+ *
+ * Only one backfill runs at a time: while a backfill is running, it is returned instead of starting another one.
+ * Its status goes from `running` to `completed` or `failed` (with the error).
+ *
+ * @returns {{job: Object, started: boolean}} The backfill, and whether it was started by this call.
+ */
+export const startUserAgentBackfill = () => {
+    if (backfillJob && backfillJob.status === 'running') {
+        return {job: backfillJob, started: false};
+    }
+
+    const job = {
+        status: 'running',
+        processed: 0,
+        updated: 0,
+        started_at: new Date(),
+        finished_at: null,
+        error: null
+    };
+    backfillJob = job;
+
+    setImmediate(async () => {
+        try {
+            job.updated = await backfillVisitUserAgents((processed, updated) => {
+                job.processed = processed;
+                job.updated = updated;
+            });
+            job.status = 'completed';
+        } catch (error) {
+            console.error('Error backfilling the User-Agent of the visits:', error);
+            job.error = error.message;
+            job.status = 'failed';
+        }
+
+        job.finished_at = new Date();
+    });
+
+    return {job, started: true};
+};
+
+/**
+ * Returns the last backfill of the User-Agent columns, see `startUserAgentBackfill`.
+ *
+ * @returns {Object|null} The backfill, or null if none was started since the server started.
+ */
+export const getUserAgentBackfill = () => {
+    return backfillJob;
+};
@@ -17,3 +17,18 @@ export const generateToken = (email) => {
     const secretKey = process.env.TOKEN_SECRET; // Ensure this is set in your .env file
     return jwt.sign({email: email}, secretKey, {expiresIn: '10h'});
 };
+
+/**
+ * Generates a short-lived JWT that unlocks a password-protected link.
+ *
+ * The token is signed with the `TOKEN_SECRET` environment variable and expires after
+ * the number of minutes set in `LINK_UNLOCK_TOKEN_MINUTES` (5 by default).
+ *
+ * @param {number} id_links - The ID of the unlocked link.
+ * @returns {string} A signed JWT token.
+ */
+export const generateLinkUnlockToken = (id_links) => {
+    const secretKey = process.env.TOKEN_SECRET;
+    const minutes = Number(process.env.LINK_UNLOCK_TOKEN_MINUTES) || 5;
+    return jwt.sign({id_links: id_links, scope: 'link_unlock'}, secretKey, {expiresIn: minutes * 60});
+};
@@ -16,6 +16,8 @@ dotenv.config();
  * - Allows access to "user" routes for both "user" and "admin" roles.
  * - Allows access to "admin" routes only for users with "admin" roles.
  *
+ * The authenticated user is stored in `req.user` for the next handlers.
+ *
  * If the user is unauthorized, the middleware sends a response indicating the appropriate error, such as "Unauthorized user"
  * or "User not found". If there is no token provided and the role requirement is not empty, it denies access.
  */
@@ -38,6 +40,9 @@ let protectRoute = (role) => {
 
                 // Check if the user is admin and let it continue.
                 if (user) {
+                    // Make the authenticated user available to the controllers
+                    req.user = user;
+
                     // Check if the user is user or admin and let it continue.
                     //This allows an admin user to also see the routes of the user user
                     if (role === "user" && (user.role === "user" || user.role === "admin")) {
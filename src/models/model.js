@@ -1,8 +1,18 @@
 //The order of imports is important because of the foreign keys
 import { UsersModel } from "../users/model/UserModel.js";
+import { FoldersModel } from "../folders/model/FoldersModel.js";
+import { DomainsModel } from "../domains/model/DomainsModel.js";
 import { LinksModel } from "../links/model/LinksModel.js";
+import { TagsModel } from "../tags/model/TagsModel.js";
+import { LinkTagsModel } from "../tags/model/LinkTagsModel.js";
+import { LinkRulesModel } from "../linkRules/model/LinkRulesModel.js";
+import { LinkDestinationsModel } from "../linkDestinations/model/LinkDestinationsModel.js";
+import { LinkRevisionsModel } from "../linkRevisions/model/LinkRevisionsModel.js";
+import { LinkHealthChecksModel } from "../linkHealthChecks/model/LinkHealthChecksModel.js";
 import { LinksVisitedModel } from "../linksVisited/model/LinksVisitedModel.js";
+import { BlocklistModel } from "../blocklist/model/BlocklistModel.js";
 
+import { Op } from 'sequelize';
 import { sequelizeDatabase } from '../../database.js';
 
 // Define associations
@@ -15,6 +25,56 @@ UsersModel.hasMany(LinksVisitedModel, { foreignKey: 'id_user' });
 LinksVisitedModel.belongsTo(LinksModel, { foreignKey: 'id_links' });
 LinksModel.hasMany(LinksVisitedModel, { foreignKey: 'id_links' });
 
+LinkRulesModel.belongsTo(LinksModel, { foreignKey: 'id_links' });
+LinksModel.hasMany(LinkRulesModel, { foreignKey: 'id_links' });
+
+LinksVisitedModel.belongsTo(LinkRulesModel, { foreignKey: 'id_link_rules' });
+LinkRulesModel.hasMany(LinksVisitedModel, { foreignKey: 'id_link_rules' });
+
+LinkDestinationsModel.belongsTo(LinksModel, { foreignKey: 'id_links' });
+LinksModel.hasMany(LinkDestinationsModel, { foreignKey: 'id_links' });
+
+LinksVisitedModel.belongsTo(LinkDestinationsModel, { foreignKey: 'id_link_destinations' });
+LinkDestinationsModel.hasMany(LinksVisitedModel, { foreignKey: 'id_link_destinations' });
+
+TagsModel.belongsTo(UsersModel, { foreignKey: 'id_user' });
+UsersModel.hasMany(TagsModel, { foreignKey: 'id_user' });
+
+LinksModel.belongsToMany(TagsModel, { through: LinkTagsModel, foreignKey: 'id_links', otherKey: 'id_tags' });
+TagsModel.belongsToMany(LinksModel, { through: LinkTagsModel, foreignKey: 'id_tags', otherKey: 'id_links' });
+
+FoldersModel.belongsTo(UsersModel, { foreignKey: 'id_user' });
+UsersModel.hasMany(FoldersModel, { foreignKey: 'id_user' });
+
+FoldersModel.belongsTo(FoldersModel, { as: 'parent', foreignKey: 'id_parent' });
+FoldersModel.hasMany(FoldersModel, { as: 'subfolders', foreignKey: 'id_parent' });
+
+LinksModel.belongsTo(FoldersModel, { foreignKey: 'id_folders' });
+FoldersModel.hasMany(LinksModel, { foreignKey: 'id_folders' });
+
+LinkRevisionsModel.belongsTo(LinksModel, { foreignKey: 'id_links' });
+LinksModel.hasMany(LinkRevisionsModel, { foreignKey: 'id_links' });
+
+LinkRevisionsModel.belongsTo(UsersModel, { as: 'editor', foreignKey: 'id_editor' });
+UsersModel.hasMany(LinkRevisionsModel, { foreignKey: 'id_editor' });
+
+LinkHealthChecksModel.belongsTo(LinksModel, { foreignKey: 'id_links' });
+LinksModel.hasMany(LinkHealthChecksModel, { foreignKey: 'id_links' });
+
+DomainsModel.belongsTo(UsersModel, { foreignKey: 'id_user' });
+UsersModel.hasMany(DomainsModel, { foreignKey: 'id_user' });
+
+LinksModel.belongsTo(DomainsModel, { as: 'domain', foreignKey: 'id_domains' });
+DomainsModel.hasMany(LinksModel, { foreignKey: 'id_domains' });
+
+BlocklistModel.belongsTo(UsersModel, { foreignKey: 'id_user' });
+UsersModel.hasMany(BlocklistModel, { foreignKey: 'id_user' });
+
+// The hostname of the custom domain of the links, loaded where their short URL is built (see `buildShortUrl`)
+LinksModel.addScope('withDomain', {
+    include: [{ model: DomainsModel, as: 'domain', attributes: ['hostname'] }]
+});
+
 
 
 /**
@@ -30,10 +90,40 @@ export async function syncModels() {
 // Synchronize all defined models
 // Use alter to update existing tables without losing data
         await sequelizeDatabase.sync({ alter: true });
+
+        // The short links were unique in the whole system before the custom domains: drop that index
+        const queryInterface = sequelizeDatabase.getQueryInterface();
+        const linkIndexes = await queryInterface.showIndex('links');
+        if (linkIndexes.some((index) => index.name === 'idx_short_link')) {
+            await queryInterface.removeIndex('links', 'idx_short_link');
+        }
+
+        // The hostnames of the domains were unique even before their verification: keep them unique once verified only
+        const domainIndexes = await queryInterface.showIndex('domains');
+        if (domainIndexes.some((index) => index.name === 'idx_domains_hostname')) {
+            await queryInterface.removeIndex('domains', 'idx_domains_hostname');
+        }
+        await DomainsModel.update(
+            {verified_hostname: sequelizeDatabase.col('hostname')},
+            {where: {verified_at: {[Op.ne]: null}, verified_hostname: null}}
+        );
         console.log('Models synchronized with the MySQL database.');
     } catch (error) {
         console.error('Error synchronizing models:', error);
     }
 }
 
-export { UsersModel, LinksModel, LinksVisitedModel };
+export {
+    UsersModel,
+    FoldersModel,
+    DomainsModel,
+    LinksModel,
+    TagsModel,
+    LinkTagsModel,
+    LinkRulesModel,
+    LinkDestinationsModel,
+    LinkRevisionsModel,
+    LinkHealthChecksModel,
+    LinksVisitedModel,
+    BlocklistModel
+};
@@ -0,0 +1,141 @@
+import {LinksModel} from "../../models/model.js";
+import {buildShortUrl} from "../../helpers/shortUrl.js";
+import {getRequestDomainScope} from "../../domains/services/domainService.js";
+import {parseQrOptions, renderQrCode} from "../services/qrCodeService.js";
+import {ownedLinksWhere} from "../../helpers/linkOwnership.js";
+
+/**
+ * Sends the QR code of the short URL of a link, with the options of the query string.
+ *
+ * The image is sent with its content type and an ETag, so the clients can revalidate it.
+ * With `download=true` it is sent as an attachment named after the short link.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {Object} link - The link whose short URL is encoded.
+ * @param {string} cacheControl - The Cache-Control header of the image.
+ * @returns {Promise<void>}
+ */
+const sendQrCode = async (req, res, link, cacheControl) => {
+    const options = parseQrOptions(req.query);
+    if (options.error) {
+        return res.status(400).send({
+            ok: false,
+            error: options.error
+        });
+    }
+
+    const qr = await renderQrCode(buildShortUrl(link), options);
+    if (qr.error) {
+        return res.status(400).send({
+            ok: false,
+            error: qr.error
+        });
+    }
+
+    if (req.query.download === 'true') {
+        res.attachment(`qr-${link.short_link}.${options.format}`);
+    }
+
+    res.set('Cache-Control', cacheControl);
+    res.status(200).type(qr.contentType).send(qr.body);
+};
+
+/**
+ * Handles the retrieval of the QR code of a link by its ID.
+ *
+ * The code encodes the short URL of the link, on its custom domain when it has one. See `parseQrOptions` for the query string parameters:
+ * `format` ("png" or "svg"), `size`, `margin`, `color`, `background`, `level`, `logo` and `logo_size`.
+ * The link has to belong to the user, unless they are an admin.
+ *
+ * @async
+ * @function qrControllerGetID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the link.
+ * @param {Object} req.query - The options of the code, and `download=true` to download it as a file.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends the image or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends the PNG or SVG image.
+ * - Status 400: An option is invalid, or the logo could not be downloaded or embedded.
+ * - Status 404: The link does not exist or belongs to another user.
+ * - Status 500: Internal server error.
+ */
+export const qrControllerGetID = async (req, res) => {
+    try {
+        const link = await LinksModel.scope('withDomain').findOne({
+            where: {
+                id_links: req.params.id,
+                ...ownedLinksWhere(req.user)
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Link not found with id " + req.params.id
+            });
+        }
+
+        await sendQrCode(req, res, link, 'private, max-age=3600');
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Handles the public retrieval of the QR code of a short link. It accepts the same options as `qrControllerGetID`,
+ * except the `logo`: the server would download any image for anonymous clients.
+ *
+ * @async
+ * @function qrControllerGetShortLink
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.shortLink - The short link, searched in the domain of the `Host` header.
+ * @param {Object} req.query - The options of the code, `download=true` to download it as a file, and `domain`
+ * to search the short link in this custom domain instead of the one of the `Host` header.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends the image or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends the PNG or SVG image.
+ * - Status 400: An option is invalid, or a logo was asked for.
+ * - Status 404: The short link does not exist.
+ * - Status 500: Internal server error.
+ */
+export const qrControllerGetShortLink = async (req, res) => {
+    if (req.query.logo !== undefined) {
+        return res.status(400).send({
+            ok: false,
+            error: "logo is only available on /api/v1/links/:id/qr"
+        });
+    }
+
+    try {
+        const link = await LinksModel.scope('withDomain').findOne({
+            where: {
+                domain_scope: await getRequestDomainScope(req),
+                short_link: req.params.shortLink
+            }
+        });
+
+        if (!link) {
+            return res.status(404).send({
+                ok: false,
+                error: "Short link not found"
+            });
+        }
+
+        await sendQrCode(req, res, link, 'public, max-age=3600');
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,19 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {qrControllerGetID, qrControllerGetShortLink} from "../controllers/qrControllerGet.js";
+
+/**
+ * The `qrRouteGet` variable is an instance of an Express Router.
+ * It defines the GET routes of the QR codes of the links.
+ */
+const qrRouteGet = express.Router();
+
+// QR code of a link by ID
+qrRouteGet.get('/api/v1/links/:id/qr', protectRoute("user"), qrControllerGetID);
+
+// Public QR code of a short link
+qrRouteGet.get('/api/v1/qr/:shortLink', qrControllerGetShortLink);
+
+export {qrRouteGet};
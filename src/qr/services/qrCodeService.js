@@ -0,0 +1,418 @@
+import dotenv from 'dotenv';
+import QRCode from 'qrcode';
+import {PNG} from 'pngjs';
+import validator from 'validator';
+
+import {fetchRemote} from "../../helpers/remoteFetch.js";
+
+dotenv.config();
+
+/**
+ * Formats of the QR codes, with their content type.
+ *
+ * @type {Object<string, string>}
+ */
+export const QR_FORMATS = {
+    png: 'image/png',
+    svg: 'image/svg+xml'
+};
+
+/**
+ * Error-correction levels of the QR codes, from the lowest (7% of the code can be restored) to the highest (30%).
+ *
+ * @type {string[]}
+ */
+export const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+
+/**
+ * Content types of the logos that can be embedded in the SVG codes. The PNG codes only accept PNG logos.
+ *
+ * @type {string[]}
+ */
+const LOGO_CONTENT_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml'];
+
+/**
+ * Maximum width and height of the PNG logos, in pixels. They are checked before the logo is decoded,
+ * as a small compressed file can have huge dimensions.
+ *
+ * @type {number}
+ */
+const LOGO_MAX_DIMENSION = 1024;
+
+/**
+ * PNG file signature, followed by the IHDR chunk with the dimensions of the image.
+ *
+ * @type {Buffer}
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * QR codes already rendered, by text and options. The oldest entry is evicted when the cache is full.
+ *
+ * @type {Map<string, {body: Buffer, expires: number}>}
+ */
+const qrCache = new Map();
+
+/**
+ * Returns the configuration of the QR codes, read from the environment:
+ * - `QR_CACHE_MAX_ENTRIES`: Maximum number of codes kept in the cache. Defaults to 500.
+ * - `QR_CACHE_TTL_MINUTES`: Minutes a code is kept in the cache. Defaults to 60.
+ * - `QR_LOGO_MAX_BYTES`: Maximum size of the logos. Defaults to 512 KB.
+ *
+ * @returns {{cacheMaxEntries: number, cacheTtlMinutes: number, logoMaxBytes: number}} The configuration.
+ */
+export const getQrConfig = () => {
+    return {
+        cacheMaxEntries: Number(process.env.QR_CACHE_MAX_ENTRIES) || 500,
+        cacheTtlMinutes: Number(process.env.QR_CACHE_TTL_MINUTES) || 60,
+        logoMaxBytes: Number(process.env.QR_LOGO_MAX_BYTES) || 512 * 1024
+    };
+};
+
+/**
+ * Parses an integer query parameter within a range.
+ *
+ * @param {*} value - The value of the parameter.
+ * @param {number} min - The minimum value.
+ * @param {number} max - The maximum value.
+ * @returns {number|null} The integer, or null if it is not valid.
+ */
+const parseIntegerParam = (value, min, max) => {
+    const number = Number(value);
+    return typeof value === 'string' && Number.isInteger(number) && number >= min && number <= max ? number : null;
+};
+
+/**
+ * Parses a colour query parameter, in the "RRGGBB" or "RRGGBBAA" hexadecimal format, with or without "#".
+ *
+ * @param {*} value - The value of the parameter.
+ * @returns {string|null} The colour in the "#rrggbbaa" format, or null if it is not valid.
+ */
+const parseColorParam = (value) => {
+    const match = typeof value === 'string' ? /^#?([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(value) : null;
+    return match ? '#' + (match[1] + (match[2] ?? 'ff')).toLowerCase() : null;
+};
+
+/**
+ * Parses the query string parameters of a QR code.
+ *
+ * - `format`: "png" (default) or "svg".
+ * - `size`: The width of the image, in pixels, between 64 and 2048. Defaults to 300.
+ * - `margin`: The quiet zone around the code, in modules, between 0 and 16. Defaults to 4.
+ * - `color` and `background`: The foreground and background colours ("RRGGBB" or "RRGGBBAA"). Default to black on white.
+ * - `level`: The error-correction level ("L", "M", "Q" or "H"). Defaults to "M", or to "H" when there is a logo.
+ * - `logo`: The http(s) URL of an image centred on the code. It must be a PNG of at most 1024x1024 pixels for the PNG codes.
+ * - `logo_size`: The width of the logo, as a fraction of the code, between 0.1 and 0.3. Defaults to 0.2.
+ *
+ * @param {Object} query - The query string parameters of the request.
+ * @returns {{error: string}|Object} An error message if a parameter is invalid, otherwise the options of the code.
+ */
+export const parseQrOptions = (query) => {
+    const format = query.format ?? 'png';
+    if (!Object.hasOwn(QR_FORMATS, format)) {
+        return {error: "format must be one of: " + Object.keys(QR_FORMATS).join(', ')};
+    }
+
+    const size = query.size === undefined ? 300 : parseIntegerParam(query.size, 64, 2048);
+    if (size === null) {
+        return {error: "size must be an integer between 64 and 2048"};
+    }
+
+    const margin = query.margin === undefined ? 4 : parseIntegerParam(query.margin, 0, 16);
+    if (margin === null) {
+        return {error: "margin must be an integer between 0 and 16"};
+    }
+
+    const dark = query.color === undefined ? '#000000ff' : parseColorParam(query.color);
+    const light = query.background === undefined ? '#ffffffff' : parseColorParam(query.background);
+    if (dark === null || light === null) {
+        return {error: "color and background must be hexadecimal colours (RRGGBB or RRGGBBAA)"};
+    }
+
+    const logo = query.logo ?? null;
+    if (logo !== null && (typeof logo !== 'string' || logo.length > 2048
+        || !validator.isURL(logo, {protocols: ['http', 'https'], require_protocol: true}))) {
+        return {error: "logo must be a valid http(s) URL"};
+    }
+
+    const logoSize = query.logo_size === undefined ? 0.2 : Number(query.logo_size);
+    if (typeof query.logo_size === 'object' || !(logoSize >= 0.1 && logoSize <= 0.3)) {
+        return {error: "logo_size must be a number between 0.1 and 0.3"};
+    }
+
+    const level = query.level === undefined ? (logo ? 'H' : 'M') : query.level;
+    if (!QR_ERROR_LEVELS.includes(level)) {
+        return {error: "level must be one of: " + QR_ERROR_LEVELS.join(', ')};
+    }
+
+    return {format, size, margin, dark, light, level, logo, logoSize};
+};
+
+/**
+ * Downloads a logo to embed in a QR code.
+ *
+ * @param {string} url - The URL of the logo.
+ * @param {string} format - The format of the code. The PNG codes only accept PNG logos.
+ * @returns {Promise<{error: string}|{contentType: string, body: Buffer}>} An error message if the logo could not be
+ * downloaded or has a format that can not be embedded, otherwise its content type and content.
+ */
+const fetchLogo = async (url, format) => {
+    const response = await fetchRemote(url, {maxBytes: getQrConfig().logoMaxBytes});
+    if (response.error) {
+        return {error: "Could not download the logo: " + response.error};
+    }
+    if (response.status !== 200) {
+        return {error: "Could not download the logo: HTTP " + response.status};
+    }
+
+    const contentType = (response.contentType ?? '').split(';')[0].trim().toLowerCase();
+    const accepted = format === 'png' ? ['image/png'] : LOGO_CONTENT_TYPES;
+    if (!accepted.includes(contentType)) {
+        return {error: "The logo must be one of: " + accepted.join(', ')};
+    }
+
+    return {contentType, body: response.body};
+};
+
+/**
+ * Resizes an RGBA image, averaging the source pixels covered by each pixel of the result.
+ *
+ * @param {{width: number, height: number, data: Buffer}} source - The image to resize.
+ * @param {number} width - The width of the result.
+ * @param {number} height - The height of the result.
+ * @returns {{width: number, height: number, data: Buffer}} The resized image.
+ */
+const resizeImage = (source, width, height) => {
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        const fromY = Math.floor(y * source.height / height);
+        const toY = Math.max(fromY + 1, Math.ceil((y + 1) * source.height / height));
+
+        for (let x = 0; x < width; x++) {
+            const fromX = Math.floor(x * source.width / width);
+            const toX = Math.max(fromX + 1, Math.ceil((x + 1) * source.width / width));
+
+            // Average with premultiplied alpha, so the transparent pixels do not darken the edges
+            let r = 0, g = 0, b = 0, a = 0, count = 0;
+            for (let sy = fromY; sy < toY; sy++) {
+                for (let sx = fromX; sx < toX; sx++) {
+                    const i = (sy * source.width + sx) * 4;
+                    const alpha = source.data[i + 3];
+                    r += source.data[i] * alpha;
+                    g += source.data[i + 1] * alpha;
+                    b += source.data[i + 2] * alpha;
+                    a += alpha;
+                    count++;
+                }
+            }
+
+            const o = (y * width + x) * 4;
+            if (a > 0) {
+                data[o] = Math.round(r / a);
+                data[o + 1] = Math.round(g / a);
+                data[o + 2] = Math.round(b / a);
+                data[o + 3] = Math.round(a / count);
+            }
+        }
+    }
+
+    return {width, height, data};
+};
+
+/**
+ * Draws an RGBA image over another one, blending their alpha.
+ *
+ * @param {{width: number, data: Buffer}} target - The image drawn on.
+ * @param {{width: number, height: number, data: Buffer}} image - The image to draw.
+ * @param {number} left - The horizontal position of the image on the target.
+ * @param {number} top - The vertical position of the image on the target.
+ */
+const drawImage = (target, image, left, top) => {
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < image.width; x++) {
+            const i = (y * image.width + x) * 4;
+            const o = ((top + y) * target.width + left + x) * 4;
+            const alpha = image.data[i + 3] / 255;
+            const below = target.data[o + 3] / 255;
+            const result = alpha + below * (1 - alpha);
+
+            if (result > 0) {
+                for (let c = 0; c < 3; c++) {
+                    target.data[o + c] = Math.round((image.data[i + c] * alpha + target.data[o + c] * below * (1 - alpha)) / result);
+                }
+            }
+            target.data[o + 3] = Math.round(result * 255);
+        }
+    }
+};
+
+/**
+ * Returns the size and position of the logo and of the background square around it, centred on a code.
+ *
+ * @param {number} codeSize - The width of the code.
+ * @param {number} logoSize - The width of the logo, as a fraction of the code.
+ * @returns {{box: number, pad: number, start: number}} The width of the logo box, the padding around it,
+ * and the position of the background square.
+ */
+const getLogoBox = (codeSize, logoSize) => {
+    const box = codeSize * logoSize;
+    const pad = box * 0.1;
+
+    return {box, pad, start: (codeSize - box) / 2 - pad};
+};
+
+/**
+ * Converts a "#rrggbbaa" colour to its RGBA components.
+ *
+ * @param {string} color - The colour.
+ * @returns {number[]} The red, green, blue and alpha components, from 0 to 255.
+ */
+const colorToRgba = (color) => [1, 3, 5, 7].map((index) => parseInt(color.substring(index, index + 2), 16));
+
+/**
+ * Reads the dimensions of a PNG image from its IHDR chunk, without decoding it.
+ *
+ * @param {Buffer} body - The content of the image.
+ * @returns {{width: number, height: number}|null} The dimensions, or null if the content is not a PNG image.
+ */
+const readPngSize = (body) => {
+    if (body.length < 24 || !body.subarray(0, 8).equals(PNG_SIGNATURE) || body.toString('latin1', 12, 16) !== 'IHDR') {
+        return null;
+    }
+
+    return {width: body.readUInt32BE(16), height: body.readUInt32BE(20)};
+};
+
+/**
+ * Renders a PNG QR code, with the logo centred on a square of the background colour.
+ *
+ * @param {string} text - The text of the code.
+ * @param {Object} options - The options of the code, see `parseQrOptions`.
+ * @param {Object|null} logo - The downloaded logo, see `fetchLogo`.
+ * @returns {Promise<{error: string}|{body: Buffer}>} An error message if the logo is not a valid PNG or is larger
+ * than `LOGO_MAX_DIMENSION`, otherwise the image.
+ */
+const renderPng = async (text, {size, margin, dark, light, level, logoSize}, logo) => {
+    const buffer = await QRCode.toBuffer(text, {
+        type: 'png', width: size, margin: margin, color: {dark, light}, errorCorrectionLevel: level
+    });
+
+    if (!logo) {
+        return {body: buffer};
+    }
+
+    const dimensions = readPngSize(logo.body);
+    if (!dimensions) {
+        return {error: "The logo is not a valid PNG image"};
+    }
+    if (dimensions.width > LOGO_MAX_DIMENSION || dimensions.height > LOGO_MAX_DIMENSION) {
+        return {error: `The logo must be at most ${LOGO_MAX_DIMENSION}x${LOGO_MAX_DIMENSION} pixels`};
+    }
+
+    let logoImage;
+    try {
+        logoImage = PNG.sync.read(logo.body);
+    } catch (error) {
+        return {error: "The logo is not a valid PNG image"};
+    }
+
+    const code = PNG.sync.read(buffer);
+    const {box, pad, start} = getLogoBox(code.width, logoSize);
+
+    // Background square, so the modules do not show through the logo
+    const square = Math.round(box + pad * 2);
+    const background = colorToRgba(light);
+    const backgroundImage = {width: square, height: square, data: Buffer.alloc(square * square * 4)};
+    for (let i = 0; i < backgroundImage.data.length; i += 4) {
+        backgroundImage.data.set(background, i);
+    }
+    drawImage(code, backgroundImage, Math.round(start), Math.round(start));
+
+    // Fit the logo in the box, keeping its aspect ratio
+    const scale = box / Math.max(logoImage.width, logoImage.height);
+    const width = Math.max(1, Math.round(logoImage.width * scale));
+    const height = Math.max(1, Math.round(logoImage.height * scale));
+    drawImage(code, resizeImage(logoImage, width, height), Math.round((code.width - width) / 2), Math.round((code.height - height) / 2));
+
+    return {body: PNG.sync.write(code)};
+};
+
+/**
+ * Renders an SVG QR code, with the logo embedded as a data URI over a square of the background colour.
+ *
+ * @param {string} text - The text of the code.
+ * @param {Object} options - The options of the code, see `parseQrOptions`.
+ * @param {Object|null} logo - The downloaded logo, see `fetchLogo`.
+ * @returns {Promise<{body: Buffer}>} The image.
+ */
+const renderSvg = async (text, {size, margin, dark, light, level, logoSize}, logo) => {
+    let svg = await QRCode.toString(text, {
+        type: 'svg', width: size, margin: margin, color: {dark, light}, errorCorrectionLevel: level
+    });
+
+    if (logo) {
+        // The coordinates are in modules, the unit of the view box
+        const viewBox = Number(/viewBox="0 0 (\d+)/.exec(svg)[1]);
+        const {box, pad, start} = getLogoBox(viewBox, logoSize);
+        const square = box + pad * 2;
+        const opacity = parseInt(light.substring(7), 16) / 255;
+        const dataUri = `data:${logo.contentType};base64,${logo.body.toString('base64')}`;
+
+        svg = svg
+            .replace('<svg ', '<svg xmlns:xlink="http://www.w3.org/1999/xlink" ')
+            .replace('</svg>',
+                `<rect x="${start}" y="${start}" width="${square}" height="${square}" fill="${light.substring(0, 7)}"` +
+                (opacity < 1 ? ` fill-opacity="${opacity.toFixed(2)}"` : '') + '/>' +
+                `<image x="${start + pad}" y="${start + pad}" width="${box}" height="${box}"` +
+                ` preserveAspectRatio="xMidYMid meet" xlink:href="${dataUri}"/></svg>`);
+    }
+
+    return {body: Buffer.from(svg)};
+};
+
+/**
+ * Renders a QR code, or returns it from the cache when it has already been rendered with the same text and options.
+ *
+ * @param {string} text - The text of the code, usually the short URL of a link.
+ * @param {Object} options - The options of the code, see `parseQrOptions`.
+ * @returns {Promise<{error: string}|{body: Buffer, contentType: string}>} An error message if the logo could not be
+ * used, otherwise the image and its content type.
+ */
+export const renderQrCode = async (text, options) => {
+    const {cacheMaxEntries, cacheTtlMinutes} = getQrConfig();
+    const key = JSON.stringify([text, options]);
+    const contentType = QR_FORMATS[options.format];
+
+    const cached = qrCache.get(key);
+    if (cached && cached.expires > Date.now()) {
+        // Move the entry to the end, so the most used codes stay in the cache
+        qrCache.delete(key);
+        qrCache.set(key, cached);
+        return {body: cached.body, contentType};
+    }
+
+    let logo = null;
+    if (options.logo) {
+        logo = await fetchLogo(options.logo, options.format);
+        if (logo.error) {
+            return {error: logo.error};
+        }
+    }
+
+    const rendered = options.format === 'svg'
+        ? await renderSvg(text, options, logo)
+        : await renderPng(text, options, logo);
+
+    if (rendered.error) {
+        return {error: rendered.error};
+    }
+
+    qrCache.delete(key);
+    qrCache.set(key, {body: rendered.body, expires: Date.now() + cacheTtlMinutes * 60 * 1000});
+    while (qrCache.size > cacheMaxEntries) {
+        qrCache.delete(qrCache.keys().next().value);
+    }
+
+    return {body: rendered.body, contentType};
+};
@@ -0,0 +1,238 @@
+import {LinksModel, LinksVisitedModel, UsersModel} from "../../models/model.js";
+import {getClientIp} from "../../helpers/clientIp.js";
+import {checkLinkAccess, getRedirectSettings, resolveDestination} from "../../links/services/linkResolutionService.js";
+import {getVisitorCountry} from "../../helpers/visitorCountry.js";
+import {renderDeepLinkPage} from "../views/deepLinkPage.js";
+import {renderPreviewPage} from "../views/previewPage.js";
+import {renderSocialCardPage} from "../views/socialCardPage.js";
+import {VISIT_TYPE_CLICK, VISIT_TYPE_CRAWLER, VISIT_TYPE_PREVIEW} from "../../helpers/visitTypes.js";
+import {isCrawler} from "../../helpers/userAgent.js";
+import {buildShortUrl} from "../../helpers/shortUrl.js";
+import {getDomainScope} from "../../domains/services/domainService.js";
+import {getVisitUserAgentFields} from "../../linksVisited/services/visitUserAgentService.js";
+
+/**
+ * Suffix of the short link that always shows the interstitial preview page (e.g. `/abcd+`).
+ *
+ * @type {string}
+ */
+const PREVIEW_SUFFIX = '+';
+
+/**
+ * Records a visit to the given link using the data of the incoming request.
+ *
+ * The IP address, the country, the user agent (with the OS, browser and device parsed from it) and the visit date
+ * are taken from the request itself, so the analytics can not be altered by the client.
+ *
+ * @param {Object} link - The link instance that has been visited.
+ * @param {Object} req - The Express request object of the visit.
+ * @param {Object} destination - The resolved destination, see `resolveDestination`.
+ * @param {string} [type=VISIT_TYPE_CLICK] - The type of the visit: a click, a preview page view or a crawler request.
+ * @returns {Promise<Object>} The created visited link record.
+ */
+const recordVisit = async (link, req, {rule, destination}, type = VISIT_TYPE_CLICK) => {
+    return LinksVisitedModel.create({
+        visited_date: new Date(),
+        ip: getClientIp(req),
+        country: getVisitorCountry(req),
+        ...getVisitUserAgentFields(req.get('user-agent')),
+        id_user: link.id_user,
+        id_links: link.id_links,
+        revision: link.revision,
+        id_link_rules: rule ? rule.id_link_rules : null,
+        id_link_destinations: destination ? destination.id_link_destinations : null,
+        visit_type: type
+    });
+};
+
+/**
+ * Resolves a short link and answers the visit.
+ *
+ * The visitor is shown the preview page when `preview` is true; otherwise the click is recorded
+ * and the visitor is redirected to the destination.
+ *
+ * @param {string} shortLink - The short link code to resolve.
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {Object} options - The resolution options.
+ * @param {boolean|null} options.preview - Whether the preview page is shown, or null to use the setting of the link.
+ * @returns {Promise<void>} Sends the redirection, the page or an error message.
+ */
+const answerVisit = async (shortLink, req, res, {preview}) => {
+    const link = await LinksModel.scope('withDomain').findOne({
+        where: {
+            // The short links are unique per domain: the one of the host the visitor asked for
+            domain_scope: await getDomainScope(req.hostname),
+            short_link: shortLink
+        },
+        include: [
+            {
+                model: UsersModel,
+                attributes: ['name', 'default_forward_query', 'default_redirect_status', 'default_cache_control']
+            }
+        ]
+    });
+
+    if (!link) {
+        return res.status(404).send({
+            ok: false,
+            error: "Short link not found"
+        });
+    }
+
+    // Check if the link is available and unlocked
+    const denied = await checkLinkAccess(link, req);
+    if (denied) {
+        // Outside the activation window, send the visitor to the fallback URL if there is one
+        if (denied.location) {
+            return res.redirect(302, denied.location);
+        }
+        return res.status(denied.status).send(denied.body);
+    }
+
+    // Apply the conditional redirection rules and the weighted destinations
+    const destination = await resolveDestination(link, req);
+
+    // The requests of the crawlers are flagged, so they are not counted as clicks
+    if (isCrawler(req.get('user-agent'))) {
+        try {
+            await recordVisit(link, req, destination, VISIT_TYPE_CRAWLER);
+        } catch (error) {
+            console.error(error);
+        }
+
+        // Serve the social card of the link instead of the metadata of the destination
+        if (link.og_title || link.og_description || link.og_image) {
+            return res.status(200).type('html').send(renderSocialCardPage({
+                shortUrl: buildShortUrl(link),
+                destinationUrl: destination.url,
+                title: link.og_title,
+                description: link.og_description,
+                image: link.og_image
+            }));
+        }
+
+        const settings = await getRedirectSettings(link);
+        return res.redirect(settings.status, destination.url);
+    }
+
+    // Show the preview page; the click is only recorded when the visitor continues
+    if (preview ?? link.preview_page) {
+        try {
+            await recordVisit(link, req, destination, VISIT_TYPE_PREVIEW);
+        } catch (error) {
+            console.error(error);
+        }
+
+        const queryIndex = req.originalUrl.indexOf('?');
+        const query = queryIndex === -1 ? '' : req.originalUrl.substring(queryIndex);
+
+        return res.status(200).set('Cache-Control', 'no-store').type('html').send(renderPreviewPage({
+            destinationUrl: destination.url,
+            ownerName: link.user ? link.user.name : null,
+            continueUrl: `/${encodeURIComponent(link.short_link)}/continue${query}`
+        }));
+    }
+
+    try {
+        await recordVisit(link, req, destination);
+    } catch (error) {
+        console.error(error);
+    }
+
+    // Send the mobile visitors to the app
+    if (destination.app_url) {
+        // Custom schemes can fail when the app is not installed, so the fallback page tries them first
+        if (link.deep_link_fallback_page && !/^https?:/i.test(destination.app_url)) {
+            return res.status(200).type('html').send(renderDeepLinkPage({
+                appUrl: destination.app_url,
+                webUrl: destination.url
+            }));
+        }
+        return res.redirect(302, destination.app_url);
+    }
+
+    // Apply the redirection status and cache headers of the link or its owner
+    const settings = await getRedirectSettings(link);
+    if (settings.cacheControl) {
+        res.set('Cache-Control', settings.cacheControl);
+    }
+
+    res.redirect(settings.status, destination.url);
+};
+
+/**
+ * Resolves a short link and redirects the visitor to the original link.
+ *
+ * The short link is searched in the database using the `shortLink` route parameter, in the custom domain
+ * of the `Host` header of the request, or in the default short domain when the host is not a verified custom domain.
+ * When it exists, is not expired and, if password protected, has been unlocked, the visit is recorded
+ * and the visitor is redirected to the destination of the first matching redirection rule, to one of the
+ * weighted destinations of the link or to the original link. Visitors on iOS or Android are sent to the
+ * deep link of the link for their platform, through the app fallback page when it is enabled.
+ * When the link has the preview page enabled, or the short link ends with the `+` suffix (e.g. `/abcd+`),
+ * the interstitial preview page is shown instead and only the preview view is recorded.
+ * The requests of the known crawlers are recorded as crawler visits; when the link has social card (Open Graph)
+ * overrides, the crawlers get a page with those meta tags instead of the redirection.
+ * A failure while recording the visit is logged but does not prevent the redirection.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.shortLink - The short link code to resolve.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends the redirection or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends the preview page, the app fallback page to the mobile visitors, or the social card page
+ *   to the crawlers, when they are enabled.
+ * - Status 301, 302, 307 or 308: Redirects to the destination, with the status and Cache-Control set for the link
+ *   or its owner. The query parameters of the request are forwarded when it is enabled.
+ * - Status 302: Redirects to the fallback URL outside the activation window, or to the mobile deep link.
+ * - Status 401: Sends a password challenge if the link is password protected and no valid unlock token was sent.
+ * - Status 403: Sends an object with `ok: false` and an error message if the activation window has not started.
+ * - Status 404: Sends an object with `ok: false` and an error message if the short link is not found.
+ * - Status 410: Sends an object with `ok: false`, an error message and the `reason` if the link is expired, used up
+ *   or its activation window has ended.
+ * - Status 500: Sends an object with `ok: false` and an error message in case of a server error.
+ */
+export const redirectControllerGet = async (req, res) => {
+    try {
+        const shortLink = req.params.shortLink;
+
+        // The suffix always shows the preview page
+        if (shortLink.length > 1 && shortLink.endsWith(PREVIEW_SUFFIX)) {
+            return await answerVisit(shortLink.slice(0, -PREVIEW_SUFFIX.length), req, res, {preview: true});
+        }
+
+        await answerVisit(shortLink, req, res, {preview: null});
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Handles the continue button of the preview page: records the click and redirects the visitor
+ * to the destination of the short link, without showing the preview page again.
+ *
+ * The access checks (expiration, activation window, password) are applied again, and the query
+ * parameters of the preview page are kept so they can be forwarded to the destination.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.shortLink - The short link code to resolve.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends the redirection or an error message, with the same responses as `redirectControllerGet`.
+ */
+export const redirectControllerContinueGet = async (req, res) => {
+    try {
+        await answerVisit(req.params.shortLink, req, res, {preview: false});
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,20 @@
+import express from 'express';
+
+import {redirectControllerContinueGet, redirectControllerGet} from "../controllers/redirectControllerGet.js";
+
+/**
+ * The `redirectRouteGet` variable is an instance of an Express Router.
+ * It handles the public short link URLs, resolving them and redirecting
+ * the visitor to the original link.
+ *
+ * This router must be mounted after the API routers, so its catch-all
+ * `/:shortLink` path does not shadow any other route.
+ */
+const redirectRouteGet = express.Router();
+
+// Redirect short link to the original link and record the visit
+redirectRouteGet.get('/:shortLink', redirectControllerGet);
+// Continue from the preview page to the original link and record the visit
+redirectRouteGet.get('/:shortLink/continue', redirectControllerContinueGet);
+
+export {redirectRouteGet};
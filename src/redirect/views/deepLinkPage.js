@@ -0,0 +1,42 @@
+import {escapeHtml, toScriptJson} from "../../helpers/escapeHtml.js";
+
+/**
+ * Renders the page served to the mobile visitors of a link with deep links.
+ *
+ * The page tries to open the app URI scheme first. If the app is not installed, the browser
+ * stays on the page and, after a short delay, the visitor is sent to the web destination.
+ * A link to the web destination is shown in case scripts are disabled.
+ *
+ * @param {Object} options - The page options.
+ * @param {string} options.appUrl - The app URI scheme to try first.
+ * @param {string} options.webUrl - The web destination used as fallback.
+ * @returns {string} The HTML of the page.
+ */
+export const renderDeepLinkPage = ({appUrl, webUrl}) => {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>Opening the app...</title>
+</head>
+<body>
+    <p>Opening the app... <a href="${escapeHtml(webUrl)}">Continue on the web</a></p>
+    <script>
+        var appUrl = ${toScriptJson(appUrl)};
+        var webUrl = ${toScriptJson(webUrl)};
+        var fallback = setTimeout(function () {
+            window.location.replace(webUrl);
+        }, 1500);
+        document.addEventListener('visibilitychange', function () {
+            // The app has been opened, do not send the visitor to the web
+            if (document.hidden) {
+                clearTimeout(fallback);
+            }
+        });
+        window.location.href = appUrl;
+    </script>
+</body>
+</html>`;
+};
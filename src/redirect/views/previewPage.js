@@ -0,0 +1,42 @@
+import {escapeHtml} from "../../helpers/escapeHtml.js";
+
+/**
+ * Renders the interstitial preview page shown before sending the visitor to the destination of a link.
+ *
+ * The page shows the domain and the full URL of the destination, the name of the owner of the link
+ * and a continue button. The visit is only recorded when the visitor follows the continue button.
+ *
+ * @param {Object} options - The page options.
+ * @param {string} options.destinationUrl - The destination the visitor will be sent to.
+ * @param {string|null} options.ownerName - The display name of the owner of the link.
+ * @param {string} options.continueUrl - The URL of the continue button.
+ * @returns {string} The HTML of the page.
+ */
+export const renderPreviewPage = ({destinationUrl, ownerName, continueUrl}) => {
+    let domain;
+    try {
+        domain = new URL(destinationUrl).hostname;
+    } catch {
+        domain = destinationUrl;
+    }
+
+    const owner = ownerName
+        ? `<p>This link was shared by <strong>${escapeHtml(ownerName)}</strong>.</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>You are leaving for ${escapeHtml(domain)}</title>
+</head>
+<body>
+    <h1>You are leaving for ${escapeHtml(domain)}</h1>
+    ${owner}
+    <p>Destination: <code>${escapeHtml(destinationUrl)}</code></p>
+    <p><a href="${escapeHtml(continueUrl)}" rel="noreferrer">Continue</a></p>
+</body>
+</html>`;
+};
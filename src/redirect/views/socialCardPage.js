@@ -0,0 +1,47 @@
+import {escapeHtml} from "../../helpers/escapeHtml.js";
+
+/**
+ * Renders the page served to the known crawlers of a link with social card (Open Graph) overrides.
+ *
+ * The page only contains the Open Graph and Twitter card meta tags, so the link previews of the
+ * chat apps and social networks show the values of the link instead of the ones of the destination.
+ * A link to the destination is shown in case the page is opened by a visitor.
+ *
+ * @param {Object} options - The page options.
+ * @param {string} options.shortUrl - The full short URL, used as the canonical URL of the card.
+ * @param {string} options.destinationUrl - The destination of the link.
+ * @param {string|null} options.title - The title of the card.
+ * @param {string|null} options.description - The description of the card.
+ * @param {string|null} options.image - The URL of the image of the card.
+ * @returns {string} The HTML of the page.
+ */
+export const renderSocialCardPage = ({shortUrl, destinationUrl, title, description, image}) => {
+    const tags = [
+        ['property', 'og:type', 'website'],
+        ['property', 'og:url', shortUrl],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:image', image],
+        ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image]
+    ].filter(([, , content]) => content);
+
+    const meta = tags
+        .map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`)
+        .join('\n    ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title || destinationUrl)}</title>
+    ${meta}
+</head>
+<body>
+    <p><a href="${escapeHtml(destinationUrl)}">${escapeHtml(title || destinationUrl)}</a></p>
+</body>
+</html>`;
+};
@@ -0,0 +1,44 @@
+import {TagsModel} from "../../models/model.js";
+
+/**
+ * Handles the deletion of a tag of the authenticated user.
+ *
+ * The tag is detached from its links; the links themselves are kept.
+ *
+ * @async
+ * @function tagsControllerDeleteID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the tag.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the deleted tag or an error message.
+ */
+export const tagsControllerDeleteID = async (req, res) => {
+    try {
+        const tag = await TagsModel.findOne({
+            where: {
+                id_tags: req.params.id,
+                id_user: req.user.id_user
+            }
+        });
+
+        if (tag) {
+            await tag.destroy();
+            res.send({
+                ok: true,
+                tag: tag,
+                message: "Tag deleted"
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Tag not found with id " + req.params.id
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
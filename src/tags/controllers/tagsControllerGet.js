@@ -0,0 +1,70 @@
+import {TagsModel} from "../../models/model.js";
+
+/**
+ * Handles the retrieval of the tags of the authenticated user, ordered by name.
+ *
+ * @async
+ * @function tagsControllerGet
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the tags or an error message.
+ */
+export const tagsControllerGet = async (req, res) => {
+    try {
+        const tags = await TagsModel.findAll({
+            where: {
+                id_user: req.user.id_user
+            },
+            order: [['name', 'ASC']]
+        });
+
+        res.status(200).send({
+            ok: true,
+            tags: tags
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Handles the retrieval of a tag of the authenticated user by its ID.
+ *
+ * @async
+ * @function tagsControllerGetID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the tag.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the tag or an error message.
+ */
+export const tagsControllerGetID = async (req, res) => {
+    try {
+        const tag = await TagsModel.findOne({
+            where: {
+                id_tags: req.params.id,
+                id_user: req.user.id_user
+            }
+        });
+
+        if (tag) {
+            res.status(200).send({
+                ok: true,
+                tag: tag
+            });
+        } else {
+            res.status(404).send({
+                ok: false,
+                error: "Tag not found with id " + req.params.id
+            });
+        }
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,63 @@
+import {TagsModel} from "../../models/model.js";
+import {verifyTagName} from "../../helpers/tagVerification.js";
+
+/**
+ * Handles the creation of a tag for the authenticated user.
+ *
+ * @async
+ * @function tagsControllerCreate
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.name - The name of the tag, unique for the user.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the created tag or an error message.
+ *
+ * Possible Responses:
+ * - Status 201: Sends an object with `ok: true` and the created `tag`.
+ * - Status 400: The name is invalid.
+ * - Status 409: The user already has a tag with this name.
+ * - Status 500: Internal server error.
+ */
+export const tagsControllerCreate = async (req, res) => {
+    try {
+        const nameError = verifyTagName(req.body.name);
+        if (nameError) {
+            return res.status(400).send({
+                ok: false,
+                error: nameError
+            });
+        }
+
+        const name = req.body.name.trim();
+
+        const existsTag = await TagsModel.findOne({
+            where: {
+                id_user: req.user.id_user,
+                name: name
+            }
+        });
+
+        if (existsTag) {
+            return res.status(409).send({
+                ok: false,
+                error: "Tag already exists: " + name
+            });
+        }
+
+        const tag = await TagsModel.create({
+            name: name,
+            id_user: req.user.id_user
+        });
+
+        res.status(201).send({
+            ok: true,
+            tag: tag,
+            message: "New tag created"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,80 @@
+import {Op} from "sequelize";
+
+import {TagsModel} from "../../models/model.js";
+import {verifyTagName} from "../../helpers/tagVerification.js";
+
+/**
+ * Handles renaming a tag of the authenticated user. The links keep the tag.
+ *
+ * @async
+ * @function tagsControllerPutID
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.params - The route parameters.
+ * @param {string} req.params.id - The ID of the tag.
+ * @param {Object} req.body - The body of the request.
+ * @param {string} req.body.name - The new name of the tag.
+ * @param {Object} res - The HTTP response object.
+ * @returns {Promise<void>} Sends a JSON response with the updated tag or an error message.
+ *
+ * Possible Responses:
+ * - Status 200: Sends an object with `ok: true` and the updated `tag`.
+ * - Status 400: The name is invalid.
+ * - Status 404: The tag does not exist for the user.
+ * - Status 409: The user already has another tag with this name.
+ * - Status 500: Internal server error.
+ */
+export const tagsControllerPutID = async (req, res) => {
+    const nameError = verifyTagName(req.body.name);
+    if (nameError) {
+        return res.status(400).send({
+            ok: false,
+            error: nameError
+        });
+    }
+
+    const name = req.body.name.trim();
+
+    try {
+        const tag = await TagsModel.findOne({
+            where: {
+                id_tags: req.params.id,
+                id_user: req.user.id_user
+            }
+        });
+
+        if (!tag) {
+            return res.status(404).send({
+                ok: false,
+                error: "Tag not found with id " + req.params.id
+            });
+        }
+
+        const existsTag = await TagsModel.findOne({
+            where: {
+                id_user: req.user.id_user,
+                name: name,
+                id_tags: {[Op.ne]: tag.id_tags}
+            }
+        });
+
+        if (existsTag) {
+            return res.status(409).send({
+                ok: false,
+                error: "Tag already exists: " + name
+            });
+        }
+
+        await tag.update({name: name});
+
+        res.status(200).send({
+            ok: true,
+            tag: tag,
+            message: "Tag updated"
+        });
+    } catch (error) {
+        res.status(500).send({
+            ok: false,
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,60 @@
+import { sequelizeDatabase } from "../../../database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Represents the `LinkTagsModel` database model.
+ * This model defines the structure of the `link_tags` table, which relates the links with their tags
+ * (many-to-many). The rows are deleted with their link or their tag.
+ *
+ * The fields in this model include:
+ * - id_links: A foreign key referencing the 'id_links' column in the "links" table.
+ * - id_tags: A foreign key referencing the 'id_tags' column in the "tags" table.
+ */
+export const LinkTagsModel = sequelizeDatabase.define("link_tags", {
+    /**
+     * Represents the tagged link. It is part of the primary key.
+     */
+    id_links: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+        references: {
+            model: "links", // Referenced table
+            key: "id_links"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+    },
+    /**
+     * Represents the tag attached to the link. It is part of the primary key.
+     */
+    id_tags: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        primaryKey: true,
+        references: {
+            model: "tags", // Referenced table
+            key: "id_tags"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+    },
+}, {
+    /**
+     * Specifies the name of the table in the database.
+     */
+    tableName: "link_tags",
+    /**
+     * Disables the automatic addition of the `createdAt` and `updatedAt` fields.
+     */
+    timestamps: false,
+    /**
+     * Index used to find the links of a tag.
+     */
+    indexes: [
+        {
+            name: 'idx_link_tags_tag',
+            fields: ['id_tags']
+        }
+    ]
+});
@@ -0,0 +1,64 @@
+import { sequelizeDatabase } from "../../../database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Represents the `TagsModel` database model.
+ * This model defines the structure of the `tags` table, which stores the tags a user can attach
+ * to its links to organize them. Tags are scoped to their user: two users can have a tag with the same name.
+ *
+ * The fields in this model include:
+ * - id_tags: The primary key for the table, auto-incremented integer.
+ * - name: The name of the tag, unique for its user.
+ * - id_user: A foreign key referencing the 'id_user' column in the "users" table. It cascades on update and delete.
+ *
+ * The links of a tag are related through the `link_tags` table, see `LinkTagsModel`.
+ */
+export const TagsModel = sequelizeDatabase.define("tags", {
+    /**
+     * Represents the unique identifier of the tag, auto-incremented and used as the primary key.
+     */
+    id_tags: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    /**
+     * Represents the name of the tag (e.g. "spring-sale"), up to 50 characters.
+     */
+    name: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    /**
+     * Represents the user that owns the tag.
+     */
+    id_user: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: "users", // Referenced table
+            key: "id_user"  // Referenced column
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE"
+    },
+}, {
+    /**
+     * Specifies the name of the table in the database.
+     */
+    tableName: "tags",
+    /**
+     * Disables the automatic addition of the `createdAt` and `updatedAt` fields.
+     */
+    timestamps: false,
+    /**
+     * Unique index to keep the names of the tags of a user unique.
+     */
+    indexes: [
+        {
+            name: 'idx_tags_user_name',
+            unique: true,
+            fields: ['id_user', 'name']
+        }
+    ]
+});
@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {tagsControllerDeleteID} from "../controllers/tagsControllerDelete.js";
+
+/**
+ * The `tagsRouteDelete` variable is an instance of an Express Router.
+ * It defines the DELETE routes of the tags of the authenticated user.
+ */
+const tagsRouteDelete = express.Router();
+
+// Delete a tag of the user by ID
+tagsRouteDelete.delete('/api/v1/tags/:id', protectRoute("user"), tagsControllerDeleteID);
+
+export {tagsRouteDelete};
@@ -0,0 +1,19 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {tagsControllerGet, tagsControllerGetID} from "../controllers/tagsControllerGet.js";
+
+/**
+ * The `tagsRouteGet` variable is an instance of an Express Router.
+ * It defines the GET routes of the tags of the authenticated user.
+ */
+const tagsRouteGet = express.Router();
+
+// Show the tags of the user
+tagsRouteGet.get('/api/v1/tags', protectRoute("user"), tagsControllerGet);
+
+// Show a tag of the user by ID
+tagsRouteGet.get('/api/v1/tags/:id', protectRoute("user"), tagsControllerGetID);
+
+export {tagsRouteGet};
@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {tagsControllerCreate} from "../controllers/tagsControllerPost.js";
+
+/**
+ * The `tagsRoutePost` variable is an instance of an Express Router.
+ * It defines the POST routes of the tags of the authenticated user.
+ */
+const tagsRoutePost = express.Router();
+
+// Create a tag for the user
+tagsRoutePost.post('/api/v1/tags', protectRoute("user"), tagsControllerCreate);
+
+export {tagsRoutePost};
@@ -0,0 +1,16 @@
+import express from 'express';
+
+import protectRoute from "../../middleware/usersAuthorizationJWT.js";
+
+import {tagsControllerPutID} from "../controllers/tagsControllerPut.js";
+
+/**
+ * The `tagsRoutePut` variable is an instance of an Express Router.
+ * It defines the PUT routes of the tags of the authenticated user.
+ */
+const tagsRoutePut = express.Router();
+
+// Rename a tag of the user by ID
+tagsRoutePut.put('/api/v1/tags/:id', protectRoute("user"), tagsControllerPutID);
+
+export {tagsRoutePut};
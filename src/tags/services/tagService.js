@@ -0,0 +1,43 @@
+import {TagsModel} from "../../models/model.js";
+
+/**
+ * Finds the tags of a user by name, creating the missing ones.
+ *
+ * The names are trimmed and duplicated names are ignored.
+ *
+ * @param {number} id_user - The ID of the owner of the tags.
+ * @param {string[]} names - The names of the tags.
+ * @param {Object} [transaction] - The transaction to run the queries in.
+ * @returns {Promise<Object[]>} The tags, in the order of their names.
+ */
+export const findOrCreateTags = async (id_user, names, transaction) => {
+    const unique = [...new Set(names.map((name) => name.trim()))];
+    const tags = [];
+
+    for (const name of unique) {
+        const [tag] = await TagsModel.findOrCreate({
+            where: {
+                id_user: id_user,
+                name: name
+            },
+            transaction
+        });
+        tags.push(tag);
+    }
+
+    return tags;
+};
+
+/**
+ * Replaces the tags of a link with the given ones, creating the missing tags for the owner of the link.
+ *
+ * @param {Object} link - The link instance.
+ * @param {string[]} names - The names of the tags. An empty list removes every tag of the link.
+ * @param {Object} [transaction] - The transaction to run the queries in.
+ * @returns {Promise<Object[]>} The tags of the link.
+ */
+export const setLinkTags = async (link, names, transaction) => {
+    const tags = await findOrCreateTags(link.id_user, names, transaction);
+    await link.setTags(tags, {transaction});
+    return tags;
+};
@@ -3,6 +3,7 @@ import bcrypt from 'bcryptjs'
 import { UsersModel } from '../../models/model.js'
 
 import { emailVerification } from '../../helpers/emailVerification.js'
+import { verifyRedirectOptions } from '../../helpers/linkOptionsVerification.js'
 
 /**
  * Updates a user's information based on the provided ID.
@@ -17,6 +18,9 @@ import { emailVerification } from '../../helpers/emailVerification.js'
  * @param {string} req.body.email - The new email address for the user. Verified for valid email format.
  * @param {string} req.body.name - The new name for the user. Must have more than 3 characters.
  * @param {string} req.body.b_date - The new birth date for the user. Validated for proper date format.
+ * @param {boolean} [req.body.default_forward_query] - Whether the links of the user forward the query parameters by default.
+ * @param {number} [req.body.default_redirect_status] - The default redirection status (301, 302, 307 or 308) of the links.
+ * @param {string|null} [req.body.default_cache_control] - The default Cache-Control header of the redirections.
  * @param {Object} req.params - Contains path parameters for the request.
  * @param {string} req.params.id - The unique identifier of the user to be updated.
  * @param {Object} res - The response object.
@@ -27,7 +31,7 @@ import { emailVerification } from '../../helpers/emailVerification.js'
  */
 export const userControllerPutID = async (req, res) => {
 
-    let { email, name, b_date } = req.body
+    let { email, name, b_date, default_forward_query, default_redirect_status, default_cache_control } = req.body
 
     // Check the name length
     if (name.length <= 3) {
@@ -59,6 +63,26 @@ export const userControllerPutID = async (req, res) => {
         }
     }
 
+    // Check the default redirection settings of the links
+    if (default_forward_query === null || default_redirect_status === null) {
+        return res.status(400).send({
+            ok: false,
+            error: 'default_forward_query and default_redirect_status cannot be null'
+        })
+    }
+
+    const redirectError = verifyRedirectOptions({
+        forward_query: default_forward_query,
+        redirect_status: default_redirect_status,
+        cache_control: default_cache_control
+    })
+    if (redirectError) {
+        return res.status(400).send({
+            ok: false,
+            error: 'default_' + redirectError
+        })
+    }
+
     try {
         const user = await UsersModel.findOne({
             where: {
@@ -15,6 +15,8 @@ import { sequelizeDatabase } from "../../../database.js";
  * - `r_date`: A date indicating the user's registration date. The default value is the current date and time.
  * - `b_date`: An optional date field representing the user's birthdate.
  * - `role`: A string field indicating the user's role. Defaults to "user" and has a maximum length of 10 characters.
+ * - `default_forward_query`, `default_redirect_status` and `default_cache_control`: The redirection settings
+ *   used by the links of the user that do not set their own.
  *
  * Model Configuration:
  * - Table Name: Explicitly set to "users".
@@ -107,6 +109,32 @@ export const UsersModel = sequelizeDatabase.define("users", {
         allowNull: false,
         defaultValue: "user"
     },
+    /**
+     * Indicates whether the query parameters of the short link URLs are forwarded to the destination,
+     * for the links of the user that do not set `forward_query`.
+     */
+    default_forward_query: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    /**
+     * Represents the HTTP status (301, 302, 307 or 308) of the redirections,
+     * for the links of the user that do not set `redirect_status`.
+     */
+    default_redirect_status: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 302
+    },
+    /**
+     * Represents the `Cache-Control` header sent with the redirections,
+     * for the links of the user that do not set `cache_control`.
+     */
+    default_cache_control: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
 }, {
     /**
      * Represents the name of the database table used for storing user records.